@@ -1,29 +1,164 @@
-import { handleBlur, handleFocus, handleMouseDown, handleScroll, handleTouchStart } from "./utils/event-handlers"
+import { forwardRef, useContext, useImperativeHandle, useLayoutEffect, useRef, useState } from "react"
+import { mainLoop, setupCanvas, unmountCanvas } from "./utils/setup"
+import { CanvasContext, CanvasRegistryContext } from "./hooks"
+import * as pan from "./utils/pan"
+import * as zoom from "./utils/zoom"
+
+// Event of the instance listened by each callback prop
+const EVENT_PROPS = {
+    onMouseMove: "pointermove",
+    onMouseDown: "pointerdown",
+    onMouseUp: "pointerup",
+    onDoubleClick: "doubleclick",
+    onScroll: "wheel",
+    onKeyDown: "keydown",
+    onKeyUp: "keyup",
+    onResize: "resize",
+    onFocus: "focus",
+    onBlur: "blur",
+    onTap: "tap",
+    onDoubleTap: "doubletap",
+    onLongPress: "longpress",
+    onSwipe: "swipe",
+    onPinch: "pinch",
+    onSelect: "select",
+    onToolChange: "toolchange",
+    onStroke: "stroke",
+    onGuideChange: "guidechange",
+    onZoom: "zoom",
+    onPan: "pan",
+    onRotate: "rotate",
+}
+
+// Props copied to the instance when they change (the props left undefined keep the value of the instance)
+const CONFIG_PROPS = ["debug", "background", "autoResize", "panKey", "panMouseButton", "doubleClickDelay", "rotationGesture", "rotationShortcuts"]
 
 /**
  * This component represents the canvas element in the DOM. The component will handle the events related to the canvas and will store the values read from the events in the global variables.
- *      
+ *
  * - Every callback functions receive the event related to the action and the mouse coordinates at the moment of the action. `callback(event, {x, y})`
- * 
- * Most of the events will run a default action, like preventing the default behavior of the event, and then call the callback function if it is defined. 
- * The callbacks are defined in the global variables and can be changed at any time. This callback functions as supposed to be defined in `setupCanvas` function as explained in README basic example.
+ * - Every `Canvas` owns its own `CanvasGlobals` instance, so several canvases can be rendered on the same page without interfering with each other.
+ *
+ * Most of the events will run a default action, like preventing the default behavior of the event, and then call the callback function if it is defined.
+ * The callbacks can be passed as props (`onMouseDown`, `onKeyDown`, etc.) or defined in the instance in the `onSetup` callback, as explained in README basic example.
+ * The props are reactive: changing a callback, `onDraw` or an option after the mount updates the instance without creating it again.
  * @See `GraphGlobals` from `utils/globals.js` for more information about the global variables and available callbacks.
- * 
+ *
+ * The ref of the component exposes the instance (`ref.current.instance`) and the functions of `utils/pan.js` and `utils/zoom.js` bound to it (e.g. `ref.current.zoomTo(2)`).
+ *
+ * The children of the component are rendered once the instance is ready, and receive it through the context (see `useCanvas`, `useFrame` and `useCanvasEvent` in `hooks.js`). They are not rendered inside the canvas element, so they should draw on the canvas instead of returning DOM elements.
+ *
+ * @param {Object} props
+ * @param {String} props.id The id of the canvas element. Without it, the canvas gets the id `canvas` if no other element of the page has it (so the ids are never duplicated)
+ * @param {Function} props.onSetup Function called with the instance of the canvas once it is ready. Use it to define the callbacks and start the main loop of the instance.
+ * @param {Function} props.onDraw Function called on every frame with the context, the instance, the time of the frame and the time since the previous frame `(ctx, cvs, time, delta)`. The main loop is started when the canvas is mounted (calling `mainLoop` in `onSetup` replaces this callback).
+ * @param {Function} props.onMouseMove Listener of the "pointermove" event. The rest of the callback props are `onMouseDown`, `onMouseUp`, `onDoubleClick`, `onScroll`, `onKeyDown`, `onKeyUp`, `onResize`, `onFocus`, `onBlur`, `onTap`, `onDoubleTap`, `onLongPress`, `onSwipe`, `onPinch`, `onSelect`, `onToolChange`, `onStroke`, `onGuideChange`, `onZoom`, `onPan` and `onRotate` (see `EVENT_PROPS`). `onKeyDown` prevents the default behavior of the key if it returns true
+ * @param {Boolean} props.debug Whether to enable the debug mode or not
+ * @param {String} props.background The background color of the canvas (`null` or `false` for a transparent background)
+ * @param {Boolean} props.autoResize Whether the canvas resizes to fit its parent container
+ * @param {String} props.panKey The code of the key that pans the canvas while it is held
+ * @param {Number} props.panMouseButton The mouse button that pans the canvas
+ * @param {Number} props.doubleClickDelay Maximum time (ms) between two clicks to be a double click
+ * @param {Boolean} props.rotationGesture Whether the canvas can be rotated with a two-finger twist gesture
+ * @param {Boolean} props.rotationShortcuts Whether the canvas can be rotated with the keyboard shortcuts
  * @returns The canvas element using JSX
  */
-export default function Canvas() {
-    return <canvas id='canvas'
-        onMouseDown={handleMouseDown}
-        onTouchStart={handleTouchStart}
-        onWheel={handleScroll}
-
-        onFocus={handleFocus}
-        onBlur={handleBlur}
-
-        onContextMenu={(e) => e.preventDefault()}  // Disable the browser context menu
-
-        // Required to make the canvas to receive keyboard events
-        tabIndex={0}
-        autoFocus
-    />
-}
\ No newline at end of file
+const Canvas = forwardRef(function Canvas({ id, onSetup, children, ...props }, ref) {
+    const canvasRef = useRef(null)
+    const instanceRef = useRef(null)
+    const [instance, setInstance] = useState(null)  // Provided to the children once it is ready
+    const register = useContext(CanvasRegistryContext)  // Publishes the instance to the surrounding `CanvasProvider`, if any
+    const propsRef = useRef(props)
+    propsRef.current = props  // The listeners read the latest props, so the callbacks can change without registering them again
+
+    useLayoutEffect(() => {
+        // Default id, only for the first canvas without one
+        if (!id && !document.getElementById('canvas')) canvasRef.current.id = 'canvas'
+
+        const cvs = setupCanvas(Boolean(props.debug), canvasRef.current)
+        instanceRef.current = cvs
+
+        // Callback props
+        Object.entries(EVENT_PROPS).forEach(([prop, type]) => cvs.on(type, (...args) => {
+            const result = propsRef.current[prop]?.(...args)
+            if (prop === "onKeyDown" && result) args.at(-1).originalEvent.preventDefault()  // Same as `keyDownCallback`
+        }))
+
+        // Main loop (it reads the latest `onDraw` on every frame, and emits the "frame" event used by `useFrame`)
+        mainLoop((time, delta) => propsRef.current.onDraw?.(cvs.ctx, cvs, time, delta), cvs)
+
+        if (onSetup) onSetup(cvs)
+
+        setInstance(cvs)
+        register?.(cvs)
+
+        return () => {
+            unmountCanvas(cvs)
+            instanceRef.current = null
+            setInstance(null)
+            register?.(null)
+        }
+    }, [])
+
+    // Options
+    useLayoutEffect(() => {
+        const cvs = instanceRef.current
+        CONFIG_PROPS.forEach(name => {
+            const value = props[name]
+            if (value === undefined) return
+
+            if (name === "background") {
+                cvs.hasBackground = Boolean(value)
+                if (value) cvs.background = value
+            }
+            else cvs[name] = value
+        })
+    }, CONFIG_PROPS.map(name => props[name]))
+
+    // A new render can change what `onDraw` draws (only needed when the loop draws on demand)
+    useLayoutEffect(() => instanceRef.current.loop.invalidate())
+
+    useImperativeHandle(ref, () => createHandle(instanceRef), [])
+
+    return <>
+        <canvas id={id} ref={canvasRef}
+            // Required to make the canvas to receive keyboard events
+            tabIndex={0}
+            autoFocus
+        />
+        {instance && <CanvasContext.Provider value={instance}>{children}</CanvasContext.Provider>}
+    </>
+})
+
+export default Canvas
+
+
+/**
+ * Provides the instance of the `Canvas` rendered inside it to all its descendants, so the components outside the canvas (e.g. a toolbar next to it) can use `useCanvas`, `useFrame` and `useCanvasEvent` too.
+ *
+ * @param {Object} props
+ * @param {Object} props.children The tree that contains a `Canvas` (only one canvas per provider)
+ * @returns The children wrapped in the context
+ */
+export function CanvasProvider({ children }) {
+    const [instance, setInstance] = useState(null)
+
+    return <CanvasRegistryContext.Provider value={setInstance}>
+        <CanvasContext.Provider value={instance}>{children}</CanvasContext.Provider>
+    </CanvasRegistryContext.Provider>
+}
+
+
+// Object exposed by the ref: the instance and the functions of `utils/pan.js` and `utils/zoom.js` bound to it
+function createHandle(instanceRef) {
+    const handle = {
+        get instance() { return instanceRef.current }
+    }
+
+    for (const [name, fn] of Object.entries({ ...pan, ...zoom })) {
+        // The instance is the first parameter with a default value, so `fn.length` is the number of parameters before it
+        handle[name] = (...args) => fn(...Array.from({ length: fn.length }, (_, i) => args[i]), instanceRef.current)
+    }
+
+    return handle
+}
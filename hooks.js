@@ -0,0 +1,72 @@
+import { createContext, useContext, useEffect, useRef } from "react"
+
+/**
+ * Context with the instance of the closest `Canvas` (provided to its children) or `CanvasProvider`.
+ */
+export const CanvasContext = createContext(null)
+
+// Setter of the instance of a `CanvasProvider` (used by the `Canvas` inside it to publish its instance)
+export const CanvasRegistryContext = createContext(null)
+
+
+/**
+ * Returns the instance of the closest `Canvas` (for the children of the component) or `CanvasProvider`.
+ *
+ * @returns {CanvasGlobals} The instance of the canvas (null while the canvas is not mounted)
+ */
+export function useCanvas() {
+    return useContext(CanvasContext)
+}
+
+
+/**
+ * Draws on every frame of the main loop of the canvas, after the `onDraw` callback. The callback is removed when the component is unmounted.
+ *
+ * Each callback is drawn between `ctx.save()` and `ctx.restore()` with the camera applied, so several components can draw their own layer without affecting the others.
+ *
+ * @param {Function} callback Function called on every frame with the context, the instance, the time of the frame and the time since the previous frame `(ctx, cvs, time, delta)`. The latest callback is used, so it can be an inline function
+ * @param {Number} priority The order of the layer: the callbacks with a higher priority are drawn first, below the rest (default: 0)
+ */
+export function useFrame(callback, priority = 0) {
+    const cvs = useCanvas()
+    const callbackRef = useRef(callback)
+    callbackRef.current = callback
+
+    useEffect(() => {
+        if (!cvs) return
+
+        const off = cvs.on("frame", (time, delta) => {
+            cvs.ctx.save()
+            callbackRef.current(cvs.ctx, cvs, time, delta)
+            cvs.ctx.restore()
+        }, { priority })
+        return () => {
+            off()
+            cvs.loop.invalidate()  // Remove the layer from the canvas
+        }
+    }, [cvs, priority])
+
+    // A new render can change what the callback draws (only needed when the loop draws on demand)
+    useEffect(() => cvs?.loop.invalidate())
+}
+
+
+/**
+ * Listens to an event of the canvas while the component is mounted (see `on` in `utils/globals.js` for the list of events).
+ *
+ * @param {String} type The type of the event (e.g. "pointerdown", "keydown", "zoom")
+ * @param {Function} handler Function called with the arguments of the event and a `CanvasEvent`. The latest handler is used, so it can be an inline function
+ * @param {Object} options
+ * @param {Number} options.priority The priority of the listener (default: 0). Listeners with a positive priority run before the default action of the event, so they can cancel it
+ */
+export function useCanvasEvent(type, handler, { priority = 0 } = {}) {
+    const cvs = useCanvas()
+    const handlerRef = useRef(handler)
+    handlerRef.current = handler
+
+    useEffect(() => {
+        if (!cvs) return
+
+        return cvs.on(type, (...args) => handlerRef.current(...args), { priority })
+    }, [cvs, type, priority])
+}
@@ -0,0 +1,350 @@
+import constants from "./constants"
+import { getViewportState, setViewportState } from "./history"
+import { panBy } from "./pan"
+import { normalizeAngle } from "./rotation"
+
+/**
+ * Easing curves available for the camera transitions. Each function maps the progress of the animation (0 to 1) to the progress of the movement.
+ */
+export const EASINGS = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+}
+
+
+/**
+ * Animates the viewport of a canvas instance: camera transitions, kinetic panning and smooth wheel zoom.
+ *
+ * Every animation is cancelled when the user interacts with the canvas (mouse down, touch or wheel).
+ *
+ * **Options**
+ * @property {Number} duration - Default duration (ms) of the camera transitions
+ * @property {String|Function} easing - Default easing of the camera transitions (name of `EASINGS` or a function)
+ * @property {Boolean} inertia - Whether the canvas keeps gliding after releasing a pan drag
+ * @property {Number} friction - Factor applied to the speed of the glide every 16ms (between 0 and 1, lower values stop faster)
+ * @property {Number} inertiaMinSpeed - Speed (screen pixels per ms) under which the glide stops
+ * @property {Number} inertiaSampleTime - Time (ms) of the last pan movements used to calculate the speed of the glide
+ * @property {Boolean} smoothZoom - Whether the wheel zoom is interpolated instead of applied in steps
+ * @property {Number} smoothZoomTime - Time constant (ms) of the smooth zoom (higher values are smoother but slower)
+ * @property {Number} wheelZoomStep - Zoom factor of a wheel tick (delta of 100) in smooth zoom mode
+ */
+export class ViewportAnimator {
+    constructor(cvs) {
+        this.cvs = cvs
+
+        // --- Options ---
+        this.duration = constants.ANIMATION_DURATION
+        this.easing = constants.ANIMATION_EASING
+        this.inertia = false
+        this.friction = constants.INERTIA_FRICTION
+        this.inertiaMinSpeed = constants.INERTIA_MIN_SPEED
+        this.inertiaSampleTime = constants.INERTIA_SAMPLE_TIME
+        this.smoothZoom = true
+        this.smoothZoomTime = constants.SMOOTH_ZOOM_TIME
+        this.wheelZoomStep = constants.WHEEL_ZOOM_STEP
+
+        // --- State ---
+        this._transition = null  // Current camera transition
+        this._glide = null  // Current kinetic panning
+        this._zoom = null  // Current smooth zoom
+        this._panSamples = []  // Recent pan movements (used to calculate the speed of the glide)
+    }
+
+    /**
+     * Whether any animation is running.
+     */
+    get animating() {
+        return Boolean(this._transition || this._glide || this._zoom)
+    }
+
+
+    // --- Transitions ---
+
+    /**
+     * Animates the viewport to a given state.
+     *
+     * The center of the view box is interpolated linearly and the zoom geometrically, so the transition feels uniform at any zoom level. The rotation follows the shortest direction.
+     *
+     * @param {Object} target The target state of the viewport `{x, y, zoom, rotation}` (coordinates of the top-left corner of the view box). The rotation is optional (defaults to the current one)
+     * @param {Object} options
+     * @param {Number} options.duration The duration of the animation (ms)
+     * @param {String|Function} options.easing The easing curve (name of `EASINGS` or a function)
+     * @returns {Promise<Boolean>} Resolved when the animation ends: true if it was completed, false if it was cancelled
+     */
+    animateTo(target, { duration = this.duration, easing = this.easing } = {}) {
+        this.cancel()
+
+        const ease = typeof easing === "function" ? easing : EASINGS[easing]
+        const from = getViewportState(this.cvs)
+        const rotation = normalizeAngle((target.rotation ?? from.rotation) - from.rotation)
+
+        // Centers of the view box at the beginning and at the end
+        const fromCenter = getCenter(from, this.cvs)
+        const toCenter = getCenter({ ...target, rotation: from.rotation + rotation }, this.cvs)
+
+        return new Promise(resolve => {
+            const transition = { resolve, start: performance.now(), frame: null }
+            this._transition = transition
+
+            const step = (now) => {
+                const t = duration > 0 ? Math.min(1, (now - transition.start) / duration) : 1
+                const e = ease(t)
+
+                const center = {
+                    x: fromCenter.x + (toCenter.x - fromCenter.x) * e,
+                    y: fromCenter.y + (toCenter.y - fromCenter.y) * e
+                }
+                const zoom = from.zoom * Math.pow(target.zoom / from.zoom, e)
+                setViewportState(getStateFromCenter(center, zoom, from.rotation + rotation * e, this.cvs), this.cvs)
+
+                if (t < 1) transition.frame = requestAnimationFrame(step)
+                else {
+                    this._transition = null
+                    resolve(true)
+                }
+            }
+            transition.frame = requestAnimationFrame(step)
+        })
+    }
+
+    /**
+     * Stops the camera transition (its promise is resolved with false).
+     */
+    cancelTransition() {
+        if (!this._transition) return
+        cancelAnimationFrame(this._transition.frame)
+        this._transition.resolve(false)
+        this._transition = null
+    }
+
+
+    // --- Kinetic panning ---
+
+    /**
+     * Records a pan movement. Used to calculate the speed of the glide when the pan drag is released.
+     *
+     * @param {Number} dx The movement in the x-axis (world units)
+     * @param {Number} dy The movement in the y-axis (world units)
+     */
+    trackPan(dx, dy) {
+        const now = performance.now()
+        // Stored in screen pixels, so the speed doesn't depend on the zoom
+        this._panSamples.push({ x: dx * this.cvs.zoom, y: dy * this.cvs.zoom, t: now })
+        this._panSamples = this._panSamples.filter(s => now - s.t <= this.inertiaSampleTime)
+    }
+
+    /**
+     * Starts gliding with the speed of the last pan movements (if `inertia` is enabled).
+     */
+    startGlide() {
+        const samples = this._panSamples
+        this._panSamples = []
+
+        const now = performance.now()
+        if (!this.inertia || samples.length < 2 || now - samples.at(-1).t > this.inertiaSampleTime / 2) return  // The pointer was stopped before releasing
+
+        // Speed in screen pixels per ms
+        const elapsed = Math.max(now - samples[0].t, 1)
+        let vx = samples.reduce((sum, s) => sum + s.x, 0) / elapsed
+        let vy = samples.reduce((sum, s) => sum + s.y, 0) / elapsed
+
+        this.stopGlide()
+        const glide = { last: now, frame: null }
+        this._glide = glide
+
+        const step = (time) => {
+            const dt = Math.max(time - glide.last, 0)
+            glide.last = time
+
+            panBy(vx * dt / this.cvs.zoom, vy * dt / this.cvs.zoom, this.cvs)
+
+            // Apply the friction (defined for frames of 16ms)
+            const decay = Math.pow(this.friction, dt / 16)
+            vx *= decay
+            vy *= decay
+
+            if (Math.hypot(vx, vy) > this.inertiaMinSpeed) glide.frame = requestAnimationFrame(step)
+            else this._glide = null
+        }
+        glide.frame = requestAnimationFrame(step)
+    }
+
+    /**
+     * Stops the kinetic panning.
+     */
+    stopGlide() {
+        if (!this._glide) return
+        cancelAnimationFrame(this._glide.frame)
+        this._glide = null
+    }
+
+
+    // --- Smooth zoom ---
+
+    /**
+     * Zooms smoothly by a factor keeping a point fixed on the screen.
+     *
+     * Consecutive calls accumulate the zoom factor, so the wheel ticks are merged into a single smooth movement.
+     *
+     * @param {Number} factor The zoom factor relative to the target zoom of the current animation (or the current zoom)
+     * @param {Object} point The point that stays fixed on the screen `{x, y}` (world coordinates)
+     */
+    zoomAt(factor, point) {
+        this.cancelTransition()
+        this.stopGlide()
+
+        // The target is limited, so the animation can reach it
+        const constraints = this.cvs.constraints
+        if (this._zoom) {
+            this._zoom.target = constraints.clampZoom(this._zoom.target * factor)
+            this._zoom.point = point
+            return
+        }
+
+        const zoom = { target: constraints.clampZoom(this.cvs.zoom * factor), point, last: performance.now(), frame: null }
+        this._zoom = zoom
+
+        const step = (time) => {
+            const dt = Math.max(time - zoom.last, 0)
+            zoom.last = time
+
+            // Approach the target zoom exponentially
+            const current = this.cvs.zoom
+            let next = zoom.target + (current - zoom.target) * Math.exp(-dt / this.smoothZoomTime)
+            const done = Math.abs(next - zoom.target) / zoom.target < 0.001
+            if (done) next = zoom.target
+
+            // Keep the point at the same position of the screen
+            const { x, y } = this.cvs.canvasPanOffset
+            const { x: px, y: py } = zoom.point
+            setViewportState({ x: px - (px - x) * current / next, y: py - (py - y) * current / next, zoom: next }, this.cvs)
+
+            if (!done) zoom.frame = requestAnimationFrame(step)
+            else this._zoom = null
+        }
+        zoom.frame = requestAnimationFrame(step)
+    }
+
+    /**
+     * Stops the smooth zoom.
+     */
+    stopZoom() {
+        if (!this._zoom) return
+        cancelAnimationFrame(this._zoom.frame)
+        this._zoom = null
+    }
+
+
+    /**
+     * Stops all the animations.
+     */
+    cancel() {
+        this.cancelTransition()
+        this.stopGlide()
+        this.stopZoom()
+    }
+}
+
+
+// ============== Animated camera functions ==============
+
+/**
+ * Animated version of `panTo`. Moves the top-left corner of the view box to the given position.
+ *
+ * @param {number} x The new x position.
+ * @param {number} y The new y position.
+ * @param {Object} options The animation options `{duration, easing}` (see `ViewportAnimator.animateTo`)
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Promise<Boolean>} Resolved with true when the animation is completed, or false if it is cancelled
+ */
+export function panToAnimated(x, y, options = {}, cvs = window.cvs) {
+    return cvs.animator.animateTo({ x, y, zoom: cvs.zoom }, options)
+}
+
+
+/**
+ * Animated version of `zoomTo`. Sets the zoom level keeping the top-left corner of the view box.
+ *
+ * @param {Number} zoom Zoom level to set the canvas to.
+ * @param {Object} options The animation options `{duration, easing}` (see `ViewportAnimator.animateTo`)
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Promise<Boolean>} Resolved with true when the animation is completed, or false if it is cancelled
+ */
+export function zoomToAnimated(zoom, options = {}, cvs = window.cvs) {
+    const { x, y } = cvs.canvasPanOffset
+    return cvs.animator.animateTo({ x, y, zoom }, options)
+}
+
+
+/**
+ * Animated version of `zoomCenterTo`. Sets the zoom level keeping the center of the view box.
+ *
+ * @param {Number} zoom Zoom level to set the canvas to.
+ * @param {Object} options The animation options `{duration, easing}` (see `ViewportAnimator.animateTo`)
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Promise<Boolean>} Resolved with true when the animation is completed, or false if it is cancelled
+ */
+export function zoomCenterToAnimated(zoom, options = {}, cvs = window.cvs) {
+    const center = getCenter(getViewportState(cvs), cvs)
+    return cvs.animator.animateTo(getStateFromCenter(center, zoom, cvs.rotation, cvs), options)
+}
+
+
+/**
+ * Animated version of `rotateTo`. Sets the rotation of the camera keeping the center of the view box.
+ *
+ * @param {Number} rotation The new rotation (radians)
+ * @param {Object} options The animation options `{duration, easing}` (see `ViewportAnimator.animateTo`)
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Promise<Boolean>} Resolved with true when the animation is completed, or false if it is cancelled
+ */
+export function rotateToAnimated(rotation, options = {}, cvs = window.cvs) {
+    const center = getCenter(getViewportState(cvs), cvs)
+    return cvs.animator.animateTo(getStateFromCenter(center, cvs.zoom, rotation, cvs), options)
+}
+
+
+/**
+ * Animated version of `zoomToFit`. Zooms the canvas to fit the given dimensions keeping the top-left corner of the view box.
+ *
+ * @param {Number} toWidth The distance that the canvas should fit in the x-axis
+ * @param {Number} toHeight The distance that the canvas should fit in the y-axis
+ * @param {Object} options The animation options `{duration, easing}` (see `ViewportAnimator.animateTo`)
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Promise<Boolean>} Resolved with true when the animation is completed, or false if it is cancelled
+ */
+export function zoomToFitAnimated(toWidth, toHeight, options = {}, cvs = window.cvs) {
+    const { x, y } = cvs.canvasPanOffset
+    const { width, height } = cvs.$canvas
+    const zoom = Math.min(width / toWidth, height / toHeight)
+    return cvs.animator.animateTo({ x, y, zoom }, options)
+}
+
+
+// ============== Utils ==============
+
+// Offset (world units) from the top-left corner of the screen to its center, for a given zoom and rotation
+function getCenterOffset(zoom, rotation, cvs) {
+    const halfWidth = cvs.$canvas.width / 2 / zoom
+    const halfHeight = cvs.$canvas.height / 2 / zoom
+    const cos = Math.cos(rotation)
+    const sin = Math.sin(rotation)
+    return { x: halfWidth * cos + halfHeight * sin, y: -halfWidth * sin + halfHeight * cos }
+}
+
+// World coordinates of the center of the screen for a viewport state
+function getCenter(state, cvs) {
+    const offset = getCenterOffset(state.zoom, state.rotation, cvs)
+    return { x: state.x + offset.x, y: state.y + offset.y }
+}
+
+// Viewport state that shows a point at the center of the screen
+function getStateFromCenter(center, zoom, rotation, cvs) {
+    const offset = getCenterOffset(zoom, rotation, cvs)
+    return { x: center.x - offset.x, y: center.y - offset.y, zoom, rotation }
+}
@@ -0,0 +1,76 @@
+/**
+ * Calculates the transform of the camera of a canvas instance: the matrix that maps the world coordinates to the screen coordinates (relative to the canvas element).
+ *
+ * The camera is defined by the pan offset (`cvs.canvasPanOffset`, the world coordinates shown at the top-left corner), the zoom (`cvs.zoom`) and the rotation around that corner (`cvs.rotation`).
+ *
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Object} The matrix `{a, b, c, d, e, f}` (same format as `DOMMatrix`, so it can be passed to `ctx.setTransform`)
+ */
+export function getTransform(cvs = window.cvs) {
+    const { x, y } = cvs.canvasPanOffset
+    const zoom = cvs.zoom
+    const cos = Math.cos(cvs.rotation) * zoom
+    const sin = Math.sin(cvs.rotation) * zoom
+    return { a: cos, b: sin, c: -sin, d: cos, e: -(cos * x - sin * y), f: -(sin * x + cos * y) }
+}
+
+
+/**
+ * Replaces the transform of the context with the transform of the camera.
+ *
+ * This function is called at the start of each frame by `mainLoop`, so the drawings use world coordinates even if the previous frame changed the transform. Call it again after drawing in screen space with a custom transform.
+ *
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ */
+export function applyCameraTransform(cvs = window.cvs) {
+    cvs.ctx.setTransform(getTransform(cvs))
+}
+
+
+/**
+ * Converts a point from world coordinates to screen coordinates (relative to the canvas element).
+ *
+ * @param {Object} point The point `{x, y}` in world coordinates
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Object} The point `{x, y}` in screen coordinates
+ */
+export function worldToScreen({ x, y }, cvs = window.cvs) {
+    const { a, b, c, d, e, f } = getTransform(cvs)
+    return {
+        x: a * x + c * y + e,
+        y: b * x + d * y + f
+    }
+}
+
+
+/**
+ * Converts a point from screen coordinates (relative to the canvas element) to world coordinates.
+ *
+ * @param {Object} point The point `{x, y}` in screen coordinates
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Object} The point `{x, y}` in world coordinates
+ */
+export function screenToWorld({ x, y }, cvs = window.cvs) {
+    const { a, b, c, d, e, f } = getTransform(cvs)
+    const det = a * d - b * c
+    const dx = x - e
+    const dy = y - f
+    return {
+        x: (d * dx - c * dy) / det,
+        y: (a * dy - b * dx) / det
+    }
+}
+
+
+/**
+ * Converts a point from client coordinates (e.g. `clientX` and `clientY` of a mouse event) to screen coordinates (relative to the canvas element).
+ *
+ * @param {Number} clientX The x coordinate relative to the browser viewport
+ * @param {Number} clientY The y coordinate relative to the browser viewport
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Object} The point `{x, y}` in screen coordinates
+ */
+export function clientToScreen(clientX, clientY, cvs = window.cvs) {
+    const rect = cvs.$canvas.getBoundingClientRect()
+    return { x: clientX - rect.left, y: clientY - rect.top }
+}
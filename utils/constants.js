@@ -3,8 +3,96 @@ export default {
     PAN_KEY: "Space",
     PAN_MOUSE_BUTTON: 1,  // Middle mouse button
     DOUBLE_CLICK_DELAY: 300,
+    KEY_SEQUENCE_TIMEOUT: 1000,  // Maximum time (ms) between two chords of a shortcut sequence (e.g. "g g")
 
     // --- Graph ---
-    CLEAN_MARGIN: 100,
+    CLEAN_MARGIN: 100,  // Extra distance (screen pixels) around the view box, e.g. to cull the items drawn outside of it (see `visibleItems`)
     BACKGROUND_COLOR: "#eeeeee",
+
+    // --- Viewport constraints ---
+    MIN_ZOOM: 0.01,
+    MAX_ZOOM: 100,
+    ELASTIC_RESISTANCE: 0.3,  // Fraction of the movement applied beyond the limits in elastic mode
+    ELASTIC_MAX_OVERSHOOT: 150,  // Maximum distance (screen pixels) the pan bounds can be exceeded in elastic mode
+    ELASTIC_MAX_ZOOM_OVERSHOOT: 1.5,  // Maximum factor the zoom limits can be exceeded in elastic mode
+    ELASTIC_DURATION: 300,  // Duration (ms) of the rubber-band animation
+
+    // --- Touch gestures ---
+    TAP_MAX_DURATION: 250,  // Maximum time (ms) a finger can be down to be a tap
+    TAP_MAX_DISTANCE: 10,  // Maximum distance (screen pixels) a finger can move to be a tap or a long press
+    DOUBLE_TAP_DELAY: 300,  // Maximum time (ms) between two taps to be a double tap
+    DOUBLE_TAP_DISTANCE: 30,  // Maximum distance (screen pixels) between two taps to be a double tap
+    LONG_PRESS_DELAY: 500,  // Time (ms) a finger must be down without moving to be a long press
+    SWIPE_MIN_DISTANCE: 50,  // Minimum distance (screen pixels) of a swipe
+    SWIPE_MIN_VELOCITY: 0.3,  // Minimum speed (screen pixels per ms) of a swipe
+
+    // --- Rotation ---
+    ROTATE_STEP: Math.PI / 12,  // Angle (radians) rotated by the keyboard shortcuts
+    ROTATE_CW_SHORTCUTS: ["shift+e"],
+    ROTATE_CCW_SHORTCUTS: ["shift+q"],
+    ROTATE_RESET_SHORTCUTS: ["shift+r"],
+
+    // --- Grid ---
+    GRID_SIZE: 50,  // Base spacing of the grid (world units)
+    GRID_SUBDIVISIONS: 5,  // Minor cells between two major lines
+    GRID_MIN_SPACING: 10,  // Minimum distance (screen pixels) between two minor lines
+    GRID_COLOR: "#dddddd",
+    GRID_MAJOR_COLOR: "#c8c8c8",
+
+    // --- Scene ---
+    HIT_TOLERANCE: 4,  // Extra distance (screen pixels) allowed to hit thin shapes like lines
+    CLICK_MOVE_TOLERANCE: 3,  // Distance (screen pixels) the mouse can move before a click becomes a drag
+
+    // --- Spatial index ---
+    SPATIAL_MAX_ITEMS: 8,  // Items a node of the quadtree can hold before it is split
+    SPATIAL_MAX_DEPTH: 16,  // Maximum depth of the quadtree
+
+    // --- Selection ---
+    SELECTION_MIN_DISTANCE: 3,  // Distance (screen pixels) the mouse must move before a click becomes a selection
+    SELECTION_LASSO_SPACING: 4,  // Minimum distance (screen pixels) between two points of the lasso
+
+    // --- Ink ---
+    INK_WIDTH: 3,  // Width (screen pixels) of the new strokes
+    INK_FILTER_MIN_CUTOFF: 1,  // Minimum cutoff frequency (Hz) of the one-euro filter
+    INK_FILTER_BETA: 0.05,  // Speed coefficient of the one-euro filter
+    INK_MIN_DISTANCE: 2,  // Minimum distance (screen pixels) between two recorded points
+    INK_SIMPLIFY_TOLERANCE: 1,  // Maximum distance (screen pixels) between a removed point and the simplified stroke
+    INK_SPLINE_SEGMENTS: 8,  // Segments of the spline between two points of a stroke
+
+    // --- Rulers ---
+    RULER_SIZE: 20,  // Thickness of the rulers (screen pixels)
+    RULER_MIN_SPACING: 50,  // Minimum distance (screen pixels) between two labeled ticks
+    GUIDE_SNAP_DISTANCE: 8,  // Maximum distance (screen pixels) from a guide to snap to it
+
+    // --- Minimap ---
+    MINIMAP_WIDTH: 200,  // Screen pixels
+    MINIMAP_HEIGHT: 150,  // Screen pixels
+    MINIMAP_MARGIN: 10,  // Distance to the edges of the canvas (screen pixels)
+    MINIMAP_REFRESH_RATE: 500,  // Time (ms) between two renderings of the content
+
+    // --- Animation ---
+    ANIMATION_DURATION: 300,  // Default duration (ms) of the camera transitions
+    ANIMATION_EASING: "easeInOutCubic",  // Default easing of the camera transitions (see `EASINGS` in utils/animation.js)
+    INERTIA_FRICTION: 0.92,  // Factor applied to the speed of the kinetic panning every 16ms
+    INERTIA_MIN_SPEED: 0.02,  // Speed (screen pixels per ms) under which the kinetic panning stops
+    INERTIA_SAMPLE_TIME: 100,  // Time (ms) of the last pan movements used to calculate the speed of the glide
+    SMOOTH_ZOOM_TIME: 80,  // Time constant (ms) of the smooth wheel zoom
+    WHEEL_ZOOM_STEP: 1.1,  // Zoom factor of a wheel tick (delta of 100)
+
+    // --- Render loop ---
+    FIXED_TIMESTEP: 1000 / 60,  // Time (ms) simulated by each call of the update callback
+    MAX_UPDATE_STEPS: 5,  // Maximum number of updates per frame
+
+    // --- Debug panel ---
+    DEBUG_SHORTCUTS: ["shift+d"],  // Shortcuts that toggle the debug mode
+    DEBUG_PANEL_WIDTH: 260,  // Screen pixels
+    DEBUG_LOG_SIZE: 100,  // Maximum number of entries kept in the event log
+    DEBUG_LOG_LINES: 8,  // Number of recent entries shown by the event log
+    DEBUG_GRAPH_SAMPLES: 120,  // Number of frames shown by the frame time graph
+
+    // --- History ---
+    HISTORY_MAX_DEPTH: 100,  // Maximum number of commands that can be undone
+    HISTORY_MERGE_DELAY: 500,  // Time (ms) in which consecutive viewport changes are merged into a single command
+    UNDO_SHORTCUTS: ["control+z", "meta+z"],  // The modifiers go in the order of `getPressedShortcut` (control, alt, shift, meta)
+    REDO_SHORTCUTS: ["control+shift+z", "control+y", "shift+meta+z"],
 }
\ No newline at end of file
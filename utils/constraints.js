@@ -0,0 +1,192 @@
+import constants from "./constants"
+import { getViewportState } from "./history"
+
+/**
+ * Limits of the viewport of a canvas instance: minimum/maximum zoom and a world rectangle the view box must stay inside (or overlap).
+ *
+ * Every change of the viewport goes through `zoomBy` and `panBy`, which ask the constraints for the allowed values. So the wheel, the touch pinch, the animations and the functions `zoomTo`, `panTo`, `zoomToFit`, etc. respect them.
+ *
+ * In elastic mode, the user can drag (or pinch) beyond the limits with some resistance, and the viewport rubber-bands back when the gesture is released.
+ *
+ * **Options**
+ * @property {Number} minZoom - Minimum zoom level
+ * @property {Number} maxZoom - Maximum zoom level
+ * @property {Object} bounds - World rectangle that limits the pan `{x, y, width, height}` (null to pan freely)
+ * @property {String} boundsMode - "inside": the view box must stay inside the bounds (centered if it's larger than them). "overlap": the view box must overlap the bounds
+ * @property {Boolean} elastic - Whether the pan and pinch gestures can exceed the limits temporarily
+ * @property {Number} resistance - Fraction of the movement applied beyond the limits in elastic mode (between 0 and 1)
+ * @property {Number} maxOvershoot - Maximum distance (screen pixels) the pan bounds can be exceeded in elastic mode
+ * @property {Number} maxZoomOvershoot - Maximum factor the zoom limits can be exceeded in elastic mode
+ * @property {Number} springDuration - Duration (ms) of the rubber-band animation
+ */
+export class ViewportConstraints {
+    constructor(cvs) {
+        this.cvs = cvs
+
+        // --- Options ---
+        this.minZoom = constants.MIN_ZOOM
+        this.maxZoom = constants.MAX_ZOOM
+        this.bounds = null
+        this.boundsMode = "inside"
+        this.elastic = false
+        this.resistance = constants.ELASTIC_RESISTANCE
+        this.maxOvershoot = constants.ELASTIC_MAX_OVERSHOOT
+        this.maxZoomOvershoot = constants.ELASTIC_MAX_ZOOM_OVERSHOOT
+        this.springDuration = constants.ELASTIC_DURATION
+
+        // --- State ---
+        this._spring = null  // Current rubber-band animation (the limits are not applied while it runs)
+    }
+
+    /**
+     * Whether the limits can be exceeded at this moment (elastic mode and the user is panning or pinching).
+     */
+    get elasticActive() {
+        return this.elastic && (this.cvs.panning || this.cvs.gestures.pinching)
+    }
+
+
+    // --- Limits ---
+
+    /**
+     * Clamps a zoom level between `minZoom` and `maxZoom`.
+     *
+     * @param {Number} zoom The zoom level
+     * @returns {Number} The closest allowed zoom level
+     */
+    clampZoom(zoom) {
+        return Math.min(Math.max(zoom, this.minZoom), this.maxZoom)
+    }
+
+    /**
+     * Calculates the allowed range of the top-left corner of the view box (`cvs.canvasPanOffset`) for a given zoom level and the current rotation.
+     *
+     * @param {Number} zoom The zoom level
+     * @returns {Object} The range `{minX, maxX, minY, maxY}`, or null if there are no bounds
+     */
+    getPanLimits(zoom) {
+        if (!this.bounds) return null
+
+        const { x, y, width, height } = this.bounds
+
+        // Bounding box of the visible area relative to the top-left corner of the screen (the limits are applied to the box, since the view can be rotated)
+        const { width: canvasWidth, height: canvasHeight } = this.cvs.$canvas
+        const cos = Math.cos(this.cvs.rotation) / zoom
+        const sin = Math.sin(this.cvs.rotation) / zoom
+        const corners = [[0, 0], [canvasWidth, 0], [canvasWidth, canvasHeight], [0, canvasHeight]].map(([sx, sy]) => ({ x: sx * cos + sy * sin, y: -sx * sin + sy * cos }))
+        const left = Math.min(...corners.map(c => c.x))
+        const top = Math.min(...corners.map(c => c.y))
+        const viewWidth = Math.max(...corners.map(c => c.x)) - left
+        const viewHeight = Math.max(...corners.map(c => c.y)) - top
+
+        // Range of the top-left corner of the bounding box on each axis
+        const range = (start, size, viewSize) => {
+            if (this.boundsMode === "overlap") return [start - viewSize, start + size]
+            // Inside (the view box is centered on the axes where it's larger than the bounds)
+            return viewSize <= size ? [start, start + size - viewSize] : Array(2).fill(start + (size - viewSize) / 2)
+        }
+        const [minX, maxX] = range(x, width, viewWidth)
+        const [minY, maxY] = range(y, height, viewHeight)
+
+        // Limits of the top-left corner of the screen
+        return { minX: minX - left, maxX: maxX - left, minY: minY - top, maxY: maxY - top }
+    }
+
+    /**
+     * Calculates the closest allowed state of the viewport.
+     *
+     * @param {Object} state The state of the viewport `{x, y, zoom}`
+     * @returns {Object} The allowed state `{x, y, zoom}`
+     */
+    constrain(state) {
+        const zoom = this.clampZoom(state.zoom)
+        const limits = this.getPanLimits(zoom)
+        if (!limits) return { x: state.x, y: state.y, zoom }
+
+        return {
+            x: Math.min(Math.max(state.x, limits.minX), limits.maxX),
+            y: Math.min(Math.max(state.y, limits.minY), limits.maxY),
+            zoom
+        }
+    }
+
+
+    // --- Used by `zoomBy` and `panBy` ---
+
+    /**
+     * Calculates the zoom level that can be applied instead of the requested one.
+     *
+     * @param {Number} zoom The requested zoom level
+     * @returns {Number} The allowed zoom level
+     */
+    constrainZoom(zoom) {
+        if (this._spring) return zoom
+
+        if (this.elasticActive) {
+            // Resist in logarithmic scale, so zooming in and out feel the same
+            const log = this._resist(Math.log(this.cvs.zoom), Math.log(zoom), Math.log(this.minZoom), Math.log(this.maxZoom), Math.log(this.maxZoomOvershoot))
+            return Math.exp(log)
+        }
+
+        return this.clampZoom(zoom)
+    }
+
+    /**
+     * Calculates the position of the top-left corner of the view box that can be applied instead of the requested one.
+     *
+     * @param {Object} current The current position `{x, y}`
+     * @param {Object} next The requested position `{x, y}`
+     * @param {Number} zoom The zoom level
+     * @returns {Object} The allowed position `{x, y}`
+     */
+    constrainPan(current, next, zoom) {
+        const limits = this.getPanLimits(zoom)
+        if (!limits || this._spring) return next
+
+        if (this.elasticActive) {
+            const maxOvershoot = this.maxOvershoot / zoom
+            return {
+                x: this._resist(current.x, next.x, limits.minX, limits.maxX, maxOvershoot),
+                y: this._resist(current.y, next.y, limits.minY, limits.maxY, maxOvershoot)
+            }
+        }
+
+        return {
+            x: Math.min(Math.max(next.x, limits.minX), limits.maxX),
+            y: Math.min(Math.max(next.y, limits.minY), limits.maxY)
+        }
+    }
+
+
+    // --- Elastic mode ---
+
+    /**
+     * Animates the viewport back to the closest allowed state (used when the gestures are released in elastic mode).
+     *
+     * @returns {Promise<Boolean>} Resolved with true when the viewport is inside the limits, or false if the animation is cancelled
+     */
+    springBack() {
+        const state = getViewportState(this.cvs)
+        const target = this.constrain(state)
+        if (target.x === state.x && target.y === state.y && target.zoom === state.zoom) return Promise.resolve(true)
+
+        const spring = this.cvs.animator.animateTo(target, { duration: this.springDuration, easing: "easeOutCubic" })
+        this._spring = spring
+        return spring.finally(() => {
+            if (this._spring === spring) this._spring = null
+        })
+    }
+
+    // Reduces the movement that goes beyond the limits (only when moving away from them)
+    _resist(current, next, min, max, maxOvershoot) {
+        if (next < min && next < current) {
+            const from = Math.min(current, min)
+            return Math.max(from - (from - next) * this.resistance, Math.min(current, min - maxOvershoot))
+        }
+        if (next > max && next > current) {
+            const from = Math.max(current, max)
+            return Math.min(from + (next - from) * this.resistance, Math.max(current, max + maxOvershoot))
+        }
+        return next
+    }
+}
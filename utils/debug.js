@@ -0,0 +1,535 @@
+import constants from "./constants"
+import { handleShortcut } from "./keyboard"
+
+const LINE_HEIGHT = 14  // Screen pixels
+const HEADER_HEIGHT = 18  // Height of the title bar and the headers of the sections (screen pixels)
+const GRAPH_HEIGHT = 40  // Screen pixels
+const PADDING = 6  // Screen pixels
+const TARGET_FRAME_TIME = 1000 / 60  // Reference line of the frame time graph (ms)
+
+/**
+ * Debug panel of a canvas instance (`cvs.debugPanel`), shown while the debug mode is enabled (`cvs.debug`).
+ *
+ * The panel is an element of the HUD (see `utils/hud.js`) made of collapsible sections. Clicking the header of a section collapses or expands it, and dragging the title bar moves the panel.
+ * Dragging the header of a section out of the panel detaches the section: it is drawn as a separate box, moved by dragging its header, and docked again when it is dropped over the panel (see `detachSection` and `dockSection`).
+ * The built-in sections are:
+ * - "performance": FPS and a graph of the time between the last frames
+ * - "camera": pan offset, zoom, rotation and mouse coordinates
+ * - "input": mouse buttons, pointer, keys and touches
+ * - "log": the most recent input events (see `log`)
+ * - "data": the strings returned by `cvs.debugData` and passed to `cvs.drawDebugInfo`
+ * - "controls": the toggles (see `addToggle`) and the buttons of `cvs.debugCommands`
+ *
+ * The apps can add their own sections with `addSection`, which are kept until they are removed.
+ * Besides the panel, the touches and the functions of `cvs.debugFunctions` are drawn in world coordinates on every frame.
+ *
+ * **Options**
+ * @property {Array} shortcuts - Shortcuts that toggle the debug mode (e.g. "shift+d", see `getPressedShortcut`). Use an empty array to disable them
+ * @property {String} anchor - Corner or edge of the canvas the panel is anchored to (see `anchorRect`)
+ * @property {Number} x - Distance from the panel to the anchored edge (screen pixels, changed when the panel is dragged)
+ * @property {Number} y - Distance from the panel to the anchored edge (screen pixels, changed when the panel is dragged)
+ * @property {Number} width - Width of the panel (screen pixels)
+ * @property {Number} logSize - Maximum number of entries kept in the event log
+ * @property {Number} logLines - Number of recent entries shown by the "log" section
+ * @property {Number} graphSamples - Number of frames shown by the frame time graph
+ * @property {String} background - Background color of the panel
+ * @property {String} color - Color of the text
+ */
+export class DebugPanel {
+    constructor(cvs) {
+        this.cvs = cvs
+
+        // --- Options ---
+        this.shortcuts = [...constants.DEBUG_SHORTCUTS]
+        this.anchor = "top-right"
+        this.x = 10
+        this.y = 10
+        this.width = constants.DEBUG_PANEL_WIDTH
+        this.logSize = constants.DEBUG_LOG_SIZE
+        this.logLines = constants.DEBUG_LOG_LINES
+        this.graphSamples = constants.DEBUG_GRAPH_SAMPLES
+        this.background = "#ffffffdd"
+        this.color = "black"
+
+        // --- State ---
+        this.sections = []  // Sections of the panel (in drawing order)
+        this.toggles = new Map()  // Toggles of the "controls" section indexed by their id
+        this.entries = []  // Entries of the event log `{time, message}`
+        this.data = []  // Strings passed to `drawDebugInfo` for the current frame
+        this._frameTimes = []  // Time between the last frames (ms)
+        this._rows = new Map()  // Rows drawn in the last frame by the panel and the detached sections `{y, height, action, drag, section}` (element coordinates, used to handle the clicks), indexed by their element
+        this._drag = null  // State of the pressed row `{element, row, point, origin, moved}`, where `origin` is the position of the dragged box when it was pressed
+
+        this.addSection("performance", { title: "Performance", draw: (ctx, width) => this._drawPerformance(ctx, width), height: LINE_HEIGHT + GRAPH_HEIGHT + 4 })
+        this.addSection("camera", { title: "Camera", lines: () => this._getCameraLines() })
+        this.addSection("input", { title: "Input", lines: () => this._getInputLines() })
+        this.addSection("log", { title: "Event log", lines: () => this.entries.slice(-this.logLines).map(entry => `${(entry.time / 1000).toFixed(2)}s ${entry.message}`) })
+        this.addSection("data", { title: "Data", lines: () => [...(cvs.debugData?.() ?? []), ...this.data] })
+        this.addSection("controls", { title: "Controls", rows: () => this._getControlRows() })
+
+        // The panel is drawn and clicked through the HUD
+        this.element = this._createElement(null)
+
+        // Frame times
+        cvs.events.on("frame", (time, delta) => {
+            if (!delta || cvs.exporting) return  // The first frame after waiting and the exports are not measured
+            this._frameTimes.push(delta)
+            if (this._frameTimes.length > this.graphSamples) this._frameTimes.splice(0, this._frameTimes.length - this.graphSamples)
+        })
+
+        // The data of `drawDebugInfo` is passed again on every frame (cleared once the panel and the detached sections are drawn)
+        cvs.events.on("hud", () => this.data = [])
+    }
+
+
+    // --- Sections ---
+
+    /**
+     * Adds a section to the panel.
+     *
+     * The content of a section is defined by one of these properties:
+     * - `lines(cvs)`: Function that returns the strings shown in the section (one per line)
+     * - `draw(ctx, width, cvs)` and `height`: Function that draws the content of the section, with the origin at its top-left corner, and the height of the content (screen pixels)
+     *
+     * @param {String} id The id of the section
+     * @param {Object} section
+     * @param {String} section.title The title shown in the header of the section (defaults to the id)
+     * @param {Function} section.lines Function that returns the lines of the section
+     * @param {Function} section.draw Function that draws the section
+     * @param {Number} section.height The height of the content drawn by `draw`
+     * @param {Function} section.rows Function that returns clickable rows instead of lines `{height, draw(ctx, width), action()}` (used by the "controls" section)
+     * @param {Boolean} section.collapsed Whether the section starts collapsed (default: false)
+     * @returns {Object} The section (with the position `x` and `y` of its box and its HUD `element` while it is detached)
+     * @throws {Error} If there is already a section with the same id
+     */
+    addSection(id, { title = id, lines, draw, height = 0, rows, collapsed = false }) {
+        if (this.getSection(id)) throw new Error(`Duplicate debug section id: ${id}`)
+
+        const section = { id, title, lines, draw, height, rows, collapsed, x: 0, y: 0, element: null }
+        this.sections.push(section)
+        this.cvs.loop.invalidate()
+        return section
+    }
+
+    /**
+     * Removes a section from the panel.
+     *
+     * @param {String} id The id of the section
+     * @returns {Boolean} True if the section existed
+     */
+    removeSection(id) {
+        this.dockSection(id)  // Removes the box of the section from the HUD
+
+        const count = this.sections.length
+        this.sections = this.sections.filter(section => section.id !== id)
+        this.cvs.loop.invalidate()
+        return this.sections.length !== count
+    }
+
+    /**
+     * Returns a section by its id.
+     *
+     * @param {String} id The id of the section
+     * @returns {Object} The section (undefined if it doesn't exist)
+     */
+    getSection(id) {
+        return this.sections.find(section => section.id === id)
+    }
+
+    /**
+     * Detaches a section from the panel: the section is drawn as a separate box (anchored to the top-left corner of the canvas), which is moved by dragging its header.
+     *
+     * @param {String} id The id of the section
+     * @param {Number} x The distance from the box to the left edge of the canvas (screen pixels)
+     * @param {Number} y The distance from the box to the top edge of the canvas (screen pixels)
+     * @returns {Object} The section (undefined if it doesn't exist)
+     */
+    detachSection(id, x = 0, y = 0) {
+        const section = this.getSection(id)
+        if (!section) return
+
+        Object.assign(section, { x, y })
+        if (section.element) Object.assign(section.element, this._getBox(section))
+        else section.element = this._createElement(section)
+        this.cvs.loop.invalidate()
+        return section
+    }
+
+    /**
+     * Docks a detached section back into the panel, in its original place.
+     *
+     * @param {String} id The id of the section
+     * @returns {Boolean} True if the section was detached
+     */
+    dockSection(id) {
+        const section = this.getSection(id)
+        if (!section?.element) return false
+
+        this.cvs.hud.remove(section.element)
+        this._rows.delete(section.element)
+        section.element = null
+        return true
+    }
+
+    /**
+     * Shows or hides the panel and the detached sections (used by the `debug` setter of the instance).
+     *
+     * @param {Boolean} visible Whether the panel is visible
+     */
+    setVisible(visible) {
+        this.element.visible = visible
+        this.sections.forEach(section => { if (section.element) section.element.visible = visible })
+    }
+
+
+    // --- Toggles ---
+
+    /**
+     * Adds a toggle to the "controls" section. Clicking the toggle switches its value.
+     *
+     * @param {String} id The id of the toggle
+     * @param {Object} toggle
+     * @param {String} toggle.label The text of the toggle (defaults to the id)
+     * @param {Boolean} toggle.value The initial value (default: false)
+     * @param {Function} toggle.onChange Function called with the new value when the toggle is switched
+     * @returns {Object} The toggle (read `toggle.value` to check its state)
+     */
+    addToggle(id, { label = id, value = false, onChange } = {}) {
+        const toggle = { id, label, value, onChange }
+        this.toggles.set(id, toggle)
+        this.cvs.loop.invalidate()
+        return toggle
+    }
+
+    /**
+     * Removes a toggle from the "controls" section.
+     *
+     * @param {String} id The id of the toggle
+     * @returns {Boolean} True if the toggle existed
+     */
+    removeToggle(id) {
+        const removed = this.toggles.delete(id)
+        this.cvs.loop.invalidate()
+        return removed
+    }
+
+
+    // --- Event log ---
+
+    /**
+     * Adds an entry to the event log (used by the event handlers while the debug mode is enabled).
+     *
+     * @param {String} message The text of the entry (e.g. "Key down: KeyA")
+     */
+    log(message) {
+        this.entries.push({ time: performance.now(), message })
+        if (this.entries.length > this.logSize) this.entries.splice(0, this.entries.length - this.logSize)
+    }
+
+    /**
+     * Removes the entries of the event log.
+     */
+    clearLog() {
+        this.entries = []
+    }
+
+
+    // --- Drawing ---
+
+    /**
+     * Calculates the frames per second from the times of the last frames.
+     *
+     * @returns {Number} The frames per second (0 if no frame was measured)
+     */
+    getFps() {
+        const times = this._frameTimes.slice(-30)
+        if (!times.length) return 0
+        return 1000 / (times.reduce((sum, time) => sum + time, 0) / times.length)
+    }
+
+    /**
+     * Draws the overlays of the debug mode in world coordinates: the touches and the functions of `cvs.debugFunctions` (used by the main loop after the world drawings, not included in the exports).
+     */
+    drawOverlays() {
+        const cvs = this.cvs
+        if (!cvs.debug || cvs.exporting) return
+
+        const ctx = cvs.ctx
+        ctx.save()
+
+        // Call the debug functions
+        for (let f in cvs.debugFunctions) cvs.debugFunctions[f]()
+        cvs.debugFunctions = {}
+
+        // Touches
+        cvs.gestures.touches.forEach(touch => {
+            ctx.fillStyle = "#f008"
+            ctx.beginPath()
+            ctx.arc(touch.x, touch.y, 25, 0, 2 * Math.PI)
+            ctx.fillText(touch.id, touch.x + 3, touch.y + 40)
+            ctx.fill()
+        })
+
+        ctx.restore()
+    }
+
+    // Draws the panel or a detached section (called by the HUD with the origin at the top-left corner of the element)
+    _draw(ctx, element, section) {
+        const cvs = this.cvs
+        const rows = this._layout(section)
+
+        // Keep the element in sync with the options (the height is known once the rows are laid out)
+        Object.assign(element, this._getBox(section))
+        element.height = rows.reduce((height, row) => height + row.height, 0) + PADDING
+
+        // Position of the pointer in the element (used to highlight the buttons), from its screen coordinates like the rest of the HUD
+        const rect = cvs.hud.getRect(element)
+        const pointer = cvs.hud.hovered === element ? cvs.lastPointerPosition : null
+        const mouse = pointer ? { x: pointer.x - rect.x, y: pointer.y - rect.y } : null
+
+        ctx.fillStyle = this.background
+        ctx.fillRect(0, 0, this.width, element.height)
+        ctx.strokeStyle = "#888888"
+        ctx.strokeRect(0, 0, this.width, element.height)
+
+        ctx.font = "12px monospace"
+        ctx.textBaseline = "middle"
+        if (!section) cvs.debugCommandHover = null  // The panel is drawn before the detached sections
+
+        let y = 0
+        for (const row of rows) {
+            const hovered = row.action && mouse && mouse.y >= y && mouse.y < y + row.height
+            if (hovered) {
+                ctx.fillStyle = "#8884"
+                ctx.fillRect(0, y, this.width, row.height)
+                if (row.command) cvs.debugCommandHover = row.command
+            }
+
+            ctx.save()
+            ctx.translate(0, y)
+            ctx.fillStyle = this.color
+            row.draw(ctx, this.width)
+            ctx.restore()
+
+            row.y = y
+            y += row.height
+        }
+        this._rows.set(element, rows)
+    }
+
+    // Rows of the panel (the title bar and the docked sections) or of a detached section
+    _layout(section) {
+        if (section) return this._getSectionRows(section)
+
+        const rows = [{
+            height: HEADER_HEIGHT,
+            draw: (ctx, width) => {
+                ctx.fillStyle = "#8882"
+                ctx.fillRect(0, 0, width, HEADER_HEIGHT)
+                ctx.fillStyle = this.color
+                ctx.fillText(`Debug (${this.shortcuts.join(", ") || "no shortcut"})`, PADDING, HEADER_HEIGHT / 2)
+            },
+            drag: true
+        }]
+        for (const section of this.sections) {
+            if (!section.element) rows.push(...this._getSectionRows(section))
+        }
+        return rows
+    }
+
+    // Rows of a section: the header (clicked to collapse the section and dragged to move it) and the content
+    _getSectionRows(section) {
+        const cvs = this.cvs
+        const text = (value, x = PADDING) => (ctx) => ctx.fillText(value, x, LINE_HEIGHT / 2)
+        const lines = section.lines?.(cvs)
+        const content = section.rows?.(cvs)
+        const empty = (Array.isArray(lines) && !lines.length) || (Array.isArray(content) && !content.length)
+        if (empty && !section.element) return []  // Empty sections are hidden from the panel
+
+        const rows = [{
+            height: HEADER_HEIGHT,
+            draw: (ctx, width) => {
+                if (section.element) {
+                    ctx.fillStyle = "#8882"
+                    ctx.fillRect(0, 0, width, HEADER_HEIGHT)
+                    ctx.fillStyle = this.color
+                }
+                ctx.fillText(`${section.collapsed ? "▸" : "▾"} ${section.title}`, PADDING, HEADER_HEIGHT / 2)
+            },
+            action: () => section.collapsed = !section.collapsed,
+            section
+        }]
+        if (section.collapsed) return rows
+
+        if (lines) rows.push(...lines.map(line => ({ height: LINE_HEIGHT, draw: text(String(line), PADDING * 2) })))
+        else if (content) rows.push(...content)
+        else if (section.draw) rows.push({ height: section.height, draw: (ctx, width) => section.draw(ctx, width, cvs) })
+        return rows
+    }
+
+    _drawPerformance(ctx, width) {
+        const times = this._frameTimes
+        const frameTime = times.at(-1) ?? 0
+        ctx.fillText(`FPS: ${this.getFps().toFixed(1)}  Frame: ${frameTime.toFixed(1)}ms`, PADDING * 2, LINE_HEIGHT / 2)
+
+        // Graph of the frame times (the scale fits the slowest frame, and at least two frames of 60 FPS)
+        const graph = { x: PADDING * 2, y: LINE_HEIGHT + 2, width: width - PADDING * 4, height: GRAPH_HEIGHT }
+        const max = Math.max(TARGET_FRAME_TIME * 2, ...times)
+        const barWidth = graph.width / this.graphSamples
+
+        ctx.fillStyle = "#8882"
+        ctx.fillRect(graph.x, graph.y, graph.width, graph.height)
+        times.forEach((time, i) => {
+            const height = time / max * graph.height
+            ctx.fillStyle = time > TARGET_FRAME_TIME * 1.5 ? "#d33" : "#3a3"
+            ctx.fillRect(graph.x + (this.graphSamples - times.length + i) * barWidth, graph.y + graph.height - height, Math.max(barWidth, 1), height)
+        })
+
+        // Reference line of 60 FPS
+        const targetY = graph.y + graph.height - TARGET_FRAME_TIME / max * graph.height
+        ctx.fillStyle = "#0008"
+        ctx.fillRect(graph.x, targetY, graph.width, 1)
+    }
+
+    _getCameraLines() {
+        const cvs = this.cvs
+        return [
+            `Mouse: (${cvs.x.toFixed(2)}) - (${cvs.y.toFixed(2)})`,
+            `Pan offset: (${cvs.canvasPanOffset.x.toFixed(2)}) - (${cvs.canvasPanOffset.y.toFixed(2)})`,
+            `Zoom: ${cvs.zoom.toFixed(3)}`,
+            `Rotation: ${(cvs.rotation * 180 / Math.PI).toFixed(1)}°`,
+            `Size: ${cvs.$canvas.width} x ${cvs.$canvas.height}`,
+        ]
+    }
+
+    _getInputLines() {
+        const cvs = this.cvs
+        return [
+            `Mouse down: ${cvs.mouseDown}`,
+            `Pointer: ${cvs.pointer ? `${cvs.pointer.type} (pressure: ${cvs.pointer.pressure.toFixed(2)})` : "None"}`,
+            `Dragging origin: ${cvs.draggingOrigin ? `(${cvs.draggingOrigin.x.toFixed(2)}) - (${cvs.draggingOrigin.y.toFixed(2)})` : "None"}`,
+            `Key: ${cvs.key}`,
+            `Keys down: ${Object.keys(cvs.keysDown).filter(k => cvs.keysDown[k]).join("+") || "None"}`,
+            `Double click ready: ${Date.now() - cvs.lastMouseDown < cvs.doubleClickDelay ? "Yes" : "No"}`,
+            `Touches: ${cvs.gestures.count}${cvs.gestures.pinching ? " (pinching)" : ""}`,
+        ]
+    }
+
+    // Rows of the "controls" section: a checkbox per toggle and a button per debug command
+    _getControlRows() {
+        const toggles = [...this.toggles.values()].map(toggle => ({
+            height: LINE_HEIGHT + 4,
+            draw: (ctx) => ctx.fillText(`[${toggle.value ? "x" : " "}] ${toggle.label}`, PADDING * 2, (LINE_HEIGHT + 4) / 2),
+            action: () => {
+                toggle.value = !toggle.value
+                toggle.onChange?.(toggle.value)
+            }
+        }))
+        const commands = this.cvs.debugCommands.map(command => ({
+            height: LINE_HEIGHT + 6,
+            draw: (ctx, width) => {
+                ctx.fillStyle = "#8888"
+                ctx.fillRect(PADDING * 2, 1, width - PADDING * 4, LINE_HEIGHT + 4)
+                ctx.fillStyle = this.color
+                ctx.fillText(command.label, PADDING * 3, (LINE_HEIGHT + 6) / 2)
+            },
+            action: () => command.callback(),
+            command
+        }))
+        return [...toggles, ...commands]
+    }
+
+
+    // --- Events (called by the HUD) ---
+
+    // Adds an element to the HUD for the panel (null section) or for a detached section
+    _createElement(section) {
+        return this.cvs.hud.add({
+            ...this._getBox(section),
+            visible: Boolean(this.cvs.debug),
+            draw: (ctx, rect, element) => this._draw(ctx, element, section),
+            onPress: (button, point, element) => this._press(element, point),
+            onDrag: (point) => this._dragTo(point),
+            onRelease: (button, point, element) => this._release(element, point),
+        })
+    }
+
+    // Box of the panel (null section) or of a detached section (see `anchorRect`)
+    _getBox(section) {
+        if (section) return { anchor: "top-left", x: section.x, y: section.y, width: this.width }
+        return { anchor: this.anchor, x: this.x, y: this.y, width: this.width }
+    }
+
+    _press(element, point) {
+        const rect = this.cvs.hud.getRect(element)
+        const row = this._getRow(element, point.y - rect.y)
+        this._drag = null
+        if (!row) return
+
+        // Position of the box moved by the row: the panel, the detached section, or the header of the docked section (detached once it is dragged)
+        const section = row.section
+        const origin = row.drag ? { x: this.x, y: this.y } : section?.element ? { x: section.x, y: section.y } : { x: rect.x, y: rect.y + row.y }
+        this._drag = { element, row, point, origin, moved: false }
+    }
+
+    _dragTo(point) {
+        const drag = this._drag
+        if (!drag || !(drag.row.drag || drag.row.section)) return
+
+        const dx = point.x - drag.point.x
+        const dy = point.y - drag.point.y
+        if (Math.abs(dx) + Math.abs(dy) > 2) drag.moved = true
+
+        if (drag.row.drag) {
+            // The offsets are measured towards the inside of the canvas from the anchored edges
+            this.x = Math.max(0, drag.origin.x + (this.anchor.includes("right") ? -dx : dx))
+            this.y = Math.max(0, drag.origin.y + (this.anchor.includes("bottom") ? -dy : dy))
+            Object.assign(this.element, { x: this.x, y: this.y })
+            this.cvs.loop.invalidate()
+        }
+        else if (drag.moved) {
+            this.detachSection(drag.row.section.id, Math.max(0, drag.origin.x + dx), Math.max(0, drag.origin.y + dy))
+        }
+    }
+
+    _release(element, point) {
+        const drag = this._drag
+        this._drag = null
+        if (!drag) return
+
+        // A detached section dropped over the panel is docked again
+        if (drag.moved) {
+            const section = drag.row.section
+            const panel = this.cvs.hud.getRect(this.element)
+            const overPanel = point.x >= panel.x && point.x <= panel.x + panel.width && point.y >= panel.y && point.y <= panel.y + panel.height
+            if (section?.element && overPanel) this.dockSection(section.id)
+            return
+        }
+
+        // Click (released over the pressed row)
+        const row = this.cvs.hud.hovered === element ? this._getRow(element, point.y - this.cvs.hud.getRect(element).y) : null
+        if (row === drag.row && row.action) {
+            row.action()
+            this.cvs.loop.invalidate()
+        }
+    }
+
+    // Finds the row drawn at a vertical position of the panel or of a detached section
+    _getRow(element, y) {
+        return this._rows.get(element)?.find(row => y >= row.y && y < row.y + row.height)
+    }
+}
+
+
+/**
+ * Handles the shortcuts that toggle the debug mode (see the `shortcuts` option of `DebugPanel`).
+ *
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Boolean} True if a shortcut was handled, false otherwise
+ */
+export function handleDebugShortcut(cvs = window.cvs) {
+    const SHORTCUTS = {}
+    cvs.debugPanel.shortcuts.forEach(shortcut => SHORTCUTS[shortcut] = () => cvs.debug = !cvs.debug)
+
+    return handleShortcut(SHORTCUTS, cvs)
+}
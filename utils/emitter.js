@@ -0,0 +1,156 @@
+/**
+ * Event passed to the listeners as their last argument.
+ *
+ * @property {String} type - The type of the event (e.g. "pointerdown")
+ * @property {Event} originalEvent - The DOM event that triggered the event, if any
+ * @property {Boolean} defaultPrevented - Whether a listener cancelled the default action of the canvas
+ * @property {Boolean} propagationStopped - Whether a listener stopped the propagation to the next listeners
+ */
+export class CanvasEvent {
+    constructor(type, originalEvent = null) {
+        this.type = type
+        this.originalEvent = originalEvent
+        this.defaultPrevented = false
+        this.propagationStopped = false
+    }
+
+    /**
+     * Cancels the default action of the canvas (e.g. the wheel zoom). It only has effect in the listeners with a positive priority, since the rest run after the default action.
+     */
+    preventDefault() {
+        this.defaultPrevented = true
+    }
+
+    /**
+     * Skips the remaining listeners of the event.
+     */
+    stopPropagation() {
+        this.propagationStopped = true
+    }
+}
+
+
+/**
+ * Multi-listener event emitter of a canvas instance (`cvs.events`).
+ *
+ * The listeners are called in order of priority (higher first) and, for the same priority, in order of registration. They receive the arguments of the event followed by a `CanvasEvent`.
+ *
+ * For the events with a default action (see `dispatch`), the listeners with a positive priority run before the default action, so they can cancel it with `event.preventDefault()`. The rest of the listeners run after it, and only if the default action didn't consume the event (e.g. the pointer moves don't reach them while the user is panning).
+ */
+export class EventEmitter {
+    constructor() {
+        // --- State ---
+        this._listeners = new Map()  // Listeners indexed by the type of the event `{handler, priority, once}` (sorted by priority)
+    }
+
+    /**
+     * Adds a listener to an event.
+     *
+     * @param {String} type The type of the event (e.g. "pointerdown", "keydown", "zoom", "frame")
+     * @param {Function} handler Function called with the arguments of the event and a `CanvasEvent`
+     * @param {Object} options
+     * @param {Number} options.priority The priority of the listener (default: 0). Listeners with a positive priority run before the default action of the event
+     * @param {Boolean} options.once Whether the listener is removed after its first call (default: false)
+     * @returns {Function} A function that removes the listener
+     */
+    on(type, handler, { priority = 0, once = false } = {}) {
+        const listeners = this._listeners.get(type) ?? []
+        listeners.push({ handler, priority, once })
+        listeners.sort((a, b) => b.priority - a.priority)  // Stable sort: same priority keeps the order of registration
+        this._listeners.set(type, listeners)
+        return () => this.off(type, handler)
+    }
+
+    /**
+     * Adds a listener that is removed after its first call.
+     *
+     * @param {String} type The type of the event
+     * @param {Function} handler Function called with the arguments of the event and a `CanvasEvent`
+     * @param {Object} options
+     * @param {Number} options.priority The priority of the listener (default: 0)
+     * @returns {Function} A function that removes the listener
+     */
+    once(type, handler, { priority = 0 } = {}) {
+        return this.on(type, handler, { priority, once: true })
+    }
+
+    /**
+     * Removes a listener from an event. If the handler is omitted, all the listeners of the event are removed.
+     *
+     * @param {String} type The type of the event
+     * @param {Function} handler The handler passed to `on`
+     */
+    off(type, handler) {
+        if (!handler) {
+            this._listeners.delete(type)
+            return
+        }
+
+        const listener = this._listeners.get(type)?.find(listener => listener.handler === handler)
+        if (listener) this._remove(type, listener)
+    }
+
+    /**
+     * Checks if an event has listeners.
+     *
+     * @param {String} type The type of the event
+     * @returns {Boolean} True if the event has at least one listener
+     */
+    has(type) {
+        return Boolean(this._listeners.get(type)?.length)
+    }
+
+    /**
+     * Calls the listeners of an event that has no default action.
+     *
+     * @param {String} type The type of the event
+     * @param {...any} args The arguments passed to the listeners
+     * @returns {CanvasEvent} The event passed to the listeners
+     */
+    emit(type, ...args) {
+        const event = new CanvasEvent(type)
+        this._call(type, args, event, () => true)
+        return event
+    }
+
+    /**
+     * Calls the listeners of an event around its default action:
+     * 1. The listeners with a positive priority
+     * 2. The default action, unless a listener called `event.preventDefault()`
+     * 3. The rest of the listeners, unless the default action consumed the event or a listener called `event.stopPropagation()`
+     *
+     * @param {String} type The type of the event
+     * @param {Array} args The arguments passed to the listeners
+     * @param {Function} defaultAction The default action of the canvas. Returns true if it consumed the event
+     * @param {Event} originalEvent The DOM event that triggered the event, if any
+     * @returns {CanvasEvent} The event passed to the listeners
+     */
+    dispatch(type, args, defaultAction, originalEvent = null) {
+        const event = new CanvasEvent(type, originalEvent)
+
+        this._call(type, args, event, listener => listener.priority > 0)
+        if (!event.defaultPrevented && defaultAction()) return event
+        this._call(type, args, event, listener => listener.priority <= 0)
+
+        return event
+    }
+
+
+    // --- Utils ---
+
+    _call(type, args, event, filter) {
+        // Copy the list, so the listeners can be added or removed while the event is being emitted
+        const listeners = (this._listeners.get(type) ?? []).filter(filter)
+        for (const listener of listeners) {
+            if (event.propagationStopped) return
+            if (listener.once) this._remove(type, listener)
+            listener.handler(...args, event)
+        }
+    }
+
+    _remove(type, listener) {
+        const listeners = this._listeners.get(type)
+        const index = listeners.indexOf(listener)
+        if (index !== -1) listeners.splice(index, 1)
+    }
+}
@@ -1,354 +1,405 @@
-import constants from "./constants"
-import { resetZoom, zoomBy, zoomIn, zoomOut, zoomTo } from "./zoom"
+import { resetZoom, zoomBy, zoomIn, zoomOut } from "./zoom"
 import { isPanKeysPressed, isPanning, panBy, panTo, resetPan, startPanning, stopPanning } from "./pan"
+import { handleHistoryShortcut } from "./history"
+import { snapToGrid } from "./grid"
+import { clientToScreen, screenToWorld } from "./camera"
+import { handleRotationShortcut } from "./rotation"
+import { handleDebugShortcut } from "./debug"
 
 // --- Export all ---
-export { handleMouseMove, handleMouseDown, handleMouseUp, handleScroll, handleKeyDown, handleKeyUp, handleResize, handleBlur, handleFocus, handleTouchStart, handleTouchMove, handleTouchEnd }
+export { handlePointerMove, handlePointerDown, handlePointerUp, handlePointerLeave, handleScroll, handleKeyDown, handleKeyUp, handleResize, handleBlur, handleFocus, createEventHandlers }
 
-// --- Mouse Events ---
-const handleMouseMove = (e) => {
-    const { x, y } = mapClientToCanvasCoordinates(e.clientX, e.clientY)
+// The handlers return false when they ignore the event (e.g. the moves of a pointer that isn't pressing the canvas), so no frame is requested for it (see `setupAfterCanvas` in `utils/setup.js`)
 
-    // Set the mouse coordinates on the canvas environment
-    window.cvs.x = x
-    window.cvs.y = y
-
-    // Adjust the mouse speed based on the zoom level (this method is used in the callbacks to adjust to read mouse movements)
-    e.despX = e.movementX / window.cvs.zoom
-    e.despY = e.movementY / window.cvs.zoom
-
-    // --- Default actions ---
-    // Pan the canvas
-    if (isPanning()) {  // Check if the pan key is pressed
-        panBy(e.despX, e.despY)
-        return  // Prevent further actions
-    }
+// --- Pointer Events (mouse, touch and pen) ---
+const handlePointerMove = (e, cvs = window.cvs) => {
+    // --- Touch gestures ---
+    if (e.pointerType === "touch") cvs.gestures.handlePointerMove(e)
 
-    // --- Callbacks ---
-    if (window.cvs.mouseMoveCallback) window.cvs.mouseMoveCallback(e, { x: window.cvs.x, y: window.cvs.y })
-}
+    // Only the pointer pressing the canvas moves the cursor (or a mouse or pen hovering it, since the touches can't hover)
+    if (cvs.activePointer !== null ? e.pointerId !== cvs.activePointer : e.pointerType === "touch") return false
 
+    cvs.pointer = getPointerInfo(e)
+    const screen = clientToScreen(e.clientX, e.clientY, cvs)
+    const { x, y } = screenToWorld(screen, cvs)
 
-const handleMouseDown = (e) => {
-    window.cvs.$canvas.focus()
+    // Set the mouse coordinates on the canvas environment
+    cvs.x = x
+    cvs.y = y
+
+    // Movement of the pointer in screen pixels (calculated from the positions, since `movementX` and `movementY` are not reliable for the touches and pens)
+    const last = cvs.lastPointerPosition || screen
+    cvs.lastPointerPosition = screen
+    const movementX = screen.x - last.x
+    const movementY = screen.y - last.y
+
+    // Adjust the mouse speed based on the zoom level and the rotation (this method is used in the callbacks to adjust to read mouse movements)
+    const cos = Math.cos(cvs.rotation)
+    const sin = Math.sin(cvs.rotation)
+    e.despX = (movementX * cos + movementY * sin) / cvs.zoom
+    e.despY = (movementY * cos - movementX * sin) / cvs.zoom
+
+    // --- Listeners ---
+    cvs.events.dispatch("pointermove", [e, getPointerCoords(cvs), cvs.pointer], () => {
+        // --- Default actions ---
+        // Pan the canvas
+        if (isPanning(cvs)) {  // Check if the pan key is pressed
+            panBy(e.despX, e.despY, cvs)
+            cvs.animator.trackPan(e.despX, e.despY)  // Used to keep gliding after releasing (kinetic panning)
+            return true  // Prevent further actions
+        }
+        // Hover the HUD elements (the mouse over the HUD doesn't reach the minimap nor the scene)
+        if (cvs.hud.handleMouseMove(screen)) return true  // Prevent further actions
+        // Drag the guides (the mouse over the rulers doesn't reach the minimap nor the scene)
+        if (cvs.rulers.handleMouseMove(screen)) return true  // Prevent further actions
+        // Drag the minimap (the mouse over the minimap doesn't reach the canvas)
+        if (cvs.minimap.handleMouseMove(screen)) return true  // Prevent further actions
+        // Active tool
+        if (cvs.tools.handle("pointermove", e, getPointerCoords(cvs), cvs.pointer)) return true  // Prevent further actions
+        // Drag the selection rectangle or lasso
+        if (cvs.selection.handleMouseMove()) return true  // Prevent further actions
+        // Drag the scene objects and update the hovered object
+        return cvs.scene.handleMouseMove(e)
+    }, e)
+
+    // The cursor of the tool can depend on the position of the pointer
+    cvs.tools.updateCursor()
+}
 
-    const button = e.button
 
-    // Store the mouse down button
-    window.cvs.mouseDown = button
+const handlePointerDown = (e, cvs = window.cvs) => {
+    cvs.$canvas.focus()
 
-    // --- Debug mode ---
-    if (window.cvs.debug) {
-        console.log('Mouse down:', button)
+    // --- Touch gestures ---
+    if (e.pointerType === "touch") {
+        cvs.gestures.handlePointerDown(e)
 
-        // Check if any debug command was triggered
-        if (button === 0 && window.cvs.debugCommandHover) {
-            window.cvs.debugCommandHover.callback()
+        // Only the first finger emulates the mouse. The emulated mouse is released when a second finger starts a pinch
+        if (cvs.gestures.count > 1) {
+            if (cvs.activePointer !== null) releasePointer(cvs)
             return
         }
     }
 
-    // --- Default actions ---
-    if (isPanKeysPressed()) {  // Check if the pan key is pressed
-        startPanning()
-        return // Prevent further actions
-    }
-
-    // Left mouse button
-    if (button === 0) {
-        // Store the coordinates of the mouse at the moment of the mouse down event (just in case the user wants to drag the canvas)
-        window.cvs.draggingOrigin = { x: window.cvs.x, y: window.cvs.y }
-
-        // Check double click
-        if (Date.now() - window.cvs.lastMouseDown < constants.DOUBLE_CLICK_DELAY) {
-            window.cvs.lastMouseDown = Date.now()
-            window.cvs.doubleClick = true
-            // --- Double click callback ---
-            if (window.cvs.mouseDoubleClickCallback) window.cvs.mouseDoubleClickCallback(button, { x: window.cvs.x, y: window.cvs.y })
-            return
-        } else window.cvs.lastMouseDown = Date.now()
-    }
+    if (cvs.activePointer !== null) return false  // Another pointer is already pressing the canvas (e.g. a pen while the mouse is pressed)
 
+    // Keep receiving the events of the pointer until it's released, even outside of the canvas or the browser
+    cvs.$canvas.setPointerCapture(e.pointerId)
+    cvs.activePointer = e.pointerId
+    cvs.pointer = getPointerInfo(e)
 
-    // --- Callbacks ---
-    // Single click
-    if (window.cvs.mouseDownCallback) window.cvs.mouseDownCallback(button, { x: window.cvs.x, y: window.cvs.y })
-}
+    // Update the mouse coordinates (the touches don't hover the canvas before pressing it)
+    const screen = clientToScreen(e.clientX, e.clientY, cvs)
+    const { x, y } = screenToWorld(screen, cvs)
+    cvs.x = x
+    cvs.y = y
+    cvs.lastPointerPosition = screen
 
+    const button = e.button
 
-const handleMouseUp = (e) => {
-    // Prevent the event to be triggered when the mouse is released over some overlay element
-    // - The `html` allows the mouse up event to be triggered even if the mouse is released outside of the browser
-    // - The `canvas` allows the mouse up event to be triggered even if the mouse is released over the canvas
-    if (e.target.localName !== "html" && e.target.localName !== "canvas") return
+    // Store the mouse down button
+    cvs.mouseDown = button
 
-    const button = e.button
+    // Stop the camera animations (the user takes control of the viewport)
+    cvs.animator.cancel()
 
     // --- Debug mode ---
-    if (window.cvs.debug) console.log('Mouse up:', button)
+    if (cvs.debug) cvs.debugPanel.log(`Pointer down: ${button} (${e.pointerType})`)
+
+    // --- Listeners ---
+    cvs.events.dispatch("pointerdown", [button, getPointerCoords(cvs), cvs.pointer], () => {
+        // --- Default actions ---
+        // Press a HUD element
+        if (cvs.hud.handleMouseDown(screen, button)) return true // Prevent further actions
+        // Create a guide from a ruler or drag a guide
+        if (cvs.rulers.handleMouseDown(screen, button)) return true // Prevent further actions
+        // Navigate with the minimap
+        if (cvs.minimap.handleMouseDown(screen)) return true // Prevent further actions
+
+        if (isPanKeysPressed(cvs)) {  // Check if the pan key is pressed
+            startPanning(cvs)
+            return true // Prevent further actions
+        }
+        // Active tool
+        if (cvs.tools.handle("pointerdown", button, getPointerCoords(cvs), cvs.pointer)) return true // Prevent further actions
+        // Click or drag a scene object
+        if (cvs.scene.handleMouseDown(button)) return true // Prevent further actions
+
+        // Left mouse button (or the contact of a finger or a pen)
+        if (button === 0) {
+            // Store the coordinates of the mouse at the moment of the mouse down event (just in case the user wants to drag the canvas)
+            cvs.draggingOrigin = { x: cvs.x, y: cvs.y }
+
+            // Check double click
+            if (Date.now() - cvs.lastMouseDown < cvs.doubleClickDelay) {
+                cvs.lastMouseDown = Date.now()
+                cvs.doubleClick = true
+                // The second click is emitted as a double click instead of a pointer down
+                cvs.events.emit("doubleclick", button, getPointerCoords(cvs), cvs.pointer)
+                return true
+            } else cvs.lastMouseDown = Date.now()
+
+            // Prepare a selection (it starts if the mouse is dragged)
+            cvs.selection.handleMouseDown(button)
+        }
+        return false
+    }, e)
+}
 
-    // Reset the mouse state
-    window.cvs.mouseDown = null
-    window.cvs.doubleClick = false
-    window.cvs.draggingOrigin = null
-
-    // --- Default actions ---
-    if (window.cvs.keysDown[constants.PAN_KEY]) {  // Check if the pan key is still pressed 
-        stopPanning()
-        document.body.style.cursor = "grab"
-        return // Prevent further actions
-    }
-    // Release the pan key
-    if (button === 1) { // Middle mouse button (usually the mouse button for panning)
-        stopPanning()
-        return // Prevent further actions
-    }
 
-    // --- Callbacks ---
-    if (window.cvs.mouseUpCallback) window.cvs.mouseUpCallback(button, { x: window.cvs.x, y: window.cvs.y })
+const handlePointerUp = (e, cvs = window.cvs) => {
+    // --- Touch gestures ---
+    if (e.pointerType === "touch") cvs.gestures.handlePointerUp(e)
+
+    // Only the pointer that pressed the canvas releases it (the event is received even outside of the canvas thanks to the pointer capture)
+    if (e.pointerId !== cvs.activePointer) return false
+
+    cvs.pointer = getPointerInfo(e)
+    releasePointer(cvs)
 }
 
 
-const handleScroll = (e) => {
+const handleScroll = (e, cvs = window.cvs) => {
     const deltaY = e.deltaY
 
     // --- Debug mode ---
-    if (window.cvs.debug) console.log('Scroll:', deltaY)
-
-    // --- Default actions ---
-    // Zoom in and out
-    if (deltaY < 0) zoomIn()
-    else if (deltaY > 0) zoomOut()
-
-    // --- Callbacks ---
-    if (window.cvs.mouseScrollCallback) window.cvs.mouseScrollCallback(deltaY, { x: window.cvs.x, y: window.cvs.y })
+    if (cvs.debug) cvs.debugPanel.log(`Scroll: ${deltaY}`)
+
+    // --- Listeners ---
+    cvs.events.dispatch("wheel", [deltaY, { x: cvs.x, y: cvs.y }], () => {
+        // --- Default actions ---
+        // Active tool
+        if (cvs.tools.handle("wheel", deltaY, { x: cvs.x, y: cvs.y })) return true // Prevent further actions
+        // Zoom in and out
+        if (cvs.animator.smoothZoom) {
+            // Interpolate the zoom towards the accumulated target, keeping the point under the mouse (the factor is proportional to the delta, so trackpads zoom gradually)
+            cvs.animator.zoomAt(Math.pow(cvs.animator.wheelZoomStep, -deltaY / 100), { x: cvs.x, y: cvs.y })
+        } else {
+            cvs.animator.cancel()  // Stop the camera animations
+            if (deltaY < 0) zoomIn(cvs)
+            else if (deltaY > 0) zoomOut(cvs)
+        }
+        return false
+    }, e)
 }
 
 
 
 // --- Keyboard Events ---
 
-const handleKeyDown = (e) => {
+const handleKeyDown = (e, cvs = window.cvs) => {
     const code = e.code
 
     // --- Debug mode ---
-    if (window.cvs.debug) console.log('Key down:', code)
+    if (cvs.debug) cvs.debugPanel.log(`Key down: ${code}`)
 
     // Store the key pressed
-    window.cvs.key = code  // Store the key code (used to check the last key pressed, overwriting the previous key code even if that key is still pressed. That's why the keysDown object is used to store the state of the keys)
-    window.cvs.keysDown[code] = true  // Store the key state
-
-    // --- Default shortcuts ---
-    if (code === constants.PAN_KEY) { // The pan key is pressed
-        // Change the cursor to the grab cursor to indicate that the canvas can be panned, but only if the mouse is not already dragging an element
-        if (!window.cvs.panning) document.body.style.cursor = "grab"
-        return // Prevent further actions
-    }
-
-    // --- Callback ---
-    if (window.cvs.keyDownCallback) {
-        if (window.cvs.keyDownCallback(code, { x: window.cvs.x, y: window.cvs.y })) e.preventDefault()
-    }
+    cvs.key = code  // Store the key code (used to check the last key pressed, overwriting the previous key code even if that key is still pressed. That's why the keysDown object is used to store the state of the keys)
+    if (code !== cvs.panKey) cvs.keysDown[code] = true  // Store the key state (the pan key is stored by its default action, so the pan can be cancelled)
+
+    // --- Listeners ---
+    cvs.events.dispatch("keydown", [code, { x: cvs.x, y: cvs.y }], () => {
+        // --- Default shortcuts ---
+        if (code === cvs.panKey) { // The pan key is pressed
+            cvs.keysDown[code] = true
+            // Use the "pan" tool while the key is held (its cursor indicates that the canvas can be panned)
+            cvs.tools.override("pan")
+            return true // Prevent further actions
+        }
+        // Active tool
+        if (cvs.tools.handle("keydown", code, { x: cvs.x, y: cvs.y })) return true // Prevent further actions
+        // Cancel the selection
+        if (cvs.selection.handleKeyDown(code)) return true // Prevent further actions
+        // Undo/redo shortcuts, rotation shortcuts, debug mode shortcuts and registered shortcuts
+        if (handleHistoryShortcut(cvs) || handleRotationShortcut(cvs) || handleDebugShortcut(cvs) || cvs.keymap.handleKeyDown(e)) {
+            e.preventDefault()
+            return true // Prevent further actions
+        }
+        return false
+    }, e)
 }
 
 
-const handleKeyUp = (e) => {
+const handleKeyUp = (e, cvs = window.cvs) => {
 
     e.preventDefault()
 
     const code = e.code
 
     // --- Debug mode ---
-    if (window.cvs.debug) console.log('Key up:', code)
+    if (cvs.debug) cvs.debugPanel.log(`Key up: ${code}`)
 
     // Reset the key pressed
-    window.cvs.key = null
-    window.cvs.keysDown[code] = false
-
-    // --- Default shortcuts ---
-    if (code === constants.PAN_KEY) { // The pan key is released
-        stopPanning()
-        return // Prevent further actions
-    }
-
-    // --- Callbacks ---
-    if (window.cvs.keyUpCallback) window.cvs.keyUpCallback(code, { x: window.cvs.x, y: window.cvs.y })
+    cvs.key = null
+    cvs.keysDown[code] = false
+
+    // --- Listeners ---
+    cvs.events.dispatch("keyup", [code, { x: cvs.x, y: cvs.y }], () => {
+        // --- Default shortcuts ---
+        if (code === cvs.panKey) { // The pan key is released
+            stopPanning(cvs)
+            cvs.tools.restore("pan")  // Restore the previous tool
+            return true // Prevent further actions
+        }
+        // Active tool
+        if (cvs.tools.handle("keyup", code, { x: cvs.x, y: cvs.y })) return true // Prevent further actions
+        // Registered key up shortcuts
+        return cvs.keymap.handleKeyUp(e)
+    }, e)
 }
 
 
 
 // --- Resize Event ---
 
-const handleResize = (e) => {
+const handleResize = (e, cvs = window.cvs) => {
     // --- Debug mode ---
-    if (window.cvs.debug) console.log('Resized:', e)
-
-
-    // --- Default actions ---
-    if (window.cvs.autoResize) { // Auto resize the canvas, if enabled
-        resetPan()  // Reset the canvas pan
-        resetZoom() // Reset the zoom level
-        const $canvas = window.cvs.$canvas
-        const parent = $canvas.parentElement.getBoundingClientRect()
-        const dpr = window.devicePixelRatio || 1;
-        
-        // Set the canvas width and height according to the device pixel ratio
-        $canvas.width = parent.width * dpr
-        $canvas.height = parent.height * dpr
-    }
-
-    // --- Callbacks ---
-    if (window.cvs.resizeCallback) window.cvs.resizeCallback(e)
+    if (cvs.debug) cvs.debugPanel.log(`Resized: ${cvs.$canvas.width} x ${cvs.$canvas.height}`)
+
+
+    // --- Listeners ---
+    cvs.events.dispatch("resize", [e], () => {
+        // --- Default actions ---
+        if (cvs.autoResize) { // Auto resize the canvas, if enabled
+            resetPan(cvs)  // Reset the canvas pan
+            resetZoom(cvs) // Reset the zoom level
+            const $canvas = cvs.$canvas
+            const parent = $canvas.parentElement.getBoundingClientRect()
+            const dpr = window.devicePixelRatio || 1;
+            
+            // Set the canvas width and height according to the device pixel ratio
+            $canvas.width = parent.width * dpr
+            $canvas.height = parent.height * dpr
+        }
+        return false
+    }, e)
 }
 
 // --- Focus & Blur ---
-const handleFocus = (e) => {
-    if (window.cvs.debug) console.log("event focus", e)
+// The mouse leaves the canvas: nothing is hovered anymore (the pointer pressing the canvas is captured, so it keeps its state until it's released)
+const handlePointerLeave = (e, cvs = window.cvs) => {
+    if (cvs.activePointer !== null || e.pointerType === "touch") return false
+
+    cvs.lastPointerPosition = null
+    cvs.hud.handleMouseLeave()
+    cvs.rulers.handleMouseLeave()
+    cvs.scene.handleMouseLeave()
+    cvs.tools.updateCursor()
+}
+
+const handleFocus = (e, cvs = window.cvs) => {
+    if (cvs.debug) cvs.debugPanel.log("Focus")
 
-    // --- Callbacks ---
-    if (window.cvs.focusCallback) window.cvs.focusCallback(e)
+    // --- Listeners ---
+    cvs.events.emit("focus", e)
 }
 
-const handleBlur = (e) => {
-    if (window.cvs.debug) console.log("event blur", e)
+const handleBlur = (e, cvs = window.cvs) => {
+    if (cvs.debug) cvs.debugPanel.log("Blur")
 
     // Trigger the key up event for all keys
-    for (const key in window.cvs.keysDown) {
+    for (const key in cvs.keysDown) {
         const event = new Event('mouseup')
         event.code = key
-        if (window.cvs.keysDown[key]) handleKeyUp(event)
+        if (cvs.keysDown[key]) handleKeyUp(event, cvs)
     }
 
-    // Trigger the mouse up event for all mouse buttons
-    if (window.cvs.mouseDown) {
-        const event = new Event('mouseup')
-        event.button = window.cvs.mouse
-        handleMouseUp(event)
-    }
+    // Release the pressed pointer
+    if (cvs.activePointer !== null) releasePointer(cvs)
 
-    // --- Callbacks ---
-    if (window.cvs.blurCallback) window.cvs.blurCallback(e)
+    // --- Listeners ---
+    cvs.events.emit("blur", e)
 }
 
-// ============== Touch Events ==============
-
-const handleTouchStart = (e) => {
-    e.preventDefault()
-    const touch = e.touches[0]
-
-    const { x, y } = mapClientToCanvasCoordinates(touch.clientX, touch.clientY)
-
-    window.cvs.x = x
-    window.cvs.y = y
-
-    // Fake the button property. The touch event doesn't have a button property but the mouse event does
-    touch.button = 0
-    console.log(e)
-
-    saveTouches(Object.values(e.touches), {start: true})
-    window.cvs.touchesData = {
-        zoomEnabled: e.touches.length === 2,
-        touchA: e.touches[0],
-        touchB: null,
-        distance: null,
-        originalZoom: window.cvs.zoom,
-        originalX: x,
-        originalY: y
-    }
-
-    if (window.cvs.touchesData.zoomEnabled) {
-        const tA = e.touches[0]
-        const tB = e.touches[1]
-        const distance = Math.hypot(tA.clientX - tB.clientX, tA.clientY - tB.clientY)
-        window.cvs.touchesData.distance = distance
-        window.cvs.touchesData.touchB = tB
-        const { x: xB, y: yB } = mapClientToCanvasCoordinates(tB.clientX, tB.clientY)
-        const center = {x: (x+xB)/2, y: (y+yB)/2}
-        window.cvs.touchesData.originalX = center.x
-        window.cvs.touchesData.originalY = center.y
-    }
-
-    handleMouseDown(touch)
+// ============== Instance binding ==============
+/**
+ * Binds every event handler to a canvas instance.
+ * 
+ * The handlers of this module receive the instance they operate on as a second argument (defaulting to `window.cvs`). Since the DOM only passes the event to the listeners, this function creates a set of listeners that forward the event to the handlers along with the given instance.
+ * 
+ * @param {CanvasGlobals} cvs The canvas instance the handlers will operate on
+ * @returns {Object} An object containing the bound handlers, using the same names as the exported handlers
+ */
+function createEventHandlers(cvs) {
+    const handlers = { handlePointerMove, handlePointerDown, handlePointerUp, handlePointerLeave, handleScroll, handleKeyDown, handleKeyUp, handleResize, handleBlur, handleFocus }
+
+    const bound = {}
+    for (const name in handlers) bound[name] = (e) => handlers[name](e, cvs)
+    return bound
 }
 
-const handleTouchMove = (e) => {
-    
-    if (e.target.localName === "canvas") e.preventDefault()  // Avoid the page to be moved/scrolled on mobile devices when the user drags the canvas
-
-    const touch = e.touches[0]
-
-    const { x, y } = mapClientToCanvasCoordinates(touch.clientX, touch.clientY)
-
-    // Fake the movementX and movementY properties. Calculate the movement based on the previous touch position
-    touch.movementX = (x - window.cvs.x)/window.cvs.zoom
-    touch.movementY = (y - window.cvs.y)/window.cvs.zoom
-
-    // After the fake movementX and movementY properties are calculated, update the mouse coordinates
-    window.cvs.x = x
-    window.cvs.y = y
-
-    saveTouches(Object.values(e.touches))
-    if (window.cvs.touchesData.zoomEnabled) {
-        const tA = e.touches[0]
-        const tB = e.touches[1]
-        const distance = Math.hypot(tA.clientX - tB.clientX, tA.clientY - tB.clientY)
-        let delta = distance/window.cvs.touchesData.distance
-        window.cvs.touchesData.delta = delta
-
-        zoomTo(window.cvs.touchesData.originalZoom*delta)
-        const { x: xB, y: yB } = mapClientToCanvasCoordinates(tB.clientX, tB.clientY)
-        const center = {x: (x+xB)/2, y: (y+yB)/2}
-        console.log(`calcs: ${center.x-window.cvs.touchesData.originalX}, ${center.y-window.cvs.touchesData.originalY}`)
-        panBy(center.x-window.cvs.touchesData.originalX, center.y-window.cvs.touchesData.originalY)
-    } else {
-        handleMouseMove(touch)
-    }
-}
-
-const handleTouchEnd = (e) => {
-    const touch = e.changedTouches[0]
-
-    touch.button = 0
 
-    saveTouches(Object.values(e.touches), {end: true})
+// ============== Utils ==============
 
-    window.cvs.touchesData = {
-        zoomEnabled: false,
-        touchA: null,
-        touchB: null,
-        distance: null,
-        delta: 0
-    }
+// Coordinates of the mouse passed to the mouse callbacks (snapped to the grid and the guides if enabled, the guides take precedence)
+function getPointerCoords(cvs) {
+    const point = { x: cvs.x, y: cvs.y }
+    const snapped = cvs.grid.snap ? snapToGrid(point, cvs) : point
+    if (!cvs.rulers.enabled || !cvs.rulers.snap) return snapped
 
-    handleMouseUp(touch)
+    const guides = cvs.rulers.snapToGuides(point)
+    return { x: guides.x !== point.x ? guides.x : snapped.x, y: guides.y !== point.y ? guides.y : snapped.y }
 }
 
 
-// ============== Utils ==============
-
-function mapClientToCanvasCoordinates(clientX, clientY) {
-    // Calculate the mouse coordinates relative to the canvas
-    const rect = window.cvs.$canvas.getBoundingClientRect()
+// Releases the pointer pressing the canvas: resets the mouse state and runs the release actions (also used when a pinch starts or the canvas loses the focus)
+function releasePointer(cvs) {
+    const button = cvs.mouseDown
+    const position = cvs.lastPointerPosition  // Screen coordinates of the pointer when it was released
 
-    // Position of the mouse relative to the canvas
-    const pointerX = (clientX - rect.left)
-    const pointerY = (clientY - rect.top)
-    // Compensate the canvas pan
-    const panOffsetX = window.cvs.canvasPanOffset.x
-    const panOffsetY = window.cvs.canvasPanOffset.y
+    // --- Debug mode ---
+    if (cvs.debug) cvs.debugPanel.log(`Pointer up: ${button} (${cvs.pointer.type})`)
 
-    const x = pointerX / window.cvs.zoom + panOffsetX
-    const y = pointerY / window.cvs.zoom + panOffsetY
+    // Stop receiving the events of the pointer outside of the canvas
+    if (cvs.$canvas.hasPointerCapture(cvs.activePointer)) cvs.$canvas.releasePointerCapture(cvs.activePointer)
 
-    // Adjust the pointer coordinates based on the zoom level and the canvas pan
-    return { x, y }
+    // Reset the mouse state
+    cvs.activePointer = null
+    if (cvs.pointer.type === "touch") cvs.lastPointerPosition = null  // The mouse and the pens keep hovering the canvas (e.g. for the marker of the rulers), but the touches are lifted
+    cvs.mouseDown = null
+    cvs.doubleClick = false
+    cvs.draggingOrigin = null
+
+    // --- Listeners ---
+    cvs.events.dispatch("pointerup", [button, getPointerCoords(cvs), cvs.pointer], () => {
+        // --- Default actions ---
+        // Click the pressed HUD element
+        if (cvs.hud.handleMouseUp(button, position)) return true // Prevent further actions
+        // Drop the guide being dragged
+        if (cvs.rulers.handleMouseUp(position)) return true // Prevent further actions
+        // Stop dragging the minimap
+        if (cvs.minimap.handleMouseUp()) return true // Prevent further actions
+        // Finish the selection
+        if (cvs.selection.handleMouseUp()) return true // Prevent further actions
+
+        if (cvs.keysDown[cvs.panKey]) {  // Check if the pan key is still pressed (the cursor of the "pan" tool is kept until it's released)
+            stopPanning(cvs)
+            return true // Prevent further actions
+        }
+        // Release the pan key
+        if (button === cvs.panMouseButton) { // Pan mouse button (middle button by default)
+            stopPanning(cvs)
+            return true // Prevent further actions
+        }
+        // Active tool
+        if (cvs.tools.handle("pointerup", button, getPointerCoords(cvs), cvs.pointer)) return true // Prevent further actions
+        // Release the pressed scene object
+        return cvs.scene.handleMouseUp(button)
+    })
 }
 
 
-function saveTouches(touches, additionalData = {}) {
-    console.log("*", touches)
-    window.cvs.touches = touches.map(t => {
-        console.log()
-        return { id: t.identifier, ...mapClientToCanvasCoordinates(t.clientX, t.clientY), ...additionalData }
-    })
-}
\ No newline at end of file
+// Information of a pointer passed to the mouse callbacks (`pressure`, `tiltX` and `tiltY` are only meaningful for the pens, see the PointerEvent documentation)
+function getPointerInfo(e) {
+    return {
+        id: e.pointerId,
+        type: e.pointerType,  // "mouse", "pen" or "touch"
+        pressure: e.pressure,  // Between 0 and 1 (0.5 for the pressed buttons of the devices without pressure support)
+        tiltX: e.tiltX,  // Angle (degrees) between the pen and the screen along the x-axis
+        tiltY: e.tiltY,  // Angle (degrees) between the pen and the screen along the y-axis
+        twist: e.twist,  // Rotation (degrees) of the pen around its own axis
+        width: e.width,  // Size (screen pixels) of the contact geometry
+        height: e.height,
+        primary: e.isPrimary
+    }
+}
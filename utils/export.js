@@ -0,0 +1,163 @@
+import { getViewBox } from "./zoom"
+import { SVGRecordingContext, withRecordingPaths } from "./svg-context"
+import { drawGrid } from "./grid"
+import { applyCameraTransform } from "./camera"
+
+// MIME types of the supported raster formats
+const MIME_TYPES = {
+    png: "image/png",
+    jpeg: "image/jpeg",
+    jpg: "image/jpeg",
+    webp: "image/webp",
+}
+
+/**
+ * Exports a region of the canvas as an image.
+ *
+ * The frame is drawn again into an offscreen canvas (world layers, scene, `mainLoop` callback and "frame" listeners), so the region can be larger than the visible area and the scale higher than the screen resolution.
+ * - The background is drawn if `cvs.hasBackground` is enabled, unless `transparent` is set. JPEG images always have a background since they don't support transparency: the background of the canvas, or white if the canvas is transparent or `transparent` is set
+ * - The debug information is not drawn
+ * - While exporting, `cvs.ctx` (and `window.ctx` for the default instance) is the context of the offscreen canvas and `getViewBox` returns the exported region, so the `mainLoop` callback should read them on every frame instead of storing them
+ *
+ * @param {Object} options
+ * @param {String} options.type The format of the image: "png", "jpeg", "webp" or "svg" (defaults to "png")
+ * @param {Object} options.rect The region to export in world coordinates `{x, y, width, height}` (defaults to the current view box, or its bounding box if the camera is rotated)
+ * @param {Number} options.scale The number of pixels per world unit (defaults to 1). e.g. use 3 to export at 3x
+ * @param {Number} options.quality The quality of the JPEG and WebP images (between 0 and 1)
+ * @param {Boolean} options.transparent Whether to skip the background (defaults to false)
+ * @param {Boolean} options.grid Whether to draw the background grid, if enabled (defaults to false)
+ * @param {CanvasGlobals} cvs The canvas instance to export (defaults to `window.cvs`)
+ * @returns {Promise<Blob>} The image
+ */
+export function exportImage(options = {}, cvs = window.cvs) {
+    const type = options.type || "png"
+
+    if (type === "svg") return Promise.resolve(new Blob([exportSVG(options, cvs)], { type: "image/svg+xml" }))
+
+    const $canvas = renderToCanvas(options, cvs)
+    return new Promise((resolve, reject) => {
+        $canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error(`Could not export the canvas as ${type}`)), MIME_TYPES[type], options.quality)
+    })
+}
+
+
+/**
+ * Exports a region of the canvas as a data URL.
+ *
+ * @See {@link exportImage} for the description of the options.
+ *
+ * @param {Object} options The export options
+ * @param {CanvasGlobals} cvs The canvas instance to export (defaults to `window.cvs`)
+ * @returns {String} The data URL of the image
+ */
+export function exportDataURL(options = {}, cvs = window.cvs) {
+    const type = options.type || "png"
+
+    if (type === "svg") return "data:image/svg+xml;charset=utf-8," + encodeURIComponent(exportSVG(options, cvs))
+
+    return renderToCanvas(options, cvs).toDataURL(MIME_TYPES[type], options.quality)
+}
+
+
+/**
+ * Exports a region of the canvas as an SVG document.
+ *
+ * The frame is drawn into a recording context that converts the calls of the 2D context into SVG elements (see `utils/svg-context.js`).
+ *
+ * @See {@link exportImage} for the description of the options (`type` and `quality` are ignored).
+ *
+ * @param {Object} options The export options
+ * @param {CanvasGlobals} cvs The canvas instance to export (defaults to `window.cvs`)
+ * @returns {String} The SVG markup
+ */
+export function exportSVG(options = {}, cvs = window.cvs) {
+    const { rect = getViewBox(cvs), scale = 1 } = options
+
+    const ctx = new SVGRecordingContext(Math.ceil(rect.width * scale), Math.ceil(rect.height * scale))
+    withRecordingPaths(() => renderFrame(ctx, { ...options, rect, scale }, cvs))
+
+    return ctx.toSVG()
+}
+
+
+/**
+ * Draws a region of the canvas into a new canvas element.
+ *
+ * @See {@link exportImage} for the description of the options.
+ *
+ * @param {Object} options The export options
+ * @param {CanvasGlobals} cvs The canvas instance to draw (defaults to `window.cvs`)
+ * @returns {HTMLCanvasElement} The canvas element containing the region
+ */
+export function renderToCanvas(options = {}, cvs = window.cvs) {
+    const { rect = getViewBox(cvs), scale = 1, type = "png" } = options
+
+    const $canvas = document.createElement("canvas")
+    $canvas.width = Math.ceil(rect.width * scale)
+    $canvas.height = Math.ceil(rect.height * scale)
+
+    // JPEG doesn't support transparency
+    const forceBackground = MIME_TYPES[type] === "image/jpeg"
+    renderFrame($canvas.getContext("2d"), { ...options, rect, scale, forceBackground }, cvs)
+
+    return $canvas
+}
+
+
+// ============== Utils ==============
+
+// Draws the frame into a context, replacing temporarily the state of the instance with the exported region
+function renderFrame(ctx, { rect, scale, transparent = false, forceBackground = false, grid = false }, cvs) {
+    // Store the state of the instance (the private fields are used to avoid the side effects of the setters)
+    const state = {
+        ctx: cvs._ctx,
+        $canvas: cvs._$canvas,
+        canvasPanOffset: cvs._canvasPanOffset,
+        zoom: cvs._zoom,
+        rotation: cvs._rotation,
+        debug: cvs._debug,
+        windowCtx: window.ctx
+    }
+
+    // Replace the state with the exported region
+    cvs._ctx = ctx
+    cvs._$canvas = ctx.canvas
+    cvs._canvasPanOffset = { x: rect.x, y: rect.y }
+    cvs._zoom = scale
+    cvs._rotation = 0  // The regions are aligned to the axes of the world
+    cvs._debug = false
+    cvs.exporting = true
+    if (window.cvs === cvs) window.ctx = ctx
+
+    try {
+        applyCameraTransform(cvs)
+
+        // Background (white for the formats without transparency if the background is skipped, instead of black)
+        const background = !transparent && cvs.hasBackground && cvs.background ? cvs.background : forceBackground ? "white" : null
+        if (background) {
+            ctx.save()
+            ctx.fillStyle = background
+            ctx.fillRect(rect.x, rect.y, rect.width, rect.height)
+            ctx.restore()
+        }
+
+        // Frame (the screen layers are not exported)
+        cvs.layers.draw("below", { cache: false })
+        if (grid && cvs.grid.enabled) drawGrid(cvs)
+        cvs.scene.draw()
+        const time = performance.now()
+        if (cvs.loop.draw) cvs.loop.draw(time, 0)
+        cvs.events.emit("frame", time, 0)
+        cvs.layers.draw("above", { cache: false })
+    } finally {
+        // Restore the state of the instance
+        cvs._ctx = state.ctx
+        cvs._$canvas = state.$canvas
+        cvs._canvasPanOffset = state.canvasPanOffset
+        cvs._zoom = state.zoom
+        cvs._rotation = state.rotation
+        cvs._debug = state.debug
+        cvs.exporting = false
+        if (window.cvs === cvs) window.ctx = state.windowCtx
+    }
+}
@@ -0,0 +1,253 @@
+import constants from "./constants"
+import { clientToScreen, screenToWorld } from "./camera"
+import { zoomBy } from "./zoom"
+import { panBy } from "./pan"
+import { normalizeAngle, rotateAtPos } from "./rotation"
+
+/**
+ * Recognizes the multi-touch gestures of a canvas instance (only the pointers of type "touch" are tracked).
+ *
+ * - Pinch: two or more fingers zoom the canvas anchored at their centroid, pan it when the centroid moves and rotate it with a twist (if `cvs.rotationGesture` is enabled)
+ * - Tap, double tap and long press: a finger that doesn't move
+ * - Swipe: a finger that moves fast and is lifted
+ *
+ * Fingers can be added or lifted in the middle of a pinch: the gesture continues with the remaining fingers without jumps.
+ * The gestures emit their own events on the instance ("tap", "doubletap", "longpress", "swipe" and "pinch", also available as `tapCallback`, `doubleTapCallback`, etc.) with world coordinates.
+ *
+ * **Options**
+ * @property {Number} tapMaxDuration - Maximum time (ms) a finger can be down to be a tap
+ * @property {Number} tapMaxDistance - Maximum distance (screen pixels) a finger can move to be a tap or a long press
+ * @property {Number} doubleTapDelay - Maximum time (ms) between two taps to be a double tap
+ * @property {Number} doubleTapDistance - Maximum distance (screen pixels) between two taps to be a double tap
+ * @property {Number} longPressDelay - Time (ms) a finger must be down without moving to be a long press
+ * @property {Number} swipeMinDistance - Minimum distance (screen pixels) of a swipe
+ * @property {Number} swipeMinVelocity - Minimum speed (screen pixels per ms) of a swipe
+ */
+export class GestureRecognizer {
+    constructor(cvs) {
+        this.cvs = cvs
+
+        // --- Options ---
+        this.tapMaxDuration = constants.TAP_MAX_DURATION
+        this.tapMaxDistance = constants.TAP_MAX_DISTANCE
+        this.doubleTapDelay = constants.DOUBLE_TAP_DELAY
+        this.doubleTapDistance = constants.DOUBLE_TAP_DISTANCE
+        this.longPressDelay = constants.LONG_PRESS_DELAY
+        this.swipeMinDistance = constants.SWIPE_MIN_DISTANCE
+        this.swipeMinVelocity = constants.SWIPE_MIN_VELOCITY
+
+        // --- State ---
+        this._touches = new Map()  // Touches on the canvas indexed by their pointer id `{start, position}` (screen coordinates)
+        this._gesture = null  // Current gesture, from the first finger down to the last finger up `{start, maxTouches, moved, longPressed}`
+        this._pinch = null  // State of the pinch in the last event `{centroid, spread, angle, scale, rotation}`
+        this._lastTap = null  // Last tap, used to detect the double taps `{time, position}`
+        this._longPressTimer = null
+    }
+
+    /**
+     * Number of fingers on the canvas.
+     */
+    get count() {
+        return this._touches.size
+    }
+
+    /**
+     * Touches on the canvas in world coordinates (used by the debug mode).
+     *
+     * @returns {Array} The touches `{id, x, y}`
+     */
+    get touches() {
+        return [...this._touches].map(([id, touch]) => ({ id, ...screenToWorld(touch.position, this.cvs) }))
+    }
+
+    /**
+     * Whether the user is pinching (two or more fingers).
+     */
+    get pinching() {
+        return this._pinch !== null
+    }
+
+
+    // --- Events ---
+
+    /**
+     * Starts tracking a new touch.
+     *
+     * @param {PointerEvent} e The pointerdown event of a touch
+     */
+    handlePointerDown(e) {
+        const position = clientToScreen(e.clientX, e.clientY, this.cvs)
+        this._touches.set(e.pointerId, { start: position, position })
+
+        if (!this._gesture) this._gesture = { start: performance.now(), maxTouches: 0, moved: false, longPressed: false }
+        this._gesture.maxTouches = Math.max(this._gesture.maxTouches, this.count)
+
+        this._clearLongPress()
+        if (this.count === 1) this._longPressTimer = setTimeout(() => this._longPress(), this.longPressDelay)
+        else this._startPinch()
+    }
+
+    /**
+     * Updates the position of a tracked touch and applies the pinch.
+     *
+     * @param {PointerEvent} e The pointermove event of a touch
+     */
+    handlePointerMove(e) {
+        const tracked = this._touches.get(e.pointerId)
+        if (!tracked) return  // The touch didn't start on the canvas
+
+        tracked.position = clientToScreen(e.clientX, e.clientY, this.cvs)
+        if (distance(tracked.start, tracked.position) > this.tapMaxDistance) {
+            this._gesture.moved = true
+            this._clearLongPress()
+        }
+
+        if (this._pinch) this._updatePinch()
+    }
+
+    /**
+     * Stops tracking a lifted touch, and recognizes the gesture when the last finger is lifted.
+     *
+     * @param {PointerEvent} e The pointerup or pointercancel event of a touch
+     */
+    handlePointerUp(e) {
+        const lifted = this._touches.get(e.pointerId)
+        if (!lifted) return  // The touch didn't start on the canvas
+        this._touches.delete(e.pointerId)
+
+        // Continue the pinch with the remaining fingers, or finish it
+        if (this.count >= 2) this._startPinch()
+        else if (this._pinch) {
+            this._pinch = null
+            this.cvs.constraints.springBack()  // Rubber-band back if the limits were exceeded in elastic mode
+        }
+
+        if (this.count === 0) this._endGesture(lifted, e.type === "pointercancel")
+    }
+
+    /**
+     * Stops tracking all the touches (e.g. when the canvas is unmounted).
+     */
+    reset() {
+        this._clearLongPress()
+        this._touches.clear()
+        this._gesture = null
+        this._pinch = null
+        this._lastTap = null
+    }
+
+
+    // --- Pinch ---
+
+    // Stores the state of the fingers as the starting point of the pinch (called when the number of fingers changes, so the pinch doesn't jump)
+    _startPinch() {
+        this._clearLongPress()
+        const previous = this._pinch
+        this._pinch = {
+            ...this._getPinchState(),
+            scale: previous ? previous.scale : 1,
+            rotation: previous ? previous.rotation : 0
+        }
+    }
+
+    // Zooms, rotates and pans the canvas according to the movement of the fingers since the last event
+    _updatePinch() {
+        const cvs = this.cvs
+        const previous = this._pinch
+        const next = this._getPinchState()
+
+        // World point under the previous centroid (it will be moved under the new centroid)
+        const anchor = screenToWorld(previous.centroid, cvs)
+
+        const scale = previous.spread > 0 ? next.spread / previous.spread : 1
+        zoomBy(scale, cvs)
+
+        const rotation = cvs.rotationGesture ? normalizeAngle(next.angle - previous.angle) : 0
+        rotateAtPos(rotation, anchor.x, anchor.y, cvs)
+
+        const current = screenToWorld(next.centroid, cvs)
+        panBy(current.x - anchor.x, current.y - anchor.y, cvs)
+
+        this._pinch = { ...next, scale: previous.scale * scale, rotation: previous.rotation + rotation }
+
+        // --- Listeners ---
+        cvs.events.emit("pinch", screenToWorld(next.centroid, cvs), { scale: this._pinch.scale, rotation: this._pinch.rotation, touches: this.count })
+    }
+
+    // Centroid of the fingers, average distance to the centroid and angle between the first two fingers (screen coordinates)
+    _getPinchState() {
+        const points = [...this._touches.values()].map(t => t.position)
+        const centroid = {
+            x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+            y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+        }
+        const spread = points.reduce((sum, p) => sum + distance(p, centroid), 0) / points.length
+        const [a, b] = points
+        const angle = Math.atan2(b.y - a.y, b.x - a.x)
+        return { centroid, spread, angle }
+    }
+
+
+    // --- Single finger gestures ---
+
+    _longPress() {
+        this._longPressTimer = null
+        if (!this._gesture || this.count !== 1) return
+
+        this._gesture.longPressed = true
+        const [touch] = this._touches.values()
+
+        // --- Listeners ---
+        this.cvs.events.emit("longpress", screenToWorld(touch.position, this.cvs))
+    }
+
+    _clearLongPress() {
+        if (this._longPressTimer === null) return
+        clearTimeout(this._longPressTimer)
+        this._longPressTimer = null
+    }
+
+    // Recognizes the tap, double tap and swipe gestures when the last finger is lifted
+    _endGesture(touch, cancelled) {
+        this._clearLongPress()
+        const gesture = this._gesture
+        this._gesture = null
+        if (cancelled || gesture.maxTouches > 1 || gesture.longPressed) return
+
+        const cvs = this.cvs
+        const now = performance.now()
+        const duration = now - gesture.start
+        const dx = touch.position.x - touch.start.x
+        const dy = touch.position.y - touch.start.y
+        const length = Math.hypot(dx, dy)
+
+        // Tap and double tap
+        if (!gesture.moved && duration <= this.tapMaxDuration) {
+            const point = screenToWorld(touch.position, cvs)
+            const lastTap = this._lastTap
+            if (lastTap && now - lastTap.time <= this.doubleTapDelay && distance(lastTap.position, touch.position) <= this.doubleTapDistance) {
+                this._lastTap = null
+                cvs.events.emit("doubletap", point)
+            } else {
+                this._lastTap = { time: now, position: touch.position }
+                cvs.events.emit("tap", point)
+            }
+            return
+        }
+
+        // Swipe
+        const velocity = length / Math.max(duration, 1)
+        if (length >= this.swipeMinDistance && velocity >= this.swipeMinVelocity) {
+            // Direction on the screen
+            const direction = Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? "right" : "left") : (dy > 0 ? "down" : "up")
+            cvs.events.emit("swipe", direction, { start: screenToWorld(touch.start, cvs), end: screenToWorld(touch.position, cvs), velocity })
+        }
+    }
+}
+
+
+// ============== Utils ==============
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y)
+}
@@ -1,9 +1,28 @@
 import constants from "./constants"
-import { getViewBox, resetZoom } from "./zoom"
+import { resetZoom } from "./zoom"
+import { Scene } from "./scene"
+import { CommandHistory } from "./history"
+import { createGridOptions } from "./grid"
+import { Minimap } from "./minimap"
+import { Rulers } from "./rulers"
+import { ViewportAnimator } from "./animation"
+import { ViewportConstraints } from "./constraints"
+import { GestureRecognizer } from "./gestures"
+import { Keymap } from "./keymap"
+import { EventEmitter } from "./emitter"
+import { RenderLoop } from "./loop"
+import { LayerStack } from "./layers"
+import { Hud, drawScreen } from "./hud"
+import { DebugPanel } from "./debug"
+import { SelectionTool } from "./selection"
+import { ToolManager } from "./tools"
+import { Ink } from "./ink"
 
 /**
  * This class will create global variables and methods that will be used throughout the application.
  * 
+ * Every canvas element has its own instance of this class (created by `setupCanvas`), so several canvases can live on the same page without sharing any state. The first instance created is also stored in `window.cvs` as the default instance used by the functions that are called without an explicit instance.
+ * 
  * **Properties**
  * 
  * ---
@@ -14,6 +33,7 @@ import { getViewBox, resetZoom } from "./zoom"
  * @property {Array} debugCommands - An array of objects containing the label and callback function of the debug button to be displayed on the canvas. This way we can add button that trigger a custom function.
  * @property {Object} debugCommandHover - The command that is being hovered by the mouse
  * @property {Object} debugFunctions - An object containing functions to be executed when the debug mode is enabled. This is useful to draw custom debug information, not just String but whole canvas drawings like overlays, etc.
+ * @property {DebugPanel} debugPanel - The debug overlay: collapsible sections, FPS graph, event log, custom sections and toggles (see `utils/debug.js`)
  * 
  * **Mouse & Keyboard**
  * @property {Number} x - The x coordinate of the mouse cursor on the canvas (relative to the canvas)
@@ -24,8 +44,11 @@ import { getViewBox, resetZoom } from "./zoom"
  * @property {Object} draggingOrigin - The coordinates of the mouse at the moment the dragging action started
  * @property {Number} key - The key code of the pressed key, if any (null otherwise)
  * @property {Object} keysDown - An object to store the state of the keys
- * @property {Array} touches - An array to store the touch events (mobile)
- * @property {Object} touchesData - An object to store information about the touch events (used to calculate the distance between touches for the zoom effect, etc.)
+ * @property {Keymap} keymap - The registry of keyboard shortcuts of the canvas: chords, sequences and scopes (see `utils/keymap.js`)
+ * @property {Number} activePointer - The id of the pointer (mouse, finger or pen) pressing the canvas, if any (null otherwise)
+ * @property {Object} pointer - Information of the last pointer event `{id, type, pressure, tiltX, tiltY, twist, width, height, primary}` (passed to the mouse callbacks)
+ * @property {Object} lastPointerPosition - The screen coordinates of the pointer in the last pointer event (used to calculate the movement)
+ * @property {GestureRecognizer} gestures - The multi-touch gestures of the canvas: pinch, tap, double tap, long press and swipe (see `utils/gestures.js`)
  * 
  * **Canvas**
  * @property {Object} ctx - The canvas 2D context
@@ -33,11 +56,33 @@ import { getViewBox, resetZoom } from "./zoom"
  * @property {Object} canvasPanOffset - An object containing the x and y coordinates of the canvas shown at the top-left corner of the canvas
  * @property {Boolean} panning - A boolean flag indicating if the user is panning the canvas
  * @property {Number} zoom - The zoom factor
+ * @property {Number} rotation - The rotation of the camera in radians (see `utils/rotation.js`)
+ * @property {Boolean} rotationGesture - A boolean flag indicating if the canvas can be rotated with a two-finger twist gesture
+ * @property {Boolean} rotationShortcuts - A boolean flag indicating if the canvas can be rotated with the keyboard shortcuts
+ * @property {ViewportConstraints} constraints - The zoom limits and pan bounds of the canvas (see `utils/constraints.js`)
+ * @property {ViewportAnimator} animator - The camera transitions, kinetic panning and smooth zoom of the canvas (see `utils/animation.js`)
  * @property {Boolean} hasBackground - A boolean flag indicating if the canvas has a background color
  * @property {String} background - The background color of the canvas
+ * @property {Object} grid - The options of the infinite background grid (see `utils/grid.js`)
+ * @property {Scene} scene - The retained-mode scene drawn automatically after cleaning the canvas (see `utils/scene.js`)
+ * @property {SelectionTool} selection - The marquee and lasso selection tool (see `utils/selection.js`)
+ * @property {ToolManager} tools - The active tool, which receives the input of the canvas and sets its cursor (see `utils/tools.js`)
+ * @property {Ink} ink - The freehand strokes drawn with the "draw" tool (see `utils/ink.js`)
+ * @property {Minimap} minimap - The minimap overlay used to navigate the canvas (see `utils/minimap.js`)
+ * @property {Rulers} rulers - The rulers along the edges of the canvas and the guides dragged out of them (see `utils/rulers.js`)
+ * @property {CommandHistory} history - The undo/redo command history of the canvas (see `utils/history.js`)
+ * @property {Boolean} exporting - A boolean flag indicating if the frame is being drawn for an export (see `utils/export.js`)
+ * @property {LayerStack} layers - The stacked render layers of the canvas, with cached static layers and a screen-space "ui" layer (see `utils/layers.js`)
+ * @property {Hud} hud - The elements drawn in screen pixels on top of the frame, anchored to the edges of the canvas and clicked before the rest of the canvas (see `utils/hud.js`)
+ * @property {RenderLoop} loop - The render loop of the canvas: pause, resume, on-demand rendering and fixed timestep updates (see `utils/loop.js`)
  * 
  * **Config**
  * @property {Boolean} autoResize - A boolean flag indicating whether the canvas should automatically resize to fit its parent container
+ * @property {String} panKey - The code of the key that pans the canvas while it is held (e.g. "Space")
+ * @property {Number} panMouseButton - The mouse button that pans the canvas while it is pressed (1 is the middle button)
+ * @property {Number} doubleClickDelay - Maximum time (ms) between two clicks to be a double click
+ * @property {Number} rotationStep - Angle (radians) rotated by the rotation shortcuts
+ * @property {Object} rotationKeys - The rotation shortcuts `{cw, ccw, reset}` (arrays of shortcuts like "shift+e")
  * 
  * **Callbacks**
  * @property {Function} mouseMoveCallback - A callback function to be executed when the mouse is moved
@@ -48,19 +93,37 @@ import { getViewBox, resetZoom } from "./zoom"
  * @property {Function} keyDownCallback - A callback function to be executed when a key is pressed
  * @property {Function} keyUpCallback - A callback function to be executed when a key is released
  * @property {Function} resizeCallback - A callback function to be executed when the window is resized
+ * @property {Function} tapCallback - A callback function to be executed when the canvas is tapped (receives the world coordinates `{x, y}`)
+ * @property {Function} doubleTapCallback - A callback function to be executed when the canvas is double tapped (receives the world coordinates `{x, y}`)
+ * @property {Function} longPressCallback - A callback function to be executed when a finger is held on the canvas (receives the world coordinates `{x, y}`)
+ * @property {Function} swipeCallback - A callback function to be executed when the canvas is swiped (receives the direction "left", "right", "up" or "down" and `{start, end, velocity}`)
+ * @property {Function} pinchCallback - A callback function to be executed on each step of a pinch (receives the world coordinates of the centroid and `{scale, rotation, touches}`)
+ * @property {Function} selectionCallback - A callback function to be executed when a selection is made with the selection tool (receives `{shape, mode, rect, points, objects, selected}`)
+ * @property {Function} strokeCallback - A callback function to be executed when a stroke is finished with the "draw" tool (receives the stroke `{points, color, width, bounds}`)
+ * @property {Function} focusCallback - A callback function to be executed when the canvas gets the focus
+ * @property {Function} blurCallback - A callback function to be executed when the canvas loses the focus
+ * 
+ * Each callback is a listener of the event emitter (see `on`), so other modules can listen to the same events without replacing it.
+ * 
+ * **Events**
+ * @property {EventEmitter} events - The event emitter of the canvas (see `utils/emitter.js`)
  * 
  * **Methods**
  * 
  * ---
  * 
  * @method clean - Clears the canvas by drawing a rectangle that covers the entire canvas area and an extra margin to avoid artifacts.
- * @method drawDebugInfo - Prints information on the canvas when the debug mode is enabled.
+ * @method drawDebugInfo - Shows additional information in the debug panel for the current frame.
+ * @method drawScreen - Draws in screen pixels, independently of the camera.
+ * @method on - Adds a listener to an event of the canvas.
+ * @method once - Adds a listener that is removed after its first call.
+ * @method off - Removes a listener from an event of the canvas.
  */
 export class CanvasGlobals {
     constructor($canvas, ctx, debug = false) {
         
         // --- Debug mode ---
-        this.debug = debug // Flag to indicate if the debug mode is enabled
+        this._debug = debug // Flag to indicate if the debug mode is enabled
         this.debugData = undefined // Function to that returns an array of strings to be printed on the canvas
         this.debugCommands = [
             {
@@ -69,12 +132,16 @@ export class CanvasGlobals {
             },
             {
                 label: 'Reset zoom',
-                callback: () => resetZoom()
+                callback: () => resetZoom(this)
             }
         ],
             this.debugCommandHover = null
         this.debugFunctions = {}
 
+        // --- Events ---
+        this.events = new EventEmitter() // Listeners of the canvas events (the callbacks are registered as listeners too)
+        this._callbackListeners = {} // Listeners registered by the callback setters, indexed by the name of the callback
+
         // --- Mouse & Keyboard ---
         // Mouse coordinates in the canvas
         this._x = 0
@@ -89,20 +156,35 @@ export class CanvasGlobals {
         this._doubleClick = false // Flag to indicate if a double click event was detected (set to true when a double click is detected by a mouse down event, and reset to false on the next mouse up event)
         this._mouseDoubleClickCallback = null
         this._draggingOrigin = null // Coordinates of the origin of the dragging action
-        this.touches = [] // Array to store the touch events (mobile)
-        this.touchesData = {} // Object to store the touch data
+        // Pointer state (mouse, touch and pen)
+        this._activePointer = null // Id of the pointer pressing the canvas, if any (null otherwise)
+        this._pointer = null // Information of the last pointer event (type, pressure, tilt, etc.)
+        this._lastPointerPosition = null // Screen coordinates of the pointer in the last pointer event
+        this.gestures = new GestureRecognizer(this) // Multi-touch gestures (pinch, tap, long press, swipe)
+        this._tapCallback = null
+        this._doubleTapCallback = null
+        this._longPressCallback = null
+        this._swipeCallback = null
+        this._pinchCallback = null
         // Keyboard state
         this._key = null // The key code of the last pressed key, if any (null otherwise)
         this._keysDown = {} // Object to store the state of the keys (true if the key is pressed, false or undefined otherwise)
+        this.keymap = new Keymap(this) // Registered keyboard shortcuts
         this._keyDownCallback = null
         this._keyUpCallback = null
 
         // --- Canvas ---
         // Resize 
         this._resizeCallback = null
+        this._focusCallback = null
+        this._blurCallback = null
         this._autoResize = false
+        this._panKey = constants.PAN_KEY
+        this._panMouseButton = constants.PAN_MOUSE_BUTTON
+        this._doubleClickDelay = constants.DOUBLE_CLICK_DELAY
         this._hasBackground = false
         this._background = constants.BACKGROUND_COLOR
+        this.grid = createGridOptions() // Background grid drawn after cleaning the canvas
 
         // Drawing context
         this._ctx = ctx
@@ -114,124 +196,148 @@ export class CanvasGlobals {
         this._panning = false // Flag to indicate if the user is panning the canvas
         // Zoom
         this._zoom = 1 // Zoom factor
-
+        // Rotation
+        this._rotation = 0 // Rotation of the camera (radians)
+        this.rotationGesture = false // Flag to enable the two-finger twist gesture
+        this.rotationShortcuts = false // Flag to enable the rotation keyboard shortcuts
+        this.rotationStep = constants.ROTATE_STEP // Angle rotated by the shortcuts
+        this.rotationKeys = { cw: [...constants.ROTATE_CW_SHORTCUTS], ccw: [...constants.ROTATE_CCW_SHORTCUTS], reset: [...constants.ROTATE_RESET_SHORTCUTS] }
+        // Limits
+        this.constraints = new ViewportConstraints(this) // Zoom limits and pan bounds
+        // Animations
+        this.animator = new ViewportAnimator(this) // Camera transitions, kinetic panning and smooth zoom
+
+        // --- Scene ---
+        this.scene = new Scene(this) // Objects drawn automatically on every frame and hit tested by the mouse events
+
+        // --- Selection ---
+        this.selection = new SelectionTool(this) // Marquee and lasso selection of the scene objects (disabled by default)
+        this._selectionCallback = null
+
+        // --- Tools ---
+        this.tools = new ToolManager(this) // Active tool and cursor of the canvas ("select" by default)
+
+        // --- Ink ---
+        this.ink = new Ink(this) // Freehand strokes of the "draw" tool
+        this._strokeCallback = null
+
+        // --- Minimap ---
+        this.minimap = new Minimap(this) // Overlay drawn on top of the frame
+
+        // --- Rulers ---
+        this.rulers = new Rulers(this) // Rulers and guides (disabled by default)
+
+        // --- History ---
+        this.history = new CommandHistory(this) // Undo/redo commands
+
+        // --- Lifecycle ---
+        this._listeners = [] // Event listeners added by `setupCanvas` for this instance (removed by `unmountCanvas`)
+        this.loop = new RenderLoop(this) // Main loop of this instance (started by `mainLoop`)
+        this.exporting = false // Flag to indicate if the frame is being drawn for an export
+
+        // --- Layers ---
+        this.layers = new LayerStack(this) // Stacked layers drawn by the main loop (created after the loop, since adding a layer requests a frame)
+
+        // --- HUD ---
+        this.hud = new Hud(this) // Screen elements drawn after the world and hit tested before it
+        this.debugPanel = new DebugPanel(this) // Drawn as an element of the HUD while the debug mode is enabled
     }
 
 
     /**
-     * Clears the canvas by drawing a rectangle that covers the entire canvas area and an extra margin to avoid artifacts.
+     * Clears the canvas by drawing a rectangle that covers the entire canvas area.
+     * 
+     * The rectangle is drawn in screen space, so it covers the canvas whatever the transform of the context is.
      */
     clean() {
-        const coords = getViewBox()  // Get the coordinates of the view box
-        const margin = constants.CLEAN_MARGIN  // Margin to clear the canvas and avoid artifacts
+        const { width, height } = this.$canvas
 
-        if (!this.hasBackground) this.ctx.clearRect(coords.x - margin, coords.y - margin, coords.width + margin * 2, coords.height + margin * 2)
+        this.ctx.save()
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0)
+        if (!this.hasBackground) this.ctx.clearRect(0, 0, width, height)
         else {
-            this.ctx.save()
             this.ctx.fillStyle = this.background
-            this.ctx.fillRect(coords.x - margin, coords.y - margin, coords.width + margin * 2, coords.height + margin * 2)
-            this.ctx.restore()
-        }   
+            this.ctx.fillRect(0, 0, width, height)
+        }
+        this.ctx.restore()
     }
 
 
     /**
-     * Prints information on the canvas when the debug mode is enabled.
+     * Draws in screen pixels, independently of the zoom, the pan and the rotation of the camera (e.g. labels or indicators that keep their size).
      * 
-     * @param {Array} data Array of strings to be printed on the canvas along with the default debug information.
+     * The transform is reset (scaled by the pixel ratio of the canvas) before the callback and restored after it. Call it from the main loop, after the world drawings.
+     * 
+     * @param {Function} callback Function called with the context and the size of the screen `(ctx, {width, height})`
      */
-    drawDebugInfo(data) {
-        this.ctx.save()
-
-        const menuPos = { x: 300, y: 50 }
-
-        const zoom = this.zoom
-
-        this.ctx.fillStyle = 'black'
-        this.ctx.font = `${12 / zoom}px Arial`
-        this.ctx.textAlign = 'right'
-
-        // Debug info
-        data = [
-            // Default Debug info
-            `(${this.x.toFixed(2)})  - (${this.y.toFixed(2)})`,
-            "Zoom: " + this.zoom.toFixed(3),
-            "Mouse down: " + this.mouseDown,
-            "Dragging origin: " + (this.draggingOrigin ? `(${this.draggingOrigin.x.toFixed(2)}) - (${this.draggingOrigin.y.toFixed(2)})` : "None"),
-            "Key: " + this.key,
-            "Keys down: " + Object.keys(this.keysDown).filter(k => this.keysDown[k]).join('+') || "None",
-            "Double click ready: " + (Date.now() - this.lastMouseDown < constants.DOUBLE_CLICK_DELAY ? 'Yes' : 'No'),
-            "Canvas pan offset: (" + this.canvasPanOffset.x.toFixed(2) + ") - (" + this.canvasPanOffset.y.toFixed(2) + ")",
-            `Touch zoom: ${this.touchesData.zoomEnabled ? "Yes": "No"}`,
-
-            // Additional debug info
-            ...data
-        ]
-
-        // Canvas pan offset
-        const panOffsetY = this.canvasPanOffset.y
-        // Coords of the right side of the canvas minus a small margin of 10px
-        const posX = getViewBox().x2 - menuPos.x / zoom
-
-        // Custom data
-        for (let i = 0; i < data.length; i++) {
-            const lineY = i * 14 / zoom
-            const posY = menuPos.y / zoom + lineY + panOffsetY
-            ctx.fillText(data[i], posX, posY)
-        }
-
-        // Last line following coordinates
-        const cmdsY = menuPos.y / zoom + data.length * 14 / zoom + panOffsetY
-        const cmdsH = 20 / zoom
-
+    drawScreen(callback) {
+        drawScreen(callback, this)
+    }
 
-        // Draw debug commands as small buttons
-        let isHover = undefined
-        for (let i = 0; i < this.debugCommands.length; i++) {
-            const command = this.debugCommands[i]
-            const cmdY = cmdsY + i * cmdsH * 1.2
-            const textW = ctx.measureText(command.label).width
 
-            // Draw the command label
-            ctx.fillStyle = 'black'
-            ctx.textAlign = "right"
-            ctx.fillText(command.label, posX, cmdY + 12 / zoom)
+    /**
+     * Shows additional information in the "data" section of the debug panel for the current frame (call it on every frame from the main loop).
+     * 
+     * The default debug information, the touches and the functions of `debugFunctions` are drawn by the debug panel (see `utils/debug.js`).
+     * 
+     * @param {Array} data Array of strings to be printed on the canvas along with the default debug information.
+     */
+    drawDebugInfo(data = []) {
+        this.debugPanel.data = data
+    }
 
-            const btnX1 = posX - textW - 5 / zoom
-            const btnY1 = cmdY
 
-            // Draw the command button
-            ctx.strokeStyle = 'black'
-            ctx.fillStyle = '#8888'
-            ctx.fillRect(btnX1, btnY1, textW + 10 / zoom, cmdsH)
+    /**
+     * Adds a listener to an event of the canvas.
+     * 
+     * The events are: "pointermove", "pointerdown", "pointerup", "doubleclick", "wheel", "keydown", "keyup", "resize", "focus", "blur", "tap", "doubletap", "longpress", "swipe", "pinch", "select", "toolchange", "zoom", "pan", "rotate", "frame" and "hud".
+     * 
+     * @param {String} type The type of the event
+     * @param {Function} handler Function called with the arguments of the event and a `CanvasEvent` (see `utils/emitter.js`)
+     * @param {Object} options `{priority, once}`. The listeners with a positive priority run before the default action of the event, so they can cancel it
+     * @returns {Function} A function that removes the listener
+     */
+    on(type, handler, options) {
+        return this.events.on(type, handler, options)
+    }
 
-            // Hover
-            if (this.x > posX - textW - 5 / zoom && this.x < posX + 5 / zoom && this.y > cmdY && this.y < cmdY + cmdsH) {
-                ctx.fillStyle = '#fff2'
-                ctx.fillRect(posX - textW - 5 / zoom, cmdY, textW + 10 / zoom, cmdsH)
-                isHover = command
-            }
-        }
+    /**
+     * Adds a listener that is removed after its first call.
+     * 
+     * @param {String} type The type of the event
+     * @param {Function} handler Function called with the arguments of the event and a `CanvasEvent`
+     * @param {Object} options `{priority}`
+     * @returns {Function} A function that removes the listener
+     */
+    once(type, handler, options) {
+        return this.events.once(type, handler, options)
+    }
 
-        // Store the command that is being hovered
-        if (isHover) this.debugCommandHover = isHover
-        else this.debugCommandHover = null
+    /**
+     * Removes a listener from an event of the canvas.
+     * 
+     * @param {String} type The type of the event
+     * @param {Function} handler The handler passed to `on`
+     */
+    off(type, handler) {
+        this.events.off(type, handler)
+    }
 
-        // Call the debug functions
-        for (let f in this.debugFunctions) this.debugFunctions[f]()
-        this.debugFunctions = {}	
+    // Shows or hides the debug panel with the debug mode
+    _setDebug(value) {
+        this._debug = value
+        if (!this.debugPanel) return  // Not created yet (constructor)
 
-        // Touches
-        this.touches.forEach((touch, i) => {
-            this.ctx.fillStyle = "#f008"
-            this.ctx.beginPath()
-            this.ctx.arc(touch.x, touch.y, 25, 0, 2 * Math.PI)
-            this.ctx.fillText(touch.id, touch.x+3, touch.y+40)
-            this.ctx.fill()
-        })
+        this.debugPanel.setVisible(Boolean(value))
+        this.loop.invalidate()
+    }
 
-        // Reset the style
-        this.ctx.restore()
+    // Replaces the listener registered by a callback setter
+    _setCallback(name, type, value, listener = value) {
+        if (this._callbackListeners[name]) this.events.off(type, this._callbackListeners[name])
+        this["_" + name] = value
+        this._callbackListeners[name] = listener
+        if (listener) this.events.on(type, listener)
     }
 
 
@@ -247,16 +353,16 @@ export class CanvasGlobals {
     set mouseDown(value) { this._mouseDown = value; }
 
     get mouseMoveCallback() { return this._mouseMoveCallback; }
-    set mouseMoveCallback(value) { this._mouseMoveCallback = value; }
+    set mouseMoveCallback(value) { this._setCallback("mouseMoveCallback", "pointermove", value); }
 
     get mouseUpCallback() { return this._mouseUpCallback; }
-    set mouseUpCallback(value) { this._mouseUpCallback = value; }
+    set mouseUpCallback(value) { this._setCallback("mouseUpCallback", "pointerup", value); }
 
     get mouseDownCallback() { return this._mouseDownCallback; }
-    set mouseDownCallback(value) { this._mouseDownCallback = value; }
+    set mouseDownCallback(value) { this._setCallback("mouseDownCallback", "pointerdown", value); }
 
     get mouseScrollCallback() { return this._mouseScrollCallback; }
-    set mouseScrollCallback(value) { this._mouseScrollCallback = value; }
+    set mouseScrollCallback(value) { this._setCallback("mouseScrollCallback", "wheel", value); }
 
     get lastMouseDown() { return this._lastMouseDown; }
     set lastMouseDown(value) { this._lastMouseDown = value; }
@@ -265,7 +371,16 @@ export class CanvasGlobals {
     set doubleClick(value) { this._doubleClick = value; }
 
     get mouseDoubleClickCallback() { return this._mouseDoubleClickCallback; }
-    set mouseDoubleClickCallback(value) { this._mouseDoubleClickCallback = value; }
+    set mouseDoubleClickCallback(value) { this._setCallback("mouseDoubleClickCallback", "doubleclick", value); }
+
+    get activePointer() { return this._activePointer; }
+    set activePointer(value) { this._activePointer = value; }
+
+    get pointer() { return this._pointer; }
+    set pointer(value) { this._pointer = value; }
+
+    get lastPointerPosition() { return this._lastPointerPosition; }
+    set lastPointerPosition(value) { this._lastPointerPosition = value; }
 
     get draggingOrigin() { return this._draggingOrigin; }
     set draggingOrigin(value) { this._draggingOrigin = value; }
@@ -273,21 +388,65 @@ export class CanvasGlobals {
     get key() { return this._key; }
     set key(value) { this._key = value; }
 
+    get tapCallback() { return this._tapCallback; }
+    set tapCallback(value) { this._setCallback("tapCallback", "tap", value); }
+
+    get doubleTapCallback() { return this._doubleTapCallback; }
+    set doubleTapCallback(value) { this._setCallback("doubleTapCallback", "doubletap", value); }
+
+    get longPressCallback() { return this._longPressCallback; }
+    set longPressCallback(value) { this._setCallback("longPressCallback", "longpress", value); }
+
+    get swipeCallback() { return this._swipeCallback; }
+    set swipeCallback(value) { this._setCallback("swipeCallback", "swipe", value); }
+
+    get pinchCallback() { return this._pinchCallback; }
+    set pinchCallback(value) { this._setCallback("pinchCallback", "pinch", value); }
+
     get keysDown() { return this._keysDown; }
     set keysDown(value) { this._keysDown = value; }
 
     get keyDownCallback() { return this._keyDownCallback; }
-    set keyDownCallback(value) { this._keyDownCallback = value; }
+    set keyDownCallback(value) {
+        // The key is prevented if the callback returns true
+        this._setCallback("keyDownCallback", "keydown", value, value && ((code, coords, event) => {
+            if (value(code, coords, event)) event.originalEvent.preventDefault()
+        }))
+    }
 
     get keyUpCallback() { return this._keyUpCallback; }
-    set keyUpCallback(value) { this._keyUpCallback = value; }
+    set keyUpCallback(value) { this._setCallback("keyUpCallback", "keyup", value); }
 
     get resizeCallback() { return this._resizeCallback; }
-    set resizeCallback(value) { this._resizeCallback = value; }
+    set resizeCallback(value) { this._setCallback("resizeCallback", "resize", value); }
+
+    get selectionCallback() { return this._selectionCallback; }
+    set selectionCallback(value) { this._setCallback("selectionCallback", "select", value); }
+
+    get strokeCallback() { return this._strokeCallback; }
+    set strokeCallback(value) { this._setCallback("strokeCallback", "stroke", value); }
+
+    get focusCallback() { return this._focusCallback; }
+    set focusCallback(value) { this._setCallback("focusCallback", "focus", value); }
+
+    get blurCallback() { return this._blurCallback; }
+    set blurCallback(value) { this._setCallback("blurCallback", "blur", value); }
+
+    get debug() { return this._debug; }
+    set debug(value) { this._setDebug(value); }
 
     get autoResize() { return this._autoResize; }
     set autoResize(value) { this._autoResize = value; }
 
+    get panKey() { return this._panKey; }
+    set panKey(value) { this._panKey = value; }
+
+    get panMouseButton() { return this._panMouseButton; }
+    set panMouseButton(value) { this._panMouseButton = value; }
+
+    get doubleClickDelay() { return this._doubleClickDelay; }
+    set doubleClickDelay(value) { this._doubleClickDelay = value; }
+
     get hasBackground() { return this._hasBackground; }
     set hasBackground(value) { this._hasBackground = value; }
 
@@ -306,9 +465,9 @@ export class CanvasGlobals {
     get panning() { return this._panning; }
     set panning(value) { this._panning = value; }
 
-    get zoom() { return this._zoom }
-    set zoom(value) {
-        this._zoom = value
-        window.ui.call("setZoomLabel", value)
-    }
+    get zoom() { return this._zoom; }
+    set zoom(value) { this._zoom = value; }
+
+    get rotation() { return this._rotation; }
+    set rotation(value) { this._rotation = value; }
 }
\ No newline at end of file
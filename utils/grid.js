@@ -0,0 +1,146 @@
+import constants from "./constants"
+import { getViewBox } from "./zoom"
+import { worldToScreen } from "./camera"
+
+/**
+ * Returns the default options of the grid of a canvas instance (`cvs.grid`).
+ *
+ * - `enabled` (Boolean): Whether the grid is drawn after cleaning the canvas
+ * - `type` (String): "lines" or "dots"
+ * - `size` (Number): Base spacing of the grid (world units). The grid is subdivided by powers of `subdivisions` of this size as the zoom changes
+ * - `subdivisions` (Number): Number of minor cells between two major lines
+ * - `minSpacing` (Number): Minimum distance (screen pixels) between two minor lines. When the minor lines get closer, the grid switches to the next level
+ * - `color` (String): Color of the minor lines/dots
+ * - `majorColor` (String): Color of the major lines/dots
+ * - `lineWidth` (Number): Width of the lines and size of the dots (screen pixels)
+ * - `snap` (Boolean): Whether the coordinates passed to the mouse callbacks are snapped to the grid
+ *
+ * @returns {Object} The grid options
+ */
+export function createGridOptions() {
+    return {
+        enabled: false,
+        type: "lines",
+        size: constants.GRID_SIZE,
+        subdivisions: constants.GRID_SUBDIVISIONS,
+        minSpacing: constants.GRID_MIN_SPACING,
+        color: constants.GRID_COLOR,
+        majorColor: constants.GRID_MAJOR_COLOR,
+        lineWidth: 1,
+        snap: false,
+    }
+}
+
+
+/**
+ * Calculates the spacing of the grid for the current zoom level.
+ *
+ * The minor spacing is the smallest power of `subdivisions` of the grid `size` whose distance on the screen is at least `minSpacing` pixels.
+ *
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Object} The spacing of the minor and major lines in world units `{minor, major}`
+ */
+export function getGridSpacing(cvs = window.cvs) {
+    const { size, subdivisions, minSpacing } = cvs.grid
+
+    // The small epsilon avoids jumping to the next level because of floating-point errors (e.g. -2.9999999 instead of -3)
+    const level = Math.ceil(Math.log(minSpacing / (size * cvs.zoom)) / Math.log(subdivisions) - 1e-9)
+    const minor = size * Math.pow(subdivisions, level)
+
+    return { minor, major: minor * subdivisions }
+}
+
+
+/**
+ * Snaps a point to the closest intersection of the minor lines of the grid (at the current zoom level).
+ *
+ * @param {Object} point The point to snap `{x, y}` (world coordinates)
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Object} The snapped point `{x, y}`
+ */
+export function snapToGrid({ x, y }, cvs = window.cvs) {
+    const { minor } = getGridSpacing(cvs)
+    return {
+        x: Math.round(x / minor) * minor,
+        y: Math.round(y / minor) * minor
+    }
+}
+
+
+/**
+ * Draws the grid covering the view box of the canvas.
+ *
+ * The grid is drawn in screen space (aligned to the pixels when the camera is not rotated) so the lines stay crisp at any zoom level. The minor lines fade in as they get apart, to avoid popping when the grid changes its level.
+ *
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ */
+export function drawGrid(cvs = window.cvs) {
+    const { type, subdivisions, minSpacing, color, majorColor, lineWidth } = cvs.grid
+    const ctx = cvs.ctx
+    const zoom = cvs.zoom
+    const { x, y, x2, y2 } = getViewBox(cvs)
+    const { minor } = getGridSpacing(cvs)
+
+    // Opacity of the minor lines (0 when they are `minSpacing` pixels apart, 1 when they are twice as far)
+    const minorAlpha = Math.min(1, (minor * zoom - minSpacing) / minSpacing)
+
+    // Screen coordinates of the points, rounded to the pixels
+    const offset = lineWidth % 2 === 1 ? 0.5 : 0
+    const toScreen = (wx, wy) => {
+        const point = worldToScreen({ x: wx, y: wy }, cvs)
+        return { x: Math.round(point.x) + offset, y: Math.round(point.y) + offset }
+    }
+    const isMajor = (i) => i % subdivisions === 0
+    const columns = range(x, x2, minor)
+    const rows = range(y, y2, minor)
+
+    ctx.save()
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+
+    const minorPath = new Path2D()
+    const majorPath = new Path2D()
+    if (type === "dots") {
+        const size = lineWidth * 2
+        for (const i of columns) {
+            for (const j of rows) {
+                const path = isMajor(i) && isMajor(j) ? majorPath : minorPath
+                const point = toScreen(i * minor, j * minor)
+                path.rect(point.x - size / 2, point.y - size / 2, size, size)
+            }
+        }
+        ctx.fillStyle = color
+        ctx.globalAlpha = minorAlpha
+        ctx.fill(minorPath)
+        ctx.fillStyle = majorColor
+        ctx.globalAlpha = 1
+        ctx.fill(majorPath)
+    } else {
+        // The lines cross the bounding box of the view box (the visible area when the camera is rotated)
+        const addLine = (path, from, to) => {
+            path.moveTo(from.x, from.y)
+            path.lineTo(to.x, to.y)
+        }
+        for (const i of columns) addLine(isMajor(i) ? majorPath : minorPath, toScreen(i * minor, y), toScreen(i * minor, y2))
+        for (const j of rows) addLine(isMajor(j) ? majorPath : minorPath, toScreen(x, j * minor), toScreen(x2, j * minor))
+
+        ctx.lineWidth = lineWidth
+        ctx.strokeStyle = color
+        ctx.globalAlpha = minorAlpha
+        ctx.stroke(minorPath)
+        ctx.strokeStyle = majorColor
+        ctx.globalAlpha = 1
+        ctx.stroke(majorPath)
+    }
+
+    ctx.restore()
+}
+
+
+// ============== Utils ==============
+
+// Returns the indexes of the lines (multiples of the spacing) between two coordinates
+function range(from, to, spacing) {
+    const indexes = []
+    for (let i = Math.ceil(from / spacing); i * spacing <= to; i++) indexes.push(i)
+    return indexes
+}
@@ -0,0 +1,302 @@
+import constants from "./constants"
+import { handleShortcut } from "./keyboard"
+import { panTo } from "./pan"
+import { zoomTo } from "./zoom"
+import { rotateTo } from "./rotation"
+
+/**
+ * Command history of a canvas instance (undo/redo).
+ *
+ * A command is an object with the following properties:
+ * - `label` (String): Optional name of the command (e.g. "Move rect"), useful to display it in the UI
+ * - `execute()` (Function): Applies the command. It is called when the command is executed and every time it is redone
+ * - `undo()` (Function): Reverts the command
+ * - `merge(command)` (Function): Optional. Called with the next command recorded right after this one; if it returns true, the next command is considered merged into this one and is not added to the history (e.g. to group the steps of a drag)
+ *
+ * **Transactions**
+ *
+ * The commands executed between `beginTransaction` and `endTransaction` are grouped into a single command, so they are undone and redone together. Transactions can be nested, only the outermost one creates the command.
+ *
+ * **Shortcuts**
+ *
+ * When `shortcuts` is enabled (default), the keys defined in `undoShortcuts` and `redoShortcuts` (Ctrl+Z, Ctrl+Shift+Z and Ctrl+Y by default) are handled by the key down handler of the canvas.
+ *
+ * **Viewport**
+ *
+ * When `recordViewport` is enabled, the changes made by `panBy` and `zoomBy` are recorded as commands too. Consecutive viewport changes are merged into a single command.
+ *
+ * @property {Number} maxDepth - Maximum number of commands stored in the undo stack (the oldest ones are discarded)
+ * @property {Boolean} shortcuts - Whether the undo/redo shortcuts are enabled
+ * @property {Array} undoShortcuts - Shortcuts that undo the last command (e.g. "control+z"). The modifiers must be in the order control, alt, shift, meta (e.g. "shift+meta+z")
+ * @property {Array} redoShortcuts - Shortcuts that redo the last undone command
+ * @property {Boolean} recordViewport - Whether the pan and zoom changes are recorded
+ * @property {Number} mergeDelay - Time (ms) in which consecutive viewport changes are merged into a single command
+ * @property {Function} changeCallback - A callback function to be executed when the history changes `callback(action, history)`. The action is one of: "execute", "undo", "redo", "clear"
+ */
+export class CommandHistory {
+    constructor(cvs, maxDepth = constants.HISTORY_MAX_DEPTH) {
+        this.cvs = cvs
+        this.maxDepth = maxDepth
+        this.shortcuts = true
+        this.undoShortcuts = [...constants.UNDO_SHORTCUTS]
+        this.redoShortcuts = [...constants.REDO_SHORTCUTS]
+        this.recordViewport = false
+        this.mergeDelay = constants.HISTORY_MERGE_DELAY
+        this.changeCallback = null
+
+        this._undoStack = []
+        this._redoStack = []
+        this._transaction = null  // Commands of the current transaction
+        this._transactionLabel = null  // Label of the command created by the current transaction
+        this._transactionDepth = 0
+        this._applying = false  // Flag to avoid recording the changes made while undoing/redoing a command
+    }
+
+
+    // --- Commands ---
+
+    /**
+     * Executes a command and adds it to the history.
+     *
+     * @param {Object} command The command to execute
+     * @returns {Object} The command
+     */
+    execute(command) {
+        this._apply(() => command.execute())
+        return this.record(command)
+    }
+
+    /**
+     * Adds a command to the history without executing it. Useful when the action was already applied (e.g. at the end of a drag).
+     *
+     * @param {Object} command The command to record
+     * @returns {Object} The command
+     */
+    record(command) {
+        if (this._applying) return command
+
+        // Record the command as part of the current transaction
+        if (this._transaction) {
+            const last = this._transaction.at(-1)
+            if (!last?.merge?.(command)) this._transaction.push(command)
+            return command
+        }
+
+        this._redoStack = []
+
+        const last = this._undoStack.at(-1)
+        if (!last?.merge?.(command)) {
+            this._undoStack.push(command)
+            if (this._undoStack.length > this.maxDepth) this._undoStack.shift()
+        }
+
+        this._notify("execute")
+        return command
+    }
+
+    /**
+     * Reverts the last command.
+     *
+     * @returns {Boolean} True if a command was undone
+     */
+    undo() {
+        if (this._transaction) this.endTransaction()
+
+        const command = this._undoStack.pop()
+        if (!command) return false
+
+        this._apply(() => command.undo())
+        this._redoStack.push(command)
+
+        this._notify("undo")
+        return true
+    }
+
+    /**
+     * Applies again the last undone command.
+     *
+     * @returns {Boolean} True if a command was redone
+     */
+    redo() {
+        const command = this._redoStack.pop()
+        if (!command) return false
+
+        this._apply(() => command.execute())
+        this._undoStack.push(command)
+
+        this._notify("redo")
+        return true
+    }
+
+    /**
+     * Removes all the commands from the history.
+     */
+    clear() {
+        this._undoStack = []
+        this._redoStack = []
+        this._transaction = null
+        this._transactionDepth = 0
+        this._notify("clear")
+    }
+
+
+    // --- Transactions ---
+
+    /**
+     * Starts grouping the following commands into a single command.
+     *
+     * @param {String} label The label of the grouped command
+     */
+    beginTransaction(label) {
+        if (this._transactionDepth++ > 0) return
+
+        this._transaction = []
+        this._transactionLabel = label
+    }
+
+    /**
+     * Stops grouping the commands and adds the grouped command to the history (if any command was recorded).
+     */
+    endTransaction() {
+        if (this._transactionDepth === 0) return
+        if (--this._transactionDepth > 0) return
+
+        const commands = this._transaction
+        this._transaction = null
+        if (commands.length === 0) return
+
+        this.record({
+            label: this._transactionLabel,
+            commands,
+            execute: () => commands.forEach(c => c.execute()),
+            undo: () => [...commands].reverse().forEach(c => c.undo())
+        })
+    }
+
+    /**
+     * Stops grouping the commands and reverts the commands recorded during the transaction.
+     */
+    cancelTransaction() {
+        if (!this._transaction) return
+
+        const commands = this._transaction
+        this._transaction = null
+        this._transactionDepth = 0
+        this._apply(() => [...commands].reverse().forEach(c => c.undo()))
+    }
+
+    /**
+     * Runs a function inside a transaction. The commands executed by the function are grouped into a single command.
+     *
+     * @param {String} label The label of the grouped command
+     * @param {Function} callback The function to run
+     */
+    transaction(label, callback) {
+        this.beginTransaction(label)
+        try {
+            callback()
+        } finally {
+            this.endTransaction()
+        }
+    }
+
+
+    // --- Viewport ---
+
+    /**
+     * Records a change of the viewport (pan and zoom) if `recordViewport` is enabled. Nothing is recorded if the viewport didn't change (e.g. `panBy(0, 0)`), so the redo stack is kept.
+     *
+     * @param {Object} before The viewport state before the change, as returned by `getViewportState`
+     */
+    recordViewportChange(before) {
+        if (!this.recordViewport || this._applying) return
+
+        const cvs = this.cvs
+        const after = getViewportState(cvs)
+        if (Object.keys(after).every(key => after[key] === before[key])) return
+
+        const command = {
+            label: "Viewport",
+            before,
+            after,
+            time: Date.now(),
+            execute: () => setViewportState(command.after, cvs),
+            undo: () => setViewportState(command.before, cvs),
+            // Merge the consecutive viewport changes (e.g. the steps of a pan)
+            merge: (next) => {
+                if (next.label !== "Viewport" || next.time - command.time > this.mergeDelay) return false
+                command.after = next.after
+                command.time = next.time
+                return true
+            }
+        }
+        this.record(command)
+    }
+
+
+    // --- State ---
+
+    get canUndo() { return this._undoStack.length > 0 }
+    get canRedo() { return this._redoStack.length > 0 }
+    get undoLabel() { return this._undoStack.at(-1)?.label }
+    get redoLabel() { return this._redoStack.at(-1)?.label }
+
+
+    // --- Utils ---
+
+    _apply(callback) {
+        const applying = this._applying
+        this._applying = true
+        try {
+            callback()
+        } finally {
+            this._applying = applying
+        }
+    }
+
+    _notify(action) {
+        this.cvs.loop.invalidate()  // The commands change the content
+        if (this.changeCallback) this.changeCallback(action, this)
+    }
+}
+
+
+/**
+ * Handles the undo/redo shortcuts of a canvas instance.
+ *
+ * @param {CanvasGlobals} cvs The canvas instance
+ * @returns {Boolean} True if a shortcut was handled
+ */
+export function handleHistoryShortcut(cvs = window.cvs) {
+    if (!cvs.history.shortcuts) return false
+
+    const SHORTCUTS = {}
+    cvs.history.undoShortcuts.forEach(shortcut => SHORTCUTS[shortcut] = () => cvs.history.undo())
+    cvs.history.redoShortcuts.forEach(shortcut => SHORTCUTS[shortcut] = () => cvs.history.redo())
+
+    return handleShortcut(SHORTCUTS, cvs)
+}
+
+
+/**
+ * Returns the current state of the viewport.
+ *
+ * @param {CanvasGlobals} cvs The canvas instance
+ * @returns {Object} The pan offset, the zoom and the rotation of the canvas `{x, y, zoom, rotation}`
+ */
+export function getViewportState(cvs = window.cvs) {
+    return { x: cvs.canvasPanOffset.x, y: cvs.canvasPanOffset.y, zoom: cvs.zoom, rotation: cvs.rotation }
+}
+
+
+/**
+ * Restores a state of the viewport returned by `getViewportState` (the rotation is optional).
+ *
+ * @param {Object} state The viewport state
+ * @param {CanvasGlobals} cvs The canvas instance
+ */
+export function setViewportState(state, cvs = window.cvs) {
+    if (state.rotation !== undefined) rotateTo(state.rotation, cvs)
+    zoomTo(state.zoom, cvs)
+    panTo(state.x, state.y, cvs)
+}
@@ -0,0 +1,244 @@
+/**
+ * Calculates the ratio between the pixels of the canvas and the CSS pixels of the element (the device pixel ratio, if the canvas is sized for it).
+ *
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Number} The number of canvas pixels per CSS pixel
+ */
+export function getPixelRatio(cvs = window.cvs) {
+    const { width, clientWidth } = cvs.$canvas
+    return clientWidth ? width / clientWidth : 1
+}
+
+/**
+ * Returns the size of the canvas in screen pixels (CSS pixels, the units of the HUD and of the pointer coordinates relative to the canvas element).
+ *
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Object} The size `{width, height}`
+ */
+export function getScreenSize(cvs = window.cvs) {
+    const ratio = getPixelRatio(cvs)
+    return { width: cvs.$canvas.width / ratio, height: cvs.$canvas.height / ratio }
+}
+
+
+/**
+ * Draws in screen pixels, independently of the camera: the transform is reset (scaled by the pixel ratio) and restored after the callback.
+ *
+ * @param {Function} callback Function called with the context and the size of the screen `(ctx, {width, height})`
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ */
+export function drawScreen(callback, cvs = window.cvs) {
+    const ctx = cvs.ctx
+    const ratio = getPixelRatio(cvs)
+
+    ctx.save()
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+    try {
+        callback(ctx, getScreenSize(cvs))
+    } finally {
+        ctx.restore()
+    }
+}
+
+
+/**
+ * Calculates the rectangle of a box anchored to a corner, an edge or the center of the canvas (screen pixels).
+ *
+ * @param {Object} box
+ * @param {String} box.anchor "top-left" (default), "top", "top-right", "left", "center", "right", "bottom-left", "bottom" or "bottom-right"
+ * @param {Number} box.x The distance to the anchored edge, towards the inside of the canvas (horizontal offset from the center for "top", "center" and "bottom")
+ * @param {Number} box.y The distance to the anchored edge, towards the inside of the canvas (vertical offset from the center for "left", "center" and "right")
+ * @param {Number} box.width The width of the box
+ * @param {Number} box.height The height of the box
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Object} The rectangle `{x, y, width, height}`
+ */
+export function anchorRect({ anchor = "top-left", x = 0, y = 0, width = 0, height = 0 }, cvs = window.cvs) {
+    const screen = getScreenSize(cvs)
+    const horizontal = anchor.includes("left") ? "start" : anchor.includes("right") ? "end" : "center"
+    const vertical = anchor.includes("top") ? "start" : anchor.includes("bottom") ? "end" : "center"
+
+    const position = (alignment, offset, size, screenSize) => {
+        if (alignment === "start") return offset
+        if (alignment === "end") return screenSize - size - offset
+        return (screenSize - size) / 2 + offset
+    }
+
+    return {
+        x: position(horizontal, x, width, screen.width),
+        y: position(vertical, y, height, screen.height),
+        width,
+        height
+    }
+}
+
+
+/**
+ * HUD of a canvas instance (`cvs.hud`): elements drawn in screen pixels on top of the frame, anchored to the corners, the edges or the center of the canvas.
+ *
+ * An element is a plain object with the following properties:
+ * - `anchor`, `x`, `y`, `width`, `height`: The box of the element (see `anchorRect`)
+ * - `draw(ctx, rect, element)`: Draws the element. The origin of the context is the top-left corner of the box
+ * - `onClick(button, {x, y}, element)`: Called when the element is pressed and released (screen coordinates)
+ * - `onPress(button, {x, y}, element)` and `onDrag({x, y}, element)`: Called when the element is pressed, and when the pointer moves while it is pressed (e.g. to drag a panel)
+ * - `onRelease(button, {x, y}, element)`: Called when the pressed element is released, wherever the pointer is (before `onClick`)
+ * - `onHover(hovered, element)`: Called when the pointer enters or leaves the element
+ * - `visible` (default: true) and `interactive` (default: true): A non-interactive element lets the pointer events through
+ *
+ * The pointer events over the interactive elements are consumed by the HUD before the minimap, the scene and the mouse callbacks of the canvas.
+ * Besides the elements, the "hud" event is emitted while the HUD is drawn, so other modules can draw in screen pixels too (`cvs.on("hud", (ctx, {width, height}) => {...})`).
+ */
+export class Hud {
+    constructor(cvs) {
+        this.cvs = cvs
+        this.elements = []  // Elements of the HUD (in drawing order)
+        this.hovered = null  // The topmost interactive element under the pointer
+        this._pressed = null  // Element pressed by the pointer
+    }
+
+
+    // --- Elements ---
+
+    /**
+     * Adds an element to the HUD.
+     *
+     * @param {Object} element The element (see the description of the class)
+     * @returns {Object} The element
+     */
+    add(element) {
+        Object.assign(element, { anchor: "top-left", x: 0, y: 0, width: 0, height: 0, visible: true, interactive: true, ...element })
+        this.elements.push(element)
+        this.cvs.loop.invalidate()
+        return element
+    }
+
+    /**
+     * Removes an element from the HUD.
+     *
+     * @param {Object} element The element to remove
+     */
+    remove(element) {
+        this.elements = this.elements.filter(e => e !== element)
+        if (this.hovered === element) this.hovered = null
+        if (this._pressed === element) this._pressed = null
+        this.cvs.loop.invalidate()
+    }
+
+    /**
+     * Calculates the rectangle of an element (screen pixels).
+     *
+     * @param {Object} element The element
+     * @returns {Object} The rectangle `{x, y, width, height}`
+     */
+    getRect(element) {
+        return anchorRect(element, this.cvs)
+    }
+
+    /**
+     * Finds the topmost visible and interactive element that contains a point.
+     *
+     * @param {Number} x The x coordinate of the point (screen pixels)
+     * @param {Number} y The y coordinate of the point (screen pixels)
+     * @returns {Object} The element (null if there is no element at that point)
+     */
+    hitTest(x, y) {
+        for (let i = this.elements.length - 1; i >= 0; i--) {
+            const element = this.elements[i]
+            if (!element.visible || !element.interactive) continue
+
+            const rect = this.getRect(element)
+            if (x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height) return element
+        }
+        return null
+    }
+
+
+    // --- Drawing ---
+
+    /**
+     * Draws the visible elements and emits the "hud" event (used by the main loop after the world drawings, not included in the exports).
+     */
+    draw() {
+        if (this.cvs.exporting) return
+
+        drawScreen((ctx, screen) => {
+            for (const element of this.elements) {
+                if (!element.visible || !element.draw) continue
+
+                const rect = this.getRect(element)
+                ctx.save()
+                ctx.translate(rect.x, rect.y)
+                element.draw(ctx, rect, element)
+                ctx.restore()
+            }
+
+            this.cvs.events.emit("hud", ctx, screen)
+        }, this.cvs)
+    }
+
+
+    // --- Events ---
+
+    /**
+     * Presses the element under the pointer.
+     *
+     * @param {Object} screen The coordinates of the pointer relative to the canvas element `{x, y}`
+     * @param {Number} button The pressed button
+     * @returns {Boolean} True if the event was consumed by the HUD
+     */
+    handleMouseDown(screen, button) {
+        this._setHovered(this.hitTest(screen.x, screen.y))  // The touches don't hover the elements before pressing them
+        this._pressed = this.hovered
+        if (this._pressed?.onPress) this._pressed.onPress(button, screen, this._pressed)
+        return this._pressed !== null
+    }
+
+    /**
+     * Updates the hovered element.
+     *
+     * @param {Object} screen The coordinates of the pointer relative to the canvas element `{x, y}`
+     * @returns {Boolean} True if the event was consumed by the HUD (an element is pressed, or the pointer is over an element without pressing a button)
+     */
+    handleMouseMove(screen) {
+        // The drags that started outside of the HUD (e.g. the scene, the selection or the active tool) cross the elements without hovering them
+        if (this._pressed === null && this.cvs.mouseDown !== null) return false
+
+        this._setHovered(this.hitTest(screen.x, screen.y))
+        if (this._pressed?.onDrag) this._pressed.onDrag(screen, this._pressed)
+        return this._pressed !== null || this.hovered !== null
+    }
+
+    /**
+     * Releases the pressed element, clicking it if the pointer is still over it.
+     *
+     * @param {Number} button The released button
+     * @param {Object} screen The coordinates of the pointer relative to the canvas element `{x, y}`
+     * @returns {Boolean} True if the event was consumed by the HUD
+     */
+    handleMouseUp(button, screen) {
+        const pressed = this._pressed
+        if (!pressed) return false
+
+        this._pressed = null
+        if (pressed.onRelease) pressed.onRelease(button, screen, pressed)
+        if (pressed === this.hovered && pressed.onClick) pressed.onClick(button, screen, pressed)
+        return true
+    }
+
+    /**
+     * Clears the hovered element when the pointer leaves the canvas.
+     */
+    handleMouseLeave() {
+        this._setHovered(null)
+    }
+
+    _setHovered(element) {
+        if (element === this.hovered) return
+
+        const previous = this.hovered
+        this.hovered = element
+        if (previous?.onHover) previous.onHover(false, previous)
+        if (element?.onHover) element.onHover(true, element)
+        this.cvs.loop.invalidate()  // The elements are usually drawn differently when hovered
+    }
+}
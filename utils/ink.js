@@ -0,0 +1,355 @@
+import constants from "./constants"
+import { registerShape } from "./scene"
+
+/**
+ * Freehand ink of a canvas instance (`cvs.ink`), used by the "draw" tool (see `utils/tools.js`).
+ *
+ * While the tool is active, dragging the left button (or a pen) records a stroke:
+ * 1. The points are collected in world coordinates, filtered with a one-euro filter to remove the jitter of the pointer without lagging behind fast movements
+ * 2. When the stroke is finished, it is simplified with the Ramer–Douglas–Peucker algorithm
+ * 3. The stroke is emitted with the "stroke" event (see `strokeCallback`) and, if `addToScene` is enabled, added to the scene as an `ink` object (undoable with the history)
+ *
+ * The strokes are drawn as Catmull-Rom splines through their points. The strokes drawn with a pen store the pressure of each point and are drawn with a variable width.
+ *
+ * A stroke is serialisable data: `{points, color, width, bounds}`, where `points` is an array of `{x, y}` (plus `pressure` for the pens) in world coordinates, `width` is in world units and `bounds` is the bounding box `{x, y, width, height}` of the stroke (including its width).
+ *
+ * **Options**
+ * @property {String} color - Color of the new strokes
+ * @property {Number} width - Width of the new strokes (screen pixels at the moment of drawing, stored in world units)
+ * @property {Boolean} filter - Whether the points are filtered while drawing (one-euro filter)
+ * @property {Number} minCutoff - Minimum cutoff frequency (Hz) of the filter. Lower values remove more jitter at low speeds
+ * @property {Number} beta - Speed coefficient of the filter. Higher values reduce the lag at high speeds
+ * @property {Number} minDistance - Minimum distance (screen pixels) between two recorded points
+ * @property {Number} simplifyTolerance - Maximum distance (screen pixels) a point can be from the simplified stroke (0 to keep every point)
+ * @property {Boolean} addToScene - Whether the finished strokes are added to the scene
+ */
+export class Ink {
+    constructor(cvs) {
+        this.cvs = cvs
+
+        // --- Options ---
+        this.color = "black"
+        this.width = constants.INK_WIDTH
+        this.filter = true
+        this.minCutoff = constants.INK_FILTER_MIN_CUTOFF
+        this.beta = constants.INK_FILTER_BETA
+        this.minDistance = constants.INK_MIN_DISTANCE
+        this.simplifyTolerance = constants.INK_SIMPLIFY_TOLERANCE
+        this.addToScene = true
+
+        // --- State ---
+        this.stroke = null  // Stroke being drawn
+        this._filters = null  // One-euro filters of the coordinates of the stroke being drawn
+
+        cvs.tools.register("draw", {
+            cursor: "crosshair",
+            onPointerDown: (button, point, pointer) => {
+                if (button !== 0) return false
+                this.begin(pointer)
+                return true
+            },
+            onPointerMove: (e, point, pointer) => {
+                if (!this.stroke) return false
+                this.addPoint(pointer)
+                return true
+            },
+            onPointerUp: () => {
+                if (!this.stroke) return false
+                this.end()
+                return true
+            },
+            onDeactivate: () => this.cancel()
+        })
+    }
+
+
+    // --- Recording ---
+
+    /**
+     * Starts a stroke at the position of the mouse.
+     *
+     * @param {Object} pointer The information of the pointer (see `cvs.pointer`). The pressure is recorded for the pens
+     */
+    begin(pointer = this.cvs.pointer) {
+        this.stroke = { points: [], color: this.color, width: this.width / this.cvs.zoom, bounds: null }
+        this._filters = this.filter ? { x: new OneEuroFilter(this.minCutoff, this.beta), y: new OneEuroFilter(this.minCutoff, this.beta) } : null
+        this.addPoint(pointer)
+    }
+
+    /**
+     * Adds the position of the mouse to the stroke being drawn.
+     *
+     * @param {Object} pointer The information of the pointer (see `cvs.pointer`)
+     */
+    addPoint(pointer = this.cvs.pointer) {
+        const stroke = this.stroke
+        if (!stroke) return
+
+        const { x, y, zoom } = this.cvs
+        const time = performance.now()
+
+        // The filter works in screen pixels, so the speed coefficient doesn't depend on the zoom
+        const point = this._filters
+            ? { x: this._filters.x.filter(x * zoom, time) / zoom, y: this._filters.y.filter(y * zoom, time) / zoom }
+            : { x, y }
+        if (pointer?.type === "pen") point.pressure = pointer.pressure
+
+        const last = stroke.points.at(-1)
+        if (last && Math.hypot(point.x - last.x, point.y - last.y) * zoom < this.minDistance) return
+
+        stroke.points.push(point)
+        this.cvs.loop.invalidate()
+    }
+
+    /**
+     * Finishes the stroke being drawn: simplifies it, emits the "stroke" event and adds it to the scene (if `addToScene` is enabled).
+     *
+     * @returns {Object} The finished stroke (null if no stroke was being drawn)
+     */
+    end() {
+        const stroke = this.stroke
+        this.stroke = null
+        this._filters = null
+        if (!stroke) return null
+
+        // The last position of the pointer is always kept, so the stroke ends where the pointer was released
+        const { x, y } = this.cvs
+        const last = stroke.points.at(-1)
+        if (last.x !== x || last.y !== y) stroke.points.push({ ...last, x, y })
+
+        stroke.points = simplifyPoints(stroke.points, this.simplifyTolerance / this.cvs.zoom)
+        stroke.bounds = getStrokeBounds(stroke)
+
+        if (this.addToScene) {
+            const scene = this.cvs.scene
+            // The object has its own copy of the points, so the "stroke" listeners can change the stroke (e.g. to transform it) without changing the scene
+            const object = { type: "ink", points: stroke.points.map(point => ({ ...point })), color: stroke.color, width: stroke.width }
+            this.cvs.history.execute({ label: "Draw stroke", execute: () => scene.add(object), undo: () => scene.remove(object) })
+        }
+
+        this.cvs.loop.invalidate()
+        this.cvs.events.emit("stroke", stroke)
+        return stroke
+    }
+
+    /**
+     * Discards the stroke being drawn.
+     */
+    cancel() {
+        if (!this.stroke) return
+
+        this.stroke = null
+        this._filters = null
+        this.cvs.loop.invalidate()
+    }
+
+
+    // --- Drawing ---
+
+    /**
+     * Draws the stroke being drawn (used by the main loop after the world drawings, not included in the exports).
+     */
+    draw() {
+        if (this.stroke && !this.cvs.exporting) drawStroke(this.cvs.ctx, this.stroke)
+    }
+}
+
+
+// ============== Strokes ==============
+
+/**
+ * Draws a stroke as a Catmull-Rom spline through its points. The strokes with pressure are drawn with a variable width (the width of the stroke at a pressure of 0.5).
+ *
+ * @param {CanvasRenderingContext2D} ctx The context
+ * @param {Object} stroke The stroke `{points, color, width}`
+ */
+export function drawStroke(ctx, { points, color, width }) {
+    if (!points.length) return
+
+    ctx.save()
+    ctx.strokeStyle = color
+    ctx.fillStyle = color
+    ctx.lineCap = "round"
+    ctx.lineJoin = "round"
+
+    const smooth = getSplinePoints(points)
+    if (smooth.length === 1) {
+        // A single point is drawn as a dot
+        ctx.beginPath()
+        ctx.arc(smooth[0].x, smooth[0].y, getPressureWidth(width, smooth[0].pressure) / 2, 0, 2 * Math.PI)
+        ctx.fill()
+    }
+    else if (points.some(p => p.pressure !== undefined)) {
+        // Variable width: each segment is drawn with the width of its pressure
+        for (let i = 1; i < smooth.length; i++) {
+            const a = smooth[i - 1]
+            const b = smooth[i]
+            ctx.lineWidth = getPressureWidth(width, (a.pressure + b.pressure) / 2)
+            ctx.beginPath()
+            ctx.moveTo(a.x, a.y)
+            ctx.lineTo(b.x, b.y)
+            ctx.stroke()
+        }
+    }
+    else {
+        ctx.lineWidth = width
+        ctx.beginPath()
+        smooth.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y))
+        ctx.stroke()
+    }
+
+    ctx.restore()
+}
+
+
+/**
+ * Interpolates a Catmull-Rom spline through a list of points (the pressure is interpolated linearly).
+ *
+ * @param {Array} points The points `{x, y, pressure}`
+ * @param {Number} segments The number of segments between two points
+ * @returns {Array} The points of the spline
+ */
+export function getSplinePoints(points, segments = constants.INK_SPLINE_SEGMENTS) {
+    if (points.length < 3) return points
+
+    const result = [points[0]]
+    for (let i = 0; i < points.length - 1; i++) {
+        // The first and last points are repeated to interpolate the first and last segments
+        const p0 = points[i - 1] || points[i]
+        const p1 = points[i]
+        const p2 = points[i + 1]
+        const p3 = points[i + 2] || p2
+
+        for (let j = 1; j <= segments; j++) {
+            const t = j / segments
+            const t2 = t * t
+            const t3 = t2 * t
+            const interpolate = (a, b, c, d) => 0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3)
+
+            const point = { x: interpolate(p0.x, p1.x, p2.x, p3.x), y: interpolate(p0.y, p1.y, p2.y, p3.y) }
+            if (p1.pressure !== undefined) point.pressure = p1.pressure + (p2.pressure - p1.pressure) * t
+            result.push(point)
+        }
+    }
+    return result
+}
+
+
+/**
+ * Simplifies a polyline with the Ramer–Douglas–Peucker algorithm: removes the points that are closer than the tolerance to the simplified line.
+ *
+ * @param {Array} points The points `{x, y}`
+ * @param {Number} tolerance The maximum distance between a removed point and the simplified line
+ * @returns {Array} The points of the simplified line (the first and last points are always kept)
+ */
+export function simplifyPoints(points, tolerance) {
+    if (points.length < 3 || tolerance <= 0) return points
+
+    const keep = new Array(points.length).fill(false)
+    keep[0] = keep[points.length - 1] = true
+
+    // Iterative version (the strokes can have thousands of points)
+    const stack = [[0, points.length - 1]]
+    while (stack.length) {
+        const [first, last] = stack.pop()
+        let maxDistance = 0
+        let index = -1
+        for (let i = first + 1; i < last; i++) {
+            const distance = distanceToSegment(points[i], points[first], points[last])
+            if (distance > maxDistance) {
+                maxDistance = distance
+                index = i
+            }
+        }
+        if (maxDistance > tolerance) {
+            keep[index] = true
+            stack.push([first, index], [index, last])
+        }
+    }
+
+    return points.filter((p, i) => keep[i])
+}
+
+
+/**
+ * Calculates the bounding box of a stroke, including its width.
+ *
+ * @param {Object} stroke The stroke `{points, width}`
+ * @returns {Object} The bounding box `{x, y, width, height}`
+ */
+export function getStrokeBounds({ points, width }) {
+    const margin = getPressureWidth(width, Math.max(...points.map(p => p.pressure ?? 0.5))) / 2
+    const xs = points.map(p => p.x)
+    const ys = points.map(p => p.y)
+    const x = Math.min(...xs) - margin
+    const y = Math.min(...ys) - margin
+    return { x, y, width: Math.max(...xs) + margin - x, height: Math.max(...ys) + margin - y }
+}
+
+
+// Strokes added to the scene by the ink: `points`, `color` and `width` (the points are local coordinates, which are the world coordinates while the object isn't moved)
+registerShape("ink", {
+    draw: (ctx, o) => drawStroke(ctx, o),
+    hit: (ctx, o, x, y, tolerance) => {
+        const point = { x, y }
+        const margin = getPressureWidth(o.width, 1) / 2 + tolerance
+        if (o.points.length === 1) return Math.hypot(x - o.points[0].x, y - o.points[0].y) <= margin
+        return o.points.some((p, i) => i > 0 && distanceToSegment(point, o.points[i - 1], p) <= margin)
+    },
+    bounds: (ctx, o) => getStrokeBounds(o)
+})
+
+
+// ============== Utils ==============
+
+// Width of a stroke at a pressure (the width of the stroke is the width at a pressure of 0.5, the default pressure of the devices without pressure support)
+function getPressureWidth(width, pressure = 0.5) {
+    return width * (0.25 + 1.5 * pressure)
+}
+
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x
+    const dy = b.y - a.y
+    const length = dx * dx + dy * dy
+    const t = length === 0 ? 0 : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / length))
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy))
+}
+
+// One-euro filter of a value: a low-pass filter whose cutoff frequency increases with the speed of the value (see https://gery.casiez.net/1euro/)
+class OneEuroFilter {
+    constructor(minCutoff, beta, derivateCutoff = 1) {
+        this.minCutoff = minCutoff
+        this.beta = beta
+        this.derivateCutoff = derivateCutoff
+        this._value = null  // Last filtered value
+        this._derivate = 0  // Last filtered speed
+        this._time = null  // Time (ms) of the last value
+    }
+
+    filter(value, time) {
+        if (this._value === null) {
+            this._value = value
+            this._time = time
+            return value
+        }
+
+        const elapsed = Math.max(time - this._time, 1) / 1000  // Seconds
+        this._time = time
+
+        const derivate = (value - this._value) / elapsed
+        this._derivate = lowPass(this._derivate, derivate, getAlpha(this.derivateCutoff, elapsed))
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this._derivate)
+        this._value = lowPass(this._value, value, getAlpha(cutoff, elapsed))
+        return this._value
+    }
+}
+
+function getAlpha(cutoff, elapsed) {
+    const tau = 1 / (2 * Math.PI * cutoff)
+    return 1 / (1 + tau / elapsed)
+}
+
+function lowPass(previous, value, alpha) {
+    return previous + alpha * (value - previous)
+}
@@ -6,14 +6,15 @@
  * @See {@link getKeysFromAlias} for the list of aliases.
  * 
  * @param {String} string The shortcut to be checked. It should be in the format: "Ctrl+Shift+Z"
+ * @param {CanvasGlobals} cvs The canvas instance whose keys are checked (defaults to `window.cvs`)
  * @returns Boolean indicating if the shortcut is pressed
  */
-export function checkShortcut(string){
+export function checkShortcut(string, cvs = window.cvs){
     const keys = string.split("+")  // Split the string into an array of keys
 
     // Check if all the keys that should be pressed are pressed
     const allPressed = keys.every(key => {
-        if (checkKey(key)) return true
+        if (checkKey(key, cvs)) return true
     })
 
     // If not all the keys are pressed, return false
@@ -22,8 +23,8 @@ export function checkShortcut(string){
     // Check if the only keys pressed are the keys of the shortcut
     const validKeys = keys.map(key => getKeysFromAlias(key)).flat()  // Generate a list of keys that are valid/allowed
     // Iterate over all the keys
-    for (const key in window.cvs.keysDown){
-        const isPressed = window.cvs.keysDown[key] // Check if the key is pressed
+    for (const key in cvs.keysDown){
+        const isPressed = cvs.keysDown[key] // Check if the key is pressed
         const includes = validKeys.includes(key)   // Check if the key is part of the valid keys list
         if (!includes && isPressed) return false   // If the key is not part of the valid keys list, and it is pressed, return false
     }
@@ -40,11 +41,12 @@ export function checkShortcut(string){
  * @See {@link getKeysFromAlias} for the list of aliases.
  * 
  * @param {String} aliasOrKey The key code or alias to be checked
+ * @param {CanvasGlobals} cvs The canvas instance whose keys are checked (defaults to `window.cvs`)
  * @returns Boolean indicating if the key is pressed
  */
-export function checkKey(aliasOrKey){
+export function checkKey(aliasOrKey, cvs = window.cvs){
     const keys = getKeysFromAlias(aliasOrKey)  // Get the list of aliases associated with the key
-    return keys.some(key => window.cvs.keysDown[key])  // Check if any of the aliases are pressed
+    return keys.some(key => cvs.keysDown[key])  // Check if any of the aliases are pressed
 }
 
 
@@ -56,6 +58,7 @@ export function checkKey(aliasOrKey){
  * - "Alt" for both left and right alt keys.
  * - "Shift" for both left and right shift keys.
  * - "Meta" for both left and right meta keys.
+ * - "Mod" for the meta keys on macOS, and the control keys on other platforms.
  * - "Arrow" for the arrow keys (Up, Down, Left, Right).
  * 
  * @param {String} code The alias to be checked
@@ -74,6 +77,7 @@ export function getKeysFromAlias(code){
         case "alt": return ["AltLeft", "AltRight"]
         case "shift": return ["ShiftLeft", "ShiftRight"]
         case "meta": return ["MetaLeft", "MetaRight"]
+        case "mod": return isMac() ? ["MetaLeft", "MetaRight"] : ["ControlLeft", "ControlRight"]
         case "arrow": return ["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"]
         default: return [code]
     }
@@ -86,11 +90,11 @@ export function getKeysFromAlias(code){
  * 
  * @returns Boolean indicating if any special key is pressed
  */
-export function anySpecialKeyPressed(){
-    if (window.cvs.keysDown["ControlLeft"] || window.cvs.keysDown["ControlRight"]) return true
-    if (window.cvs.keysDown["AltLeft"] || window.cvs.keysDown["AltRight"]) return true
-    if (window.cvs.keysDown["ShiftLeft"] || window.cvs.keysDown["ShiftRight"]) return true
-    if (window.cvs.keysDown["MetaLeft"] || window.cvs.keysDown["MetaRight"]) return true
+export function anySpecialKeyPressed(cvs = window.cvs){
+    if (cvs.keysDown["ControlLeft"] || cvs.keysDown["ControlRight"]) return true
+    if (cvs.keysDown["AltLeft"] || cvs.keysDown["AltRight"]) return true
+    if (cvs.keysDown["ShiftLeft"] || cvs.keysDown["ShiftRight"]) return true
+    if (cvs.keysDown["MetaLeft"] || cvs.keysDown["MetaRight"]) return true
     return false
 }
 
@@ -102,14 +106,14 @@ export function anySpecialKeyPressed(){
  * 
  * @returns {String} The shortcut of the pressed keys
  */
-export function getPressedShortcut(){
+export function getPressedShortcut(cvs = window.cvs){
     let shortcut = []
-    if (window.cvs.keysDown["ControlLeft"] || window.cvs.keysDown["ControlRight"]) shortcut.push("control")
-    if (window.cvs.keysDown["AltLeft"] || window.cvs.keysDown["Altright"]) shortcut.push("alt")
-    if (window.cvs.keysDown["ShiftLeft"] || window.cvs.keysDown["ShiftRight"]) shortcut.push("shift")
-    if (window.cvs.keysDown["MetaLeft"] || window.cvs.keysDown["MetaRight"]) shortcut.push("meta")
+    if (cvs.keysDown["ControlLeft"] || cvs.keysDown["ControlRight"]) shortcut.push("control")
+    if (cvs.keysDown["AltLeft"] || cvs.keysDown["AltRight"]) shortcut.push("alt")
+    if (cvs.keysDown["ShiftLeft"] || cvs.keysDown["ShiftRight"]) shortcut.push("shift")
+    if (cvs.keysDown["MetaLeft"] || cvs.keysDown["MetaRight"]) shortcut.push("meta")
         
-    const keys = Object.keys(window.cvs.keysDown).sort().filter(key => window.cvs.keysDown[key] && !key.match(/(control|alt|shift|meta)/i)).map(key => getKeyFromCode(key))
+    const keys = Object.keys(cvs.keysDown).sort().filter(key => cvs.keysDown[key] && !key.match(/(control|alt|shift|meta)/i)).map(key => getKeyFromCode(key))
     shortcut = shortcut.concat(keys)
 
     return shortcut.join("+")
@@ -124,10 +128,10 @@ export function getPressedShortcut(){
  */
 export function getKeyFromCode(code){
     switch(code){
-        case "ControlLeft" || "ControlRight": return "control"
-        case "AltLeft" || "AltRight": return "alt"
-        case "ShiftLeft" || "ShiftRight": return "shift"
-        case "MetaLeft" || "MetaRight": return "meta"
+        case "ControlLeft": case "ControlRight": return "control"
+        case "AltLeft": case "AltRight": return "alt"
+        case "ShiftLeft": case "ShiftRight": return "shift"
+        case "MetaLeft": case "MetaRight": return "meta"
     }
 
     const key = code.replace(/(key|digit|numpad)/i, "").toLowerCase()
@@ -143,17 +147,30 @@ export function getKeyFromCode(code){
  * The callback function will receive the key that was pressed.
  * 
  * @param {Object} SHORTCUTS The dictionary of shortcuts
+ * @param {CanvasGlobals} cvs The canvas instance whose keys are checked (defaults to `window.cvs`)
  * @returns {Boolean} True if a shortcut was handled, false otherwise
  */
-export function handleShortcut(SHORTCUTS){
-    const shortcut = getPressedShortcut()
+export function handleShortcut(SHORTCUTS, cvs = window.cvs){
+    const shortcut = getPressedShortcut(cvs)
     const shortcutCallback = SHORTCUTS[shortcut]
 
     if (shortcutCallback) {
-        if (window.cvs.debug) console.log("Shortcut up key: ", shortcut)
+        if (cvs.debug) cvs.debugPanel.log(`Shortcut: ${shortcut}`)
         shortcutCallback(shortcut)
         return true
     }
 
     return false
-}
\ No newline at end of file
+}
+
+
+/**
+ * Check if the platform is macOS (or iOS), where the main modifier of the shortcuts is the meta key (Cmd) instead of the control key.
+ * 
+ * @returns {Boolean} True if the platform is macOS
+ */
+export function isMac(){
+    if (typeof navigator === "undefined") return false
+    const platform = navigator.userAgentData?.platform || navigator.platform || ""
+    return /mac|iphone|ipad/i.test(platform)
+}
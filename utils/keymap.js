@@ -0,0 +1,286 @@
+import constants from "./constants"
+import { getKeyFromCode, getPressedShortcut, isMac } from "./keyboard"
+
+const MODIFIERS = ["control", "alt", "shift", "meta"]
+
+// Alternative names accepted in the shortcuts (e.g. "Ctrl+S" or "Cmd+S")
+const KEY_ALIASES = {
+    ctrl: "control",
+    cmd: "meta",
+    command: "meta",
+    option: "alt",
+    esc: "escape",
+    up: "arrowup",
+    down: "arrowdown",
+    left: "arrowleft",
+    right: "arrowright",
+}
+
+/**
+ * Registry of the keyboard shortcuts of a canvas instance.
+ *
+ * The shortcuts are strings with the keys of each chord joined by "+" and the chords of a sequence separated by spaces:
+ * - Chords: "Control+Shift+Z", "Mod+S" ("Mod" is Cmd on macOS and Ctrl on other platforms), "Escape", "Shift"
+ * - Sequences: "g g", "Mod+K Mod+C" (each chord must be pressed within `sequenceTimeout` ms of the previous one)
+ *
+ * The keys use the names of `getKeyFromCode` (e.g. "a", "1", "arrowup", "escape", "enter", "space"), case insensitive.
+ *
+ * The bindings belong to a scope ("global" by default). The scopes are stacked: `pushScope` activates a scope (e.g. while a modal tool is active) and `popScope` restores the previous one. The bindings of the innermost scope are checked first, and an exclusive scope hides the bindings of the scopes below it.
+ *
+ * The keymap is checked by `handleKeyDown` and `handleKeyUp` after the default shortcuts (pan, undo/redo and rotation) and before the key callbacks. A handled key doesn't reach the key callbacks.
+ *
+ * **Options**
+ * @property {Number} sequenceTimeout - Maximum time (ms) between two chords of a sequence
+ */
+export class Keymap {
+    constructor(cvs) {
+        this.cvs = cvs
+
+        // --- Options ---
+        this.sequenceTimeout = constants.KEY_SEQUENCE_TIMEOUT
+
+        // --- State ---
+        this._bindings = new Map()  // Bindings indexed by their id `{id, keys, sequences, callback, scope, event, description}`
+        this._scopes = [{ name: "global", exclusive: false }]  // Stack of active scopes (the last one is the innermost)
+        this._sequence = []  // Chords of the sequence being typed
+        this._sequenceTimer = null
+    }
+
+
+    // --- Bindings ---
+
+    /**
+     * Binds a shortcut to a callback.
+     *
+     * @param {String|Array} keys The shortcut, or a list of alternative shortcuts (e.g. `["Mod+Z", "Control+Z"]`)
+     * @param {Function} callback Function called with the keyboard event and the binding `(e, binding)` when the shortcut is pressed
+     * @param {Object} options
+     * @param {String} options.id The id of the binding, used to rebind or unbind it (defaults to the shortcut, prefixed with the scope if it isn't "global", e.g. "text:Escape")
+     * @param {String} options.scope The scope of the binding (default: "global")
+     * @param {String} options.event "keydown" (default) or "keyup" (the sequences are only supported on "keydown")
+     * @param {String} options.description Text shown in the help overlays (see `list`)
+     * @returns {String} The id of the binding
+     * @throws {Error} If the id is already used, or the shortcut conflicts with another binding of the same scope (see `getConflicts`)
+     */
+    bind(keys, callback, { id, scope = "global", event = "keydown", description = "" } = {}) {
+        const defaultId = (scope === "global" ? "" : scope + ":") + [].concat(keys).join(", ")
+        const binding = { id: id ?? defaultId, keys: [].concat(keys), callback, scope, event, description }
+        binding.sequences = binding.keys.map(parseShortcut)
+
+        if (this._bindings.has(binding.id)) throw new Error(`Duplicate shortcut id: ${binding.id}`)
+        if (event === "keyup" && binding.sequences.some(sequence => sequence.length > 1)) throw new Error(`Sequences are not supported on keyup: ${binding.id}`)
+        this._checkConflicts(binding)
+
+        this._bindings.set(binding.id, binding)
+        return binding.id
+    }
+
+    /**
+     * Removes a binding.
+     *
+     * @param {String} id The id of the binding
+     * @returns {Boolean} True if the binding existed
+     */
+    unbind(id) {
+        return this._bindings.delete(id)
+    }
+
+    /**
+     * Changes the shortcut of a binding at runtime (e.g. from a settings panel). The rest of the binding is kept.
+     *
+     * @param {String} id The id of the binding
+     * @param {String|Array} keys The new shortcut, or a list of alternative shortcuts
+     * @throws {Error} If the binding doesn't exist, or the new shortcut conflicts with another binding of the same scope
+     */
+    rebind(id, keys) {
+        const binding = this._bindings.get(id)
+        if (!binding) throw new Error(`Unknown shortcut id: ${id}`)
+
+        const next = { ...binding, keys: [].concat(keys) }
+        next.sequences = next.keys.map(parseShortcut)
+        this._checkConflicts(next)
+
+        this._bindings.set(id, next)
+    }
+
+    /**
+     * Finds the bindings that conflict with a shortcut: same scope and event, and one of the sequences is equal to the other or starts with it (e.g. "g" and "g g", since "g g" could never be typed).
+     *
+     * @param {String|Array} keys The shortcut, or a list of alternative shortcuts
+     * @param {Object} options
+     * @param {String} options.scope The scope of the shortcut (default: "global")
+     * @param {String} options.event "keydown" (default) or "keyup"
+     * @param {String} options.ignore The id of a binding to skip (e.g. the binding being rebound)
+     * @returns {Array} The conflicting bindings
+     */
+    getConflicts(keys, { scope = "global", event = "keydown", ignore } = {}) {
+        const sequences = [].concat(keys).map(parseShortcut)
+        return [...this._bindings.values()].filter(binding => {
+            if (binding.id === ignore || binding.scope !== scope || binding.event !== event) return false
+            return binding.sequences.some(a => sequences.some(b => isPrefix(a, b) || isPrefix(b, a)))
+        })
+    }
+
+    /**
+     * Lists the bindings, e.g. to show the shortcuts in a help overlay.
+     *
+     * @param {String} scope Only list the bindings of this scope (all the scopes if omitted)
+     * @returns {Array} The bindings `{id, keys, label, scope, event, description}`, where `label` is the shortcut formatted for the current platform (e.g. "Ctrl+S" or "Cmd+S")
+     */
+    list(scope) {
+        return [...this._bindings.values()]
+            .filter(binding => scope === undefined || binding.scope === scope)
+            .map(({ id, keys, sequences, scope, event, description }) => ({ id, keys, label: sequences.map(formatSequence).join(" / "), scope, event, description }))
+    }
+
+
+    // --- Scopes ---
+
+    /**
+     * The innermost active scope.
+     */
+    get scope() {
+        return this._scopes.at(-1).name
+    }
+
+    /**
+     * Activates a scope on top of the current ones (e.g. when a modal tool is activated).
+     *
+     * @param {String} name The name of the scope
+     * @param {Object} options
+     * @param {Boolean} options.exclusive Whether the bindings of the scopes below are disabled while this scope is active (default: false)
+     */
+    pushScope(name, { exclusive = false } = {}) {
+        this._scopes.push({ name, exclusive })
+        this._resetSequence()
+    }
+
+    /**
+     * Deactivates the innermost scope. The "global" scope can't be removed.
+     *
+     * @param {String} name The name of the scope to remove (if given, the scope is only removed if it is the innermost one)
+     * @returns {String} The name of the removed scope, or null if no scope was removed
+     */
+    popScope(name) {
+        if (this._scopes.length === 1) return null
+        if (name !== undefined && this.scope !== name) return null
+
+        this._resetSequence()
+        return this._scopes.pop().name
+    }
+
+
+    // --- Events ---
+
+    /**
+     * Runs the binding of the pressed shortcut (used by `handleKeyDown`).
+     *
+     * @param {KeyboardEvent} e The keydown event (the key must be already stored in `cvs.keysDown`)
+     * @returns {Boolean} True if the key was handled (a binding was run, or a sequence is in progress)
+     */
+    handleKeyDown(e) {
+        const chord = normalizeChord(getPressedShortcut(this.cvs))
+        const bindings = this._getActiveBindings("keydown")
+
+        // The modifiers and the repeated keys (key held down) don't advance the sequences
+        const isModifier = /^(Control|Alt|Shift|Meta)/.test(e.code)
+        if (isModifier || e.repeat) return this._run(bindings.find(b => b.sequences.some(sequence => sequence.length === 1 && sequence[0] === chord)), e)
+
+        // Continue the current sequence, or start a new one with this chord
+        for (const sequence of this._sequence.length ? [[...this._sequence, chord], [chord]] : [[chord]]) {
+            const binding = bindings.find(b => b.sequences.some(s => isPrefix(s, sequence) && s.length === sequence.length))
+            if (binding) {
+                this._resetSequence()
+                return this._run(binding, e)
+            }
+
+            // Wait for the next chord of the sequence
+            if (bindings.some(b => b.sequences.some(s => isPrefix(s, sequence)))) {
+                this._resetSequence()
+                this._sequence = sequence
+                this._sequenceTimer = setTimeout(() => this._resetSequence(), this.sequenceTimeout)
+                return true
+            }
+        }
+
+        this._resetSequence()
+        return false
+    }
+
+    /**
+     * Runs the key up binding of the released shortcut (used by `handleKeyUp`).
+     *
+     * @param {KeyboardEvent} e The keyup event (the released key is added to the keys that are still pressed)
+     * @returns {Boolean} True if a binding was run
+     */
+    handleKeyUp(e) {
+        const chord = normalizeChord([getPressedShortcut(this.cvs), getKeyFromCode(e.code)].filter(Boolean).join("+"))
+        return this._run(this._getActiveBindings("keyup").find(b => b.sequences.some(sequence => sequence[0] === chord)), e)
+    }
+
+
+    // --- Utils ---
+
+    // Bindings of the active scopes for an event, from the innermost scope to the outermost one
+    _getActiveBindings(event) {
+        const scopes = []
+        for (let i = this._scopes.length - 1; i >= 0; i--) {
+            scopes.push(this._scopes[i].name)
+            if (this._scopes[i].exclusive) break
+        }
+
+        const bindings = [...this._bindings.values()].filter(binding => binding.event === event && scopes.includes(binding.scope))
+        return bindings.sort((a, b) => scopes.indexOf(a.scope) - scopes.indexOf(b.scope))
+    }
+
+    _run(binding, e) {
+        if (!binding) return false
+
+        // --- Debug mode ---
+        if (this.cvs.debug) this.cvs.debugPanel.log(`Shortcut: ${binding.id}`)
+
+        binding.callback(e, binding)
+        return true
+    }
+
+    _checkConflicts(binding) {
+        const [conflict] = this.getConflicts(binding.keys, { scope: binding.scope, event: binding.event, ignore: binding.id })
+        if (conflict) throw new Error(`Shortcut conflict: ${binding.id} and ${conflict.id} (scope: ${binding.scope})`)
+    }
+
+    _resetSequence() {
+        clearTimeout(this._sequenceTimer)
+        this._sequenceTimer = null
+        this._sequence = []
+    }
+}
+
+
+// ============== Utils ==============
+
+// Converts a shortcut into a list of normalized chords: "Mod+Shift+Z g" -> ["control+shift+z", "g"] (or "shift+meta+z" on macOS)
+function parseShortcut(shortcut) {
+    return shortcut.trim().split(/\s+/).map(normalizeChord)
+}
+
+// Sorts the keys of a chord (modifiers first, in the order of `getPressedShortcut`) and replaces the aliases
+function normalizeChord(chord) {
+    const keys = chord.toLowerCase().split("+").map(key => {
+        if (key === "mod") return isMac() ? "meta" : "control"
+        return KEY_ALIASES[key] ?? key
+    })
+    const modifiers = MODIFIERS.filter(modifier => keys.includes(modifier))
+    const others = keys.filter(key => !MODIFIERS.includes(key)).sort()
+    return [...modifiers, ...others].join("+")
+}
+
+// Checks if a sequence starts with another one
+function isPrefix(sequence, prefix) {
+    return prefix.length <= sequence.length && prefix.every((chord, i) => sequence[i] === chord)
+}
+
+// Formats a sequence for the help overlays: ["control+shift+z"] -> "Ctrl+Shift+Z"
+function formatSequence(sequence) {
+    const NAMES = { control: "Ctrl", alt: isMac() ? "Option" : "Alt", shift: "Shift", meta: isMac() ? "Cmd" : "Meta" }
+    return sequence.map(chord => chord.split("+").map(key => NAMES[key] ?? key.charAt(0).toUpperCase() + key.slice(1)).join("+")).join(" ")
+}
@@ -0,0 +1,185 @@
+import { applyCameraTransform } from "./camera"
+import { getPixelRatio } from "./hud"
+
+/**
+ * Stacked render layers of a canvas instance (`cvs.layers`).
+ *
+ * A layer is an object with a draw callback `draw(ctx, cvs)` and the following properties:
+ * - `name` (String): The name of the layer (unique in the instance)
+ * - `zIndex` (Number): The order of the layer. The world layers with a negative `zIndex` are drawn below the grid and the scene, and the rest above the `mainLoop` callback and the "frame" listeners
+ * - `space` (String): "world" (default) to draw with the transform of the camera, or "screen" to draw in screen pixels (CSS pixels, like the HUD). The screen layers are drawn on top of everything, including the minimap
+ * - `static` (Boolean): Whether the layer is cached in an offscreen buffer. A static layer is only drawn again when it is invalidated, when the camera (pan, zoom or rotation) changes or when the canvas is resized. Use it for heavy content that rarely changes, like a background
+ * - `visible` (Boolean): Whether the layer is drawn
+ * - `opacity` (Number): The opacity of the layer (between 0 and 1)
+ * - `dirty` (Boolean): Whether a static layer must be drawn again in the next frame
+ * - `invalidate()` (Function): Marks the layer as dirty and requests a new frame
+ *
+ * Every layer is drawn between `ctx.save()` and `ctx.restore()`, so the layers don't affect each other.
+ *
+ * The instance has a screen layer called "ui" on top of the other layers, meant for the interface drawn over the canvas (`cvs.layers.get("ui").draw = (ctx) => {...}`).
+ */
+export class LayerStack {
+    constructor(cvs) {
+        this.cvs = cvs
+
+        // --- State ---
+        this._layers = new Map()  // Layers indexed by their name
+        this._order = 0  // Counter used to keep the insertion order of the layers with the same zIndex
+
+        this.add("ui", null, { space: "screen", zIndex: Infinity })
+    }
+
+
+    // --- Layers ---
+
+    /**
+     * Adds a layer.
+     *
+     * @param {String} name The name of the layer
+     * @param {Function} draw Function called with the context and the instance `(ctx, cvs)` when the layer is drawn
+     * @param {Object} options
+     * @param {Number} options.zIndex The order of the layer (default: 0)
+     * @param {String} options.space "world" (default) or "screen"
+     * @param {Boolean} options.static Whether the layer is cached until it is invalidated (default: false)
+     * @param {Boolean} options.visible Whether the layer is drawn (default: true)
+     * @param {Number} options.opacity The opacity of the layer (default: 1)
+     * @returns {Object} The layer
+     * @throws {Error} If there is already a layer with the same name
+     */
+    add(name, draw, { zIndex = 0, space = "world", static: isStatic = false, visible = true, opacity = 1 } = {}) {
+        if (this._layers.has(name)) throw new Error(`Duplicate layer name: ${name}`)
+
+        const layer = {
+            name, draw, zIndex, space, static: isStatic, visible, opacity,
+            dirty: true,
+            invalidate: () => this.invalidate(name),
+            _order: this._order++,
+            _buffer: null,  // Offscreen context of the static layers
+            _viewport: null,  // State of the camera and size of the canvas when the buffer was drawn
+        }
+        this._layers.set(name, layer)
+        this.cvs.loop.invalidate()
+        return layer
+    }
+
+    /**
+     * Removes a layer.
+     *
+     * @param {String} name The name of the layer
+     * @returns {Boolean} True if the layer existed
+     */
+    remove(name) {
+        const removed = this._layers.delete(name)
+        if (removed) this.cvs.loop.invalidate()
+        return removed
+    }
+
+    /**
+     * Returns a layer by its name.
+     *
+     * @param {String} name The name of the layer
+     * @returns {Object} The layer (undefined if it doesn't exist)
+     */
+    get(name) {
+        return this._layers.get(name)
+    }
+
+    /**
+     * Marks a static layer as dirty, so it is drawn again in the next frame, and requests a new frame.
+     *
+     * @param {String} name The name of the layer (all the layers if omitted)
+     */
+    invalidate(name) {
+        const layers = name === undefined ? this._layers.values() : [this._layers.get(name)]
+        for (const layer of layers) if (layer) layer.dirty = true
+        this.cvs.loop.invalidate()
+    }
+
+    /**
+     * Returns the layers sorted by the drawing order (bottom to top).
+     *
+     * @returns {Array} The sorted layers
+     */
+    getSortedLayers() {
+        return [...this._layers.values()].sort((a, b) => a.zIndex - b.zIndex || a._order - b._order)
+    }
+
+
+    // --- Drawing (used by the main loop) ---
+
+    /**
+     * Draws the visible layers of a part of the stack.
+     *
+     * @param {String} part "below" (world layers with a negative zIndex), "above" (the rest of the world layers) or "screen"
+     * @param {Object} options
+     * @param {Boolean} options.cache Whether the static layers are drawn from their buffer (default: true). The exports draw every layer again
+     */
+    draw(part, { cache = true } = {}) {
+        for (const layer of this.getSortedLayers()) {
+            if (!layer.visible || !layer.draw || getPart(layer) !== part) continue
+
+            if (layer.static && cache) this._drawCached(layer)
+            else this._drawLayer(layer, this.cvs.ctx)
+        }
+    }
+
+    _drawLayer(layer, ctx) {
+        ctx.save()
+        if (layer.space === "screen") {
+            // Same screen space as the HUD: the transform is scaled by the pixel ratio of the canvas
+            const ratio = getPixelRatio(this.cvs)
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+        }
+        else applyCameraTransform(this.cvs)
+        ctx.globalAlpha *= layer.opacity
+        layer.draw(ctx, this.cvs)
+        ctx.restore()
+    }
+
+    // Draws a static layer from its buffer, drawing the buffer again if it is dirty or the viewport changed
+    _drawCached(layer) {
+        const cvs = this.cvs
+        const { width, height } = cvs.$canvas
+        const viewport = layer.space === "screen"
+            ? [width, height].join()
+            : [width, height, cvs.canvasPanOffset.x, cvs.canvasPanOffset.y, cvs.zoom, cvs.rotation].join()
+
+        if (layer.dirty || layer._viewport !== viewport || !layer._buffer) {
+            if (!layer._buffer) layer._buffer = document.createElement("canvas").getContext("2d")
+            const buffer = layer._buffer
+            buffer.canvas.width = width  // Also clears the buffer
+            buffer.canvas.height = height
+
+            // Draw the layer into the buffer (the private field is used to avoid the side effects of the setter)
+            const ctx = cvs._ctx
+            const windowCtx = window.ctx
+            cvs._ctx = buffer
+            if (window.cvs === cvs) window.ctx = buffer
+            try {
+                this._drawLayer({ ...layer, opacity: 1 }, buffer)
+            } finally {
+                cvs._ctx = ctx
+                if (window.cvs === cvs) window.ctx = windowCtx
+            }
+
+            layer.dirty = false
+            layer._viewport = viewport
+        }
+
+        // The buffer has the size of the canvas, so it is copied in screen space
+        const ctx = cvs.ctx
+        ctx.save()
+        ctx.setTransform(1, 0, 0, 1, 0, 0)
+        ctx.globalAlpha *= layer.opacity
+        ctx.drawImage(layer._buffer.canvas, 0, 0)
+        ctx.restore()
+    }
+}
+
+
+// ============== Utils ==============
+
+function getPart(layer) {
+    if (layer.space === "screen") return "screen"
+    return layer.zIndex < 0 ? "below" : "above"
+}
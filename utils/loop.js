@@ -0,0 +1,216 @@
+import constants from "./constants"
+import { drawGrid } from "./grid"
+import { applyCameraTransform } from "./camera"
+
+/**
+ * Render loop of a canvas instance (`cvs.loop`), started by `mainLoop`.
+ *
+ * Each frame runs these phases:
+ * 1. Update: the `update` callback is called with a fixed step (`fixedTimestep` ms) as many times as needed to catch up with the elapsed time, so the simulations don't depend on the frame rate. Then the content of the minimap is rendered again if needed (see `utils/minimap.js`)
+ * 2. Draw: the camera is applied, the canvas is cleaned and the layers below the content, the grid, the scene, the `draw` callback, the "frame" listeners, the layers above the content, the stroke being drawn, the selection, the debug overlays, the guides and rulers, the minimap, the screen layers and the HUD (including the debug panel) are drawn (see `utils/layers.js` and `utils/hud.js`)
+ *
+ * **Modes**
+ * - "continuous" (default): a frame is drawn on every animation frame of the browser
+ * - "demand": a frame is only drawn after an input event received by the canvas, a change of the camera (pan, zoom or rotation), a change of the scene or history, or a call to `invalidate()`. Call `invalidate()` when the content drawn by the callbacks changes
+ *
+ * While there is an `update` callback, the frames are drawn continuously in both modes: the simulation advances with the time, so it would freeze between the frames drawn on demand.
+ *
+ * Calling `invalidate()` while a frame is being drawn requests the next frame once the current one is finished, so a callback that invalidates on every frame (e.g. an animation) keeps the loop running. Only invalidate while drawing when the content is still changing.
+ *
+ * **Options**
+ * @property {String} mode - "continuous" or "demand"
+ * @property {Number} maxFps - Maximum number of frames drawn per second (0 for no limit)
+ * @property {Number} fixedTimestep - Time (ms) simulated by each call of the `update` callback
+ * @property {Number} maxUpdateSteps - Maximum number of updates per frame (the remaining time is dropped, e.g. after the tab was hidden)
+ * @property {Function} draw - Function called on every frame with the time of the frame and the time since the previous frame `(time, delta)` (ms)
+ * @property {Function} update - Function called with the fixed step and the time of the frame `(step, time)` (ms)
+ */
+export class RenderLoop {
+    constructor(cvs) {
+        this.cvs = cvs
+
+        // --- Options ---
+        this.mode = "continuous"
+        this.maxFps = 0
+        this.fixedTimestep = constants.FIXED_TIMESTEP
+        this.maxUpdateSteps = constants.MAX_UPDATE_STEPS
+        this.draw = null
+        this.update = null
+
+        // --- State ---
+        this._running = false
+        this._paused = false
+        this._frameRequest = null  // Id of the pending animation frame
+        this._lastTime = null  // Time of the last drawn frame
+        this._idle = true  // Whether the loop was waiting (paused or in demand mode), so the next frame doesn't count the waiting time
+        this._invalid = false  // Whether a frame was requested while drawing the current one
+        this._drawing = false  // Whether a frame is being drawn (the frames requested meanwhile are requested after it)
+        this._accumulator = 0  // Time not simulated yet by the `update` callback
+
+        // Changes of the camera
+        for (const type of ["pan", "zoom", "rotate"]) cvs.events.on(type, () => this.invalidate())
+    }
+
+    /**
+     * Whether the loop was started and not stopped.
+     */
+    get running() {
+        return this._running
+    }
+
+    /**
+     * Whether the loop is paused.
+     */
+    get paused() {
+        return this._paused
+    }
+
+
+    // --- Control ---
+
+    /**
+     * Starts the loop and draws the first frame. If it is already running, a new frame is requested.
+     */
+    start() {
+        if (this._running) return this.invalidate()
+
+        this._running = true
+        this._paused = false
+        this._idle = true
+        this._accumulator = 0
+        this._tick(performance.now())
+    }
+
+    /**
+     * Pauses the loop, keeping the last frame on the canvas. The input events don't draw new frames while it is paused.
+     */
+    pause() {
+        this._paused = true
+        this._cancelFrame()
+    }
+
+    /**
+     * Resumes a paused loop. The paused time is not counted in the delta of the next frame nor simulated by `update`.
+     */
+    resume() {
+        if (!this._paused) return
+
+        this._paused = false
+        this._idle = true
+        this._requestFrame()
+    }
+
+    /**
+     * Stops the loop and removes its callbacks. Call `mainLoop` again to start a new loop.
+     */
+    stop() {
+        this._running = false
+        this._paused = false
+        this._cancelFrame()
+        this.draw = null
+        this.update = null
+    }
+
+    /**
+     * Requests a new frame (used in "demand" mode to draw the changes of the content).
+     */
+    invalidate() {
+        this._invalid = true
+        if (!this._drawing) this._requestFrame()
+    }
+
+
+    // --- Frame ---
+
+    _tick(time) {
+        this._frameRequest = null
+        if (!this._running || this._paused) return
+
+        // Wait for the next animation frame if the last frame is too recent (1ms of margin for the jitter of the animation frames)
+        if (this.maxFps > 0 && this._lastTime !== null && time - this._lastTime < 1000 / this.maxFps - 1) {
+            this._requestFrame()
+            return
+        }
+
+        const delta = this._idle || this._lastTime === null ? 0 : time - this._lastTime
+        this._lastTime = time
+        this._idle = false
+        this._invalid = false
+
+        this._drawing = true
+        try {
+            this._update(delta, time)
+            this.cvs.minimap.update()  // Render the content of the minimap before the frame (it draws the frame again)
+            this._drawFrame(time, delta)
+        } finally {
+            this._drawing = false
+        }
+
+        // Request the next frame (the simulation of the `update` callback needs every frame)
+        if (this.mode === "continuous" || this.update || this._invalid) this._requestFrame()
+        else this._idle = true
+    }
+
+    // Runs the fixed timestep updates for the elapsed time
+    _update(delta, time) {
+        if (!this.update) return
+
+        this._accumulator += delta
+        let steps = 0
+        while (this._accumulator >= this.fixedTimestep && steps < this.maxUpdateSteps) {
+            this.update(this.fixedTimestep, time)
+            this._accumulator -= this.fixedTimestep
+            steps++
+        }
+        if (this._accumulator >= this.fixedTimestep) this._accumulator = 0  // Drop the time that can't be caught up
+    }
+
+    _drawFrame(time, delta) {
+        const cvs = this.cvs
+
+        // Apply the camera (replaces any transform left by the previous frame)
+        applyCameraTransform(cvs)
+
+        // Clean the canvas
+        cvs.clean()
+
+        // Draw the layers below the content
+        cvs.layers.draw("below")
+
+        // Draw the background grid
+        if (cvs.grid.enabled) drawGrid(cvs)
+
+        // Draw the objects of the scene
+        cvs.scene.draw()
+
+        // Draw all nodes
+        if (this.draw) this.draw(time, delta)
+        cvs.events.emit("frame", time, delta)
+
+        // Draw the layers above the content
+        cvs.layers.draw("above")
+
+        // Draw the stroke being drawn, the selection being dragged and the selected objects
+        cvs.ink.draw()
+        cvs.selection.draw()
+
+        // Draw the touches and the debug functions (debug mode)
+        cvs.debugPanel.drawOverlays()
+
+        // Draw the guides, the rulers, the minimap and the interface on top of the frame
+        cvs.rulers.draw()
+        cvs.minimap.draw()
+        cvs.layers.draw("screen")
+        cvs.hud.draw()
+    }
+
+    _requestFrame() {
+        if (!this._running || this._paused || this._frameRequest !== null) return
+        this._frameRequest = requestAnimationFrame(time => this._tick(time))
+    }
+
+    _cancelFrame() {
+        if (this._frameRequest !== null) cancelAnimationFrame(this._frameRequest)
+        this._frameRequest = null
+    }
+}
@@ -0,0 +1,219 @@
+import constants from "./constants"
+import { getViewBox } from "./zoom"
+import { panBy } from "./pan"
+import { screenToWorld } from "./camera"
+import { renderToCanvas } from "./export"
+import { drawScreen, getPixelRatio, getScreenSize } from "./hud"
+
+/**
+ * Minimap overlay drawn in a corner of the canvas.
+ *
+ * The minimap shows a downscaled rendering of the content (scene and `mainLoop` callback, without the rotation of the camera) and the outline of the visible area. Clicking or dragging inside the minimap pans the canvas to center the view box at that location.
+ * The mouse events over the minimap are consumed by it, so the mouse callbacks of the canvas are not called.
+ *
+ * **Options**
+ * @property {Boolean} enabled - Whether the minimap is drawn
+ * @property {String} position - Corner of the canvas where the minimap is drawn: "top-left", "top-right", "bottom-left" or "bottom-right"
+ * @property {Number} width - Width of the minimap (screen pixels)
+ * @property {Number} height - Height of the minimap (screen pixels)
+ * @property {Number} margin - Distance from the minimap to the edges of the canvas (screen pixels)
+ * @property {Number} padding - Space between the content and the border of the minimap (screen pixels)
+ * @property {Number} refreshRate - Time (ms) between two renderings of the content. The view box rectangle is updated on every frame. Use 0 to render the content on every frame
+ * @property {Function} getContentBounds - Function that returns the bounds of the content `{x, y, width, height}` (world coordinates). Defaults to the bounds of the scene. The current view box is always included
+ * @property {String} background - Background color of the minimap
+ * @property {String} borderColor - Color of the border of the minimap
+ * @property {String} viewportColor - Color of the view box rectangle
+ */
+export class Minimap {
+    constructor(cvs) {
+        this.cvs = cvs
+
+        // --- Options ---
+        this.enabled = false
+        this.position = "bottom-right"
+        this.width = constants.MINIMAP_WIDTH
+        this.height = constants.MINIMAP_HEIGHT
+        this.margin = constants.MINIMAP_MARGIN
+        this.padding = 5
+        this.refreshRate = constants.MINIMAP_REFRESH_RATE
+        this.getContentBounds = null
+        this.background = "#ffffffcc"
+        this.borderColor = "#888888"
+        this.viewportColor = "#ff0000"
+
+        // --- State ---
+        this._image = null  // Downscaled rendering of the content
+        this._layout = null  // Mapping between world coordinates and the minimap `{bounds, scale, offsetX, offsetY}`
+        this._lastRender = 0  // Timestamp of the last rendering of the content
+        this._dragging = false
+    }
+
+
+    /**
+     * Calculates the rectangle of the minimap in screen coordinates (CSS pixels, like the HUD and the pointer coordinates).
+     *
+     * @returns {Object} The rectangle `{x, y, width, height}`
+     */
+    getRect() {
+        const { width, height } = getScreenSize(this.cvs)
+        const [vertical, horizontal] = this.position.split("-")
+        return {
+            x: horizontal === "left" ? this.margin : width - this.width - this.margin,
+            y: vertical === "top" ? this.margin : height - this.height - this.margin,
+            width: this.width,
+            height: this.height
+        }
+    }
+
+    /**
+     * Checks if a point (screen coordinates) is inside the minimap.
+     *
+     * @param {Number} x The x coordinate of the point
+     * @param {Number} y The y coordinate of the point
+     * @returns {Boolean} True if the minimap is enabled and contains the point
+     */
+    contains(x, y) {
+        if (!this.enabled) return false
+        const rect = this.getRect()
+        return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height
+    }
+
+    /**
+     * Renders the content again and updates the mapping between the world and the minimap.
+     */
+    refresh() {
+        const bounds = this._getBounds()
+        const innerWidth = this.width - this.padding * 2
+        const innerHeight = this.height - this.padding * 2
+        const scale = Math.min(innerWidth / bounds.width, innerHeight / bounds.height)
+
+        this._layout = {
+            bounds,
+            scale,
+            offsetX: (this.width - bounds.width * scale) / 2,
+            offsetY: (this.height - bounds.height * scale) / 2
+        }
+        this._image = renderToCanvas({ rect: bounds, scale: scale * getPixelRatio(this.cvs) }, this.cvs)  // Sharp on the high density screens, since the minimap is drawn in CSS pixels
+        this._lastRender = Date.now()
+    }
+
+    /**
+     * Renders the content again if the refresh rate has elapsed (the layout is not changed while dragging to avoid moving the map under the mouse).
+     *
+     * Called by the main loop before drawing each frame and not in the middle of it, since the rendering draws the frame again: the `mainLoop` callback and the "frame" listeners are called with `cvs.exporting` enabled.
+     */
+    update() {
+        if (!this.enabled) return
+        if (this._layout && (this._dragging || Date.now() - this._lastRender < this.refreshRate)) return
+
+        this.refresh()
+    }
+
+
+    // --- Drawing ---
+
+    /**
+     * Draws the minimap in screen space (see `drawScreen`).
+     */
+    draw() {
+        if (!this.enabled || !this._layout) return  // The content is rendered by `update`
+
+        drawScreen(ctx => {
+            const rect = this.getRect()
+            const { bounds, scale, offsetX, offsetY } = this._layout
+            const viewBox = getViewBox(this.cvs)
+
+            // Background
+            ctx.fillStyle = this.background
+            ctx.fillRect(rect.x, rect.y, rect.width, rect.height)
+
+            // Content and view box (clipped to the minimap)
+            ctx.save()
+            ctx.beginPath()
+            ctx.rect(rect.x, rect.y, rect.width, rect.height)
+            ctx.clip()
+            ctx.drawImage(this._image, rect.x + offsetX, rect.y + offsetY, bounds.width * scale, bounds.height * scale)
+            ctx.strokeStyle = this.viewportColor
+            ctx.lineWidth = 1
+            ctx.beginPath()
+            viewBox.polygon.forEach(({ x, y }) => ctx.lineTo(rect.x + offsetX + (x - bounds.x) * scale, rect.y + offsetY + (y - bounds.y) * scale))
+            ctx.closePath()
+            ctx.stroke()
+            ctx.restore()
+
+            // Border
+            ctx.strokeStyle = this.borderColor
+            ctx.lineWidth = 1
+            ctx.strokeRect(rect.x + 0.5, rect.y + 0.5, rect.width - 1, rect.height - 1)
+        }, this.cvs)
+    }
+
+
+    // --- Events ---
+
+    /**
+     * Starts dragging the minimap if the mouse is pressed inside it.
+     *
+     * @param {Object} screen The coordinates of the mouse relative to the canvas element `{x, y}`
+     * @returns {Boolean} True if the event was consumed by the minimap
+     */
+    handleMouseDown(screen) {
+        if (!this.contains(screen.x, screen.y) || !this._layout) return false
+
+        this._dragging = true
+        this._panToScreenPoint(screen)
+        return true
+    }
+
+    /**
+     * Pans the canvas while dragging the minimap.
+     *
+     * @param {Object} screen The coordinates of the mouse relative to the canvas element `{x, y}`
+     * @returns {Boolean} True if the event was consumed by the minimap (dragging, or the mouse is over the minimap without pressing a button, so the drags that started elsewhere can cross it)
+     */
+    handleMouseMove(screen) {
+        if (this._dragging) {
+            this._panToScreenPoint(screen)
+            return true
+        }
+        return this.cvs.mouseDown === null && this.contains(screen.x, screen.y)
+    }
+
+    /**
+     * Stops dragging the minimap.
+     *
+     * @returns {Boolean} True if the event was consumed by the minimap
+     */
+    handleMouseUp() {
+        if (!this._dragging) return false
+        this._dragging = false
+        return true
+    }
+
+
+    // --- Utils ---
+
+    // Bounds of the content including the view box, with a minimum size to avoid dividing by 0
+    _getBounds() {
+        const viewBox = getViewBox(this.cvs)
+        const content = this.getContentBounds ? this.getContentBounds() : this.cvs.scene.getBounds()
+
+        const rects = content ? [viewBox, content] : [viewBox]
+        const x = Math.min(...rects.map(r => r.x))
+        const y = Math.min(...rects.map(r => r.y))
+        const x2 = Math.max(...rects.map(r => r.x + r.width))
+        const y2 = Math.max(...rects.map(r => r.y + r.height))
+        return { x, y, width: Math.max(x2 - x, 1), height: Math.max(y2 - y, 1) }
+    }
+
+    // Centers the view box at the world location of a point of the minimap
+    _panToScreenPoint(screen) {
+        const rect = this.getRect()
+        const { bounds, scale, offsetX, offsetY } = this._layout
+        const center = screenToWorld({ x: this.cvs.$canvas.width / 2, y: this.cvs.$canvas.height / 2 }, this.cvs)
+
+        const x = bounds.x + (screen.x - rect.x - offsetX) / scale
+        const y = bounds.y + (screen.y - rect.y - offsetY) / scale
+        panBy(center.x - x, center.y - y, this.cvs)
+    }
+}
@@ -1,26 +1,23 @@
-import constants from "./constants"
-import { getViewBox } from "./zoom"
+import { getViewportState } from "./history"
 
 /**
  * Returns to the original position the canvas (0, 0) 
  */
-export function resetPan(){
-    const {x, y} = getViewBox()
-    window.ctx.translate(x, y)
-    window.cvs.canvasPanOffset = {x: 0, y: 0}
+export function resetPan(cvs = window.cvs){
+    cvs.canvasPanOffset = {x: 0, y: 0}
 }
 
 /**
  * Returns true if the user has the panning keys pressed.
  * 
  * The panning action can be triggered by any of the following:
- * - Holding the pan key (shortcut defined in constants.PAN_KEY)
- * - Holding the pan mouse button (defined in constants.PAN_MOUSE_BUTTON)
+ * - Holding the pan key (`cvs.panKey`)
+ * - Holding the pan mouse button (`cvs.panMouseButton`)
  * 
  * @returns {boolean} Whether the user is panning elements in the canvas.
  */
-export function isPanning(){
-    return window.cvs.panning
+export function isPanning(cvs = window.cvs){
+    return cvs.panning
 }
 
 /**
@@ -29,19 +26,32 @@ export function isPanning(){
  * Imagine an axis with the origin at the top-left corner of the canvas. 
  * - The positive x-axis goes to the right.
  * - The positive y-axis goes down.
+ * 
+ * The offset is limited by the pan bounds of the instance (see `cvs.constraints`).
+ * The change is recorded in the command history of the instance if `cvs.history.recordViewport` is enabled, and the "pan" event is emitted `(canvasPanOffset, {dx, dy})`.
  *  
  * @param {number} dx The offset in the x-axis.
  * @param {number} dy The offset in the y-axis.
+ * @param {CanvasGlobals} cvs The canvas instance to pan (defaults to `window.cvs`).
  */
-export function panBy(dx, dy){
-    // Move the canvas
-    window.ctx.translate(dx, dy)
-    // Update the pan offset global variable
-    window.cvs.canvasPanOffset.x -= dx
-    window.cvs.canvasPanOffset.y -= dy
+export function panBy(dx, dy, cvs = window.cvs){
+    const before = getViewportState(cvs)
+    // Respect the pan bounds
+    const current = cvs.canvasPanOffset
+    const next = cvs.constraints.constrainPan(current, { x: current.x - dx, y: current.y - dy }, cvs.zoom)
+    dx = current.x - next.x
+    dy = current.y - next.y
+    // Move the camera (the transform is applied at the start of the next frame, see `utils/camera.js`)
+    cvs.canvasPanOffset.x -= dx
+    cvs.canvasPanOffset.y -= dy
     // Update the mouse coordinates
-    window.cvs.x -= dx
-    window.cvs.y -= dy
+    cvs.x -= dx
+    cvs.y -= dy
+    // Record the change
+    cvs.history.recordViewportChange(before)
+
+    // --- Listeners ---
+    if (dx || dy) cvs.events.emit("pan", { ...cvs.canvasPanOffset }, { dx, dy })
 }
 
 /**
@@ -53,10 +63,11 @@ export function panBy(dx, dy){
  *  
  * @param {number} x The new x position.
  * @param {number} y The new y position.
+ * @param {CanvasGlobals} cvs The canvas instance to pan (defaults to `window.cvs`).
  */
-export function panTo(x, y){
-    const {x: currentX, y: currentY} = getViewBox()
-    panBy(currentX - x, currentY - y)
+export function panTo(x, y, cvs = window.cvs){
+    const {x: currentX, y: currentY} = cvs.canvasPanOffset
+    panBy(currentX - x, currentY - y, cvs)
 }
 
 
@@ -66,9 +77,9 @@ export function panTo(x, y){
  * 
  * This function should be called when the user has pressed the pan key or the pan mouse button.
  */
-export function startPanning(){
-    document.body.style.cursor = "grabbing"
-    window.cvs.panning = true
+export function startPanning(cvs = window.cvs){
+    cvs.panning = true
+    cvs.tools.updateCursor()  // "grabbing"
 }
 
 
@@ -76,10 +87,17 @@ export function startPanning(){
  * Stop panning the canvas.
  * 
  * This function should be called when the user has released the pan key or the pan mouse button.
+ * If kinetic panning is enabled (`cvs.animator.inertia`), the canvas keeps gliding with the speed of the last movements.
+ * If the pan bounds were exceeded in elastic mode, the canvas rubber-bands back instead.
  */
-export function stopPanning(){
-    document.body.style.cursor = "default"
-    window.cvs.panning = false
+export function stopPanning(cvs = window.cvs){
+    const wasPanning = cvs.panning
+    cvs.panning = false
+    cvs.tools.updateCursor()  // Cursor of the active tool
+    if (wasPanning) {
+        cvs.animator.startGlide()
+        cvs.constraints.springBack()  // Cancels the glide if the bounds were exceeded
+    }
 }
 
 
@@ -88,8 +106,8 @@ export function stopPanning(){
  * 
  * @returns {boolean} Whether the pan shortcut is pressed.
  */
-export function isPanKeysPressed(){
-    const option1 = window.cvs.keysDown[constants.PAN_KEY] && window.cvs.mouseDown === 0
-    const option2 = window.cvs.mouseDown === constants.PAN_MOUSE_BUTTON
+export function isPanKeysPressed(cvs = window.cvs){
+    const option1 = cvs.keysDown[cvs.panKey] && cvs.mouseDown === 0
+    const option2 = cvs.mouseDown === cvs.panMouseButton
     return option1 || option2
 }
@@ -0,0 +1,111 @@
+import { panBy } from "./pan"
+import { getViewportState } from "./history"
+import { handleShortcut } from "./keyboard"
+import { screenToWorld, worldToScreen } from "./camera"
+
+/**
+ * Rotates the camera around a point, keeping that point at the same position of the screen.
+ *
+ * Positive angles rotate the content clockwise on the screen (same direction as `ctx.rotate`).
+ *
+ * The change is recorded in the command history of the instance if `cvs.history.recordViewport` is enabled, and the "rotate" event is emitted `(rotation, previousRotation)`.
+ *
+ * @param {Number} angle The angle to rotate (radians)
+ * @param {Number} x The x coordinate of the pivot (world coordinates)
+ * @param {Number} y The y coordinate of the pivot (world coordinates)
+ * @param {CanvasGlobals} cvs The canvas instance to rotate (defaults to `window.cvs`)
+ */
+export function rotateAtPos(angle, x, y, cvs = window.cvs){
+    if (!angle) return
+
+    const before = getViewportState(cvs)
+    const mouse = worldToScreen({ x: cvs.x, y: cvs.y }, cvs)
+
+    // Rotate the top-left corner of the view box around the pivot (in the opposite direction of the content)
+    const {x: offsetX, y: offsetY} = cvs.canvasPanOffset
+    const cos = Math.cos(-angle)
+    const sin = Math.sin(-angle)
+    cvs.canvasPanOffset = {
+        x: x + (offsetX - x) * cos - (offsetY - y) * sin,
+        y: y + (offsetX - x) * sin + (offsetY - y) * cos
+    }
+    cvs.rotation = normalizeAngle(cvs.rotation + angle)
+
+    // Update the mouse coordinates (the mouse didn't move on the screen)
+    const {x: mouseX, y: mouseY} = screenToWorld(mouse, cvs)
+    cvs.x = mouseX
+    cvs.y = mouseY
+
+    // Respect the pan bounds (the shape of the view box has changed)
+    panBy(0, 0, cvs)
+
+    // Record the change
+    cvs.history.recordViewportChange(before)
+
+    // --- Listeners ---
+    cvs.events.emit("rotate", cvs.rotation, before.rotation)
+}
+
+
+/**
+ * Rotates the camera by a given angle around the center of the canvas.
+ *
+ * @param {Number} angle The angle to rotate (radians). Positive angles rotate the content clockwise
+ * @param {CanvasGlobals} cvs The canvas instance to rotate (defaults to `window.cvs`)
+ */
+export function rotateBy(angle, cvs = window.cvs){
+    const {x, y} = screenToWorld({ x: cvs.$canvas.width / 2, y: cvs.$canvas.height / 2 }, cvs)
+    rotateAtPos(angle, x, y, cvs)
+}
+
+
+/**
+ * Sets the rotation of the camera to a specific angle, rotating around the center of the canvas.
+ *
+ * @param {Number} angle The new rotation (radians)
+ * @param {CanvasGlobals} cvs The canvas instance to rotate (defaults to `window.cvs`)
+ */
+export function rotateTo(angle, cvs = window.cvs){
+    rotateBy(normalizeAngle(angle - cvs.rotation), cvs)
+}
+
+
+/**
+ * Resets the rotation of the camera to the default value (0), rotating around the center of the canvas.
+ */
+export function resetRotation(cvs = window.cvs){
+    rotateTo(0, cvs)
+}
+
+
+/**
+ * Handles the rotation shortcuts of a canvas instance (if `cvs.rotationShortcuts` is enabled).
+ *
+ * The shortcuts are defined in `cvs.rotationKeys` (`{cw, ccw, reset}`) and rotate the camera by `cvs.rotationStep`.
+ *
+ * @param {CanvasGlobals} cvs The canvas instance
+ * @returns {Boolean} True if a shortcut was handled
+ */
+export function handleRotationShortcut(cvs = window.cvs){
+    if (!cvs.rotationShortcuts) return false
+
+    const SHORTCUTS = {}
+    cvs.rotationKeys.cw.forEach(shortcut => SHORTCUTS[shortcut] = () => rotateBy(cvs.rotationStep, cvs))
+    cvs.rotationKeys.ccw.forEach(shortcut => SHORTCUTS[shortcut] = () => rotateBy(-cvs.rotationStep, cvs))
+    cvs.rotationKeys.reset.forEach(shortcut => SHORTCUTS[shortcut] = () => resetRotation(cvs))
+
+    return handleShortcut(SHORTCUTS, cvs)
+}
+
+
+/**
+ * Normalizes an angle to the range (-PI, PI].
+ *
+ * @param {Number} angle The angle (radians)
+ * @returns {Number} The equivalent angle in the range (-PI, PI]
+ */
+export function normalizeAngle(angle){
+    const turn = Math.PI * 2
+    const normalized = ((angle % turn) + turn) % turn  // [0, 2PI)
+    return normalized > Math.PI ? normalized - turn : normalized
+}
@@ -0,0 +1,440 @@
+import constants from "./constants"
+import { worldToScreen, screenToWorld } from "./camera"
+import { drawScreen, getPixelRatio } from "./hud"
+
+// Subdivisions of the steps of the rulers (the steps are 1, 2 or 5 times a power of 10)
+const TICK_SUBDIVISIONS = { 1: 10, 2: 4, 5: 5 }
+
+/**
+ * Rulers and guides of a canvas instance (`cvs.rulers`).
+ *
+ * When they are enabled, rulers are drawn along the top and left edges of the canvas showing the world coordinates of the visible area. The spacing of the ticks adapts to the zoom (steps of 1, 2 or 5 times a power of 10 at least `minSpacing` pixels apart) and a marker follows the position of the mouse.
+ * The rulers are hidden while the camera is rotated, since the world axes are not aligned with the edges of the canvas.
+ *
+ * Dragging out of a ruler creates a guide: a horizontal guide (constant y) from the top ruler, or a vertical guide (constant x) from the left ruler. The guides are lines that persist in world coordinates and can be moved by dragging them. Dropping a guide over a ruler removes it.
+ * The guides are plain objects `{orientation, position}`, where `orientation` is "horizontal" or "vertical" and `position` is the world coordinate of the guide (y for the horizontal guides, x for the vertical guides), so they can be saved and restored with `setGuides`.
+ * The "guidechange" event is emitted with the guide and the change ("add", "move" or "remove") when a guide is added, moved or removed.
+ *
+ * The pointer events over the rulers and the guides are consumed before the minimap, the active tool and the scene (but after the HUD). If `snap` is enabled, the coordinates passed to the mouse callbacks are snapped to the guides (see `snapToGuides`).
+ *
+ * **Options**
+ * @property {Boolean} enabled - Whether the rulers and the guides are drawn and interactive
+ * @property {Number} size - Thickness of the rulers (screen pixels)
+ * @property {Number} minSpacing - Minimum distance (screen pixels) between two labeled ticks
+ * @property {Boolean} snap - Whether the coordinates passed to the mouse callbacks are snapped to the guides
+ * @property {Number} snapDistance - Maximum distance (screen pixels) from a guide to snap to it
+ * @property {Number} hitTolerance - Distance (screen pixels) from a guide to drag it
+ * @property {String} background - Background color of the rulers
+ * @property {String} color - Color of the ticks and labels
+ * @property {String} markerColor - Color of the marker of the mouse position
+ * @property {String} guideColor - Color of the guides
+ * @property {String} font - Font of the labels
+ */
+export class Rulers {
+    constructor(cvs) {
+        this.cvs = cvs
+
+        // --- Options ---
+        this.enabled = false
+        this.size = constants.RULER_SIZE
+        this.minSpacing = constants.RULER_MIN_SPACING
+        this.snap = false
+        this.snapDistance = constants.GUIDE_SNAP_DISTANCE
+        this.hitTolerance = constants.HIT_TOLERANCE
+        this.background = "#f4f4f4"
+        this.color = "#666666"
+        this.markerColor = "#ff0000"
+        this.guideColor = "#00a2ff"
+        this.font = "10px sans-serif"
+
+        // --- State ---
+        this.guides = []  // Guides `{orientation, position}`
+        this.hovered = null  // Guide under the mouse
+        this._dragging = null  // Guide being dragged `{guide, added}`
+    }
+
+    /**
+     * Whether the rulers are drawn (enabled and the camera is not rotated).
+     */
+    get visible() {
+        return this.enabled && this.cvs.rotation === 0
+    }
+
+
+    // --- Guides ---
+
+    /**
+     * Adds a guide.
+     *
+     * @param {String} orientation "horizontal" (constant y) or "vertical" (constant x)
+     * @param {Number} position The world coordinate of the guide
+     * @returns {Object} The guide
+     * @throws {Error} If the orientation is not valid
+     */
+    addGuide(orientation, position) {
+        if (orientation !== "horizontal" && orientation !== "vertical") throw new Error(`Invalid guide orientation: ${orientation}`)
+
+        const guide = { orientation, position }
+        this.guides.push(guide)
+        this.cvs.loop.invalidate()
+        this.cvs.events.emit("guidechange", guide, "add")
+        return guide
+    }
+
+    /**
+     * Moves a guide.
+     *
+     * @param {Object} guide The guide
+     * @param {Number} position The new world coordinate of the guide
+     */
+    moveGuide(guide, position) {
+        guide.position = position
+        this.cvs.loop.invalidate()
+        this.cvs.events.emit("guidechange", guide, "move")
+    }
+
+    /**
+     * Removes a guide.
+     *
+     * @param {Object} guide The guide to remove
+     */
+    removeGuide(guide) {
+        if (!this.guides.includes(guide)) return
+
+        this.guides = this.guides.filter(g => g !== guide)
+        if (this.hovered === guide) this.hovered = null
+        if (this._dragging?.guide === guide) this._dragging = null
+        this.cvs.loop.invalidate()
+        this.cvs.events.emit("guidechange", guide, "remove")
+    }
+
+    /**
+     * Replaces all the guides (e.g. to restore saved guides). The "guidechange" event is not emitted.
+     *
+     * @param {Array} guides The guides `{orientation, position}`
+     */
+    setGuides(guides) {
+        this.guides = guides.map(({ orientation, position }) => ({ orientation, position }))
+        this.hovered = null
+        this._dragging = null
+        this.cvs.loop.invalidate()
+    }
+
+    /**
+     * Returns the guides with an orientation.
+     *
+     * @param {String} orientation "horizontal" or "vertical" (all the guides if omitted)
+     * @returns {Array} The guides
+     */
+    getGuides(orientation) {
+        return orientation ? this.guides.filter(g => g.orientation === orientation) : [...this.guides]
+    }
+
+    /**
+     * Finds the closest guide to a point.
+     *
+     * @param {Object} point The point `{x, y}` (world coordinates)
+     * @param {Number} distance The maximum distance (screen pixels) between the point and the guide
+     * @returns {Object} The guide (null if there is no guide close enough)
+     */
+    getGuideAt({ x, y }, distance = this.hitTolerance) {
+        let closest = null
+        let closestDistance = distance
+        for (const guide of this.guides) {
+            const guideDistance = Math.abs((guide.orientation === "horizontal" ? y : x) - guide.position) * this.cvs.zoom
+            if (guideDistance <= closestDistance) {
+                closest = guide
+                closestDistance = guideDistance
+            }
+        }
+        return closest
+    }
+
+    /**
+     * Snaps a point to the closest horizontal and vertical guides (each coordinate is snapped independently).
+     *
+     * @param {Object} point The point to snap `{x, y}` (world coordinates)
+     * @param {Number} distance The maximum distance (screen pixels) between the point and a guide to snap to it
+     * @returns {Object} The snapped point `{x, y}`
+     */
+    snapToGuides({ x, y }, distance = this.snapDistance) {
+        const snap = (value, orientation) => {
+            const guide = this.getGuides(orientation).reduce((closest, g) => !closest || Math.abs(g.position - value) < Math.abs(closest.position - value) ? g : closest, null)
+            return guide && Math.abs(guide.position - value) * this.cvs.zoom <= distance ? guide.position : value
+        }
+        return { x: snap(x, "vertical"), y: snap(y, "horizontal") }
+    }
+
+
+    // --- Drawing ---
+
+    /**
+     * Draws the guides and the rulers in screen space (used by the main loop after the world drawings, not included in the exports).
+     */
+    draw() {
+        const cvs = this.cvs
+        if (!this.enabled || cvs.exporting) return
+
+        drawScreen((ctx, screen) => {
+            this._drawGuides(ctx, screen)
+            if (this.visible) this._drawRulers(ctx, screen)
+        }, cvs)
+    }
+
+    _drawGuides(ctx, screen) {
+        const cvs = this.cvs
+        const corners = [{ x: 0, y: 0 }, { x: screen.width, y: screen.height }].map(p => fromScreenPixels(p, cvs))
+
+        ctx.lineWidth = 1
+        for (const guide of this.guides) {
+            // Line crossing the visible area (the guides are world lines, so they are oblique while the camera is rotated)
+            const [from, to] = guide.orientation === "horizontal"
+                ? [{ x: Math.min(corners[0].x, corners[1].x) - screen.width, y: guide.position }, { x: Math.max(corners[0].x, corners[1].x) + screen.width, y: guide.position }]
+                : [{ x: guide.position, y: Math.min(corners[0].y, corners[1].y) - screen.height }, { x: guide.position, y: Math.max(corners[0].y, corners[1].y) + screen.height }]
+            const a = toScreenPixels(from, cvs)
+            const b = toScreenPixels(to, cvs)
+
+            ctx.strokeStyle = this.guideColor
+            ctx.globalAlpha = guide === this.hovered || guide === this._dragging?.guide ? 1 : 0.7
+            ctx.beginPath()
+            ctx.moveTo(Math.round(a.x) + 0.5, Math.round(a.y) + 0.5)
+            ctx.lineTo(Math.round(b.x) + 0.5, Math.round(b.y) + 0.5)
+            ctx.stroke()
+        }
+        ctx.globalAlpha = 1
+    }
+
+    _drawRulers(ctx, screen) {
+        const cvs = this.cvs
+        const size = this.size
+        const scale = cvs.zoom / getPixelRatio(cvs)  // Screen pixels per world unit
+        const { major, minor } = getRulerStep(scale, this.minSpacing)
+        const origin = toScreenPixels({ x: 0, y: 0 }, cvs)
+        const topLeft = fromScreenPixels({ x: 0, y: 0 }, cvs)
+        const bottomRight = fromScreenPixels({ x: screen.width, y: screen.height }, cvs)
+        const mouse = cvs.lastPointerPosition
+
+        ctx.fillStyle = this.background
+        ctx.fillRect(0, 0, screen.width, size)
+        ctx.fillRect(0, 0, size, screen.height)
+
+        ctx.strokeStyle = this.color
+        ctx.fillStyle = this.color
+        ctx.lineWidth = 1
+        ctx.font = this.font
+        ctx.textBaseline = "top"
+
+        // Ticks of a ruler: the position of each tick along the ruler is its screen coordinate
+        const drawTicks = (from, to, toScreen, drawLabel) => {
+            ctx.beginPath()
+            for (let i = Math.floor(from / minor); i * minor <= to; i++) {
+                const value = i * minor
+                const position = Math.round(toScreen(value)) + 0.5
+                if (position < size) continue  // Under the corner
+
+                const isMajor = Math.abs(value / major - Math.round(value / major)) < 1e-6
+                drawLabel(position, isMajor ? formatValue(value) : null)
+            }
+            ctx.stroke()
+        }
+
+        // Top ruler (x axis)
+        drawTicks(topLeft.x, bottomRight.x, value => origin.x + value * scale, (position, label) => {
+            const length = label === null ? size / 4 : size
+            ctx.moveTo(position, size - length)
+            ctx.lineTo(position, size)
+            if (label !== null) ctx.fillText(label, position + 3, 2)
+        })
+
+        // Left ruler (y axis, vertical labels)
+        drawTicks(topLeft.y, bottomRight.y, value => origin.y + value * scale, (position, label) => {
+            const length = label === null ? size / 4 : size
+            ctx.moveTo(size - length, position)
+            ctx.lineTo(size, position)
+            if (label !== null) {
+                ctx.save()
+                ctx.translate(2, position - 3)
+                ctx.rotate(-Math.PI / 2)
+                ctx.fillText(label, 0, 0)
+                ctx.restore()
+            }
+        })
+
+        // Borders and corner
+        ctx.beginPath()
+        ctx.moveTo(0, size + 0.5)
+        ctx.lineTo(screen.width, size + 0.5)
+        ctx.moveTo(size + 0.5, 0)
+        ctx.lineTo(size + 0.5, screen.height)
+        ctx.stroke()
+        ctx.fillStyle = this.background
+        ctx.fillRect(0, 0, size, size)
+
+        // Markers of the mouse position
+        if (mouse) {
+            ctx.strokeStyle = this.markerColor
+            ctx.beginPath()
+            if (mouse.x > size) {
+                ctx.moveTo(Math.round(mouse.x) + 0.5, 0)
+                ctx.lineTo(Math.round(mouse.x) + 0.5, size)
+            }
+            if (mouse.y > size) {
+                ctx.moveTo(0, Math.round(mouse.y) + 0.5)
+                ctx.lineTo(size, Math.round(mouse.y) + 0.5)
+            }
+            ctx.stroke()
+        }
+    }
+
+
+    // --- Events ---
+
+    /**
+     * Creates a guide when a ruler is pressed, or starts dragging the guide under the mouse.
+     *
+     * @param {Object} screen The coordinates of the mouse relative to the canvas element `{x, y}`
+     * @param {Number} button The pressed button (only the left button drags the guides)
+     * @returns {Boolean} True if the event was consumed by the rulers
+     */
+    handleMouseDown(screen, button) {
+        if (!this.enabled) return false
+
+        const ruler = this._getRulerAt(screen)
+        if (ruler) {
+            // The top ruler creates horizontal guides and the left ruler vertical guides (the corner doesn't create guides)
+            if (button === 0 && ruler !== "corner") {
+                const orientation = ruler === "top" ? "horizontal" : "vertical"
+                const guide = { orientation, position: orientation === "horizontal" ? this.cvs.y : this.cvs.x }
+                this.guides.push(guide)
+                this._dragging = { guide, added: true }
+                this.cvs.loop.invalidate()
+            }
+            return true
+        }
+
+        const guide = button === 0 && this.getGuideAt({ x: this.cvs.x, y: this.cvs.y })
+        if (!guide) return false
+
+        this._dragging = { guide, added: false }
+        return true
+    }
+
+    /**
+     * Moves the guide being dragged and updates the hovered guide.
+     *
+     * @param {Object} screen The coordinates of the mouse relative to the canvas element `{x, y}`
+     * @returns {Boolean} True if the event was consumed by the rulers (dragging a guide, or the mouse is over a ruler without pressing a button)
+     */
+    handleMouseMove(screen) {
+        if (!this.enabled) return false
+
+        if (this._dragging) {
+            const { guide } = this._dragging
+            guide.position = guide.orientation === "horizontal" ? this.cvs.y : this.cvs.x
+            this.cvs.loop.invalidate()
+            return true
+        }
+
+        // The drags that started elsewhere (e.g. the scene, the selection or the active tool) cross the rulers and the guides without hovering them
+        if (this.cvs.mouseDown !== null) return false
+
+        const hovered = this._getRulerAt(screen) ? null : this.getGuideAt({ x: this.cvs.x, y: this.cvs.y })
+        if (hovered !== this.hovered) {
+            this.hovered = hovered
+            this.cvs.loop.invalidate()
+        }
+        return this._getRulerAt(screen) !== null
+    }
+
+    /**
+     * Drops the guide being dragged. The guide is removed if it is dropped over a ruler.
+     *
+     * @param {Object} screen The coordinates of the mouse relative to the canvas element `{x, y}`
+     * @returns {Boolean} True if the event was consumed by the rulers
+     */
+    handleMouseUp(screen) {
+        const dragging = this._dragging
+        if (!dragging) return false
+
+        this._dragging = null
+        const { guide, added } = dragging
+        if (screen && this._getRulerAt(screen)) {
+            this.guides = this.guides.filter(g => g !== guide)
+            if (this.hovered === guide) this.hovered = null
+            if (!added) this.cvs.events.emit("guidechange", guide, "remove")
+        }
+        else this.cvs.events.emit("guidechange", guide, added ? "add" : "move")
+
+        this.cvs.loop.invalidate()
+        return true
+    }
+
+    /**
+     * Clears the hovered guide when the mouse leaves the canvas.
+     */
+    handleMouseLeave() {
+        if (!this.hovered) return
+
+        this.hovered = null
+        this.cvs.loop.invalidate()
+    }
+
+    /**
+     * Returns the cursor over the guides: a resize cursor while a guide is hovered or dragged.
+     *
+     * @returns {String} The CSS cursor (null if the mouse is not over a guide)
+     */
+    getCursor() {
+        const guide = this._dragging?.guide || this.hovered
+        if (!this.enabled || !guide) return null
+        return guide.orientation === "horizontal" ? "ns-resize" : "ew-resize"
+    }
+
+    // Ruler under a point (screen coordinates): "top", "left", "corner" or null
+    _getRulerAt({ x, y }) {
+        if (!this.visible) return null
+
+        const top = y >= 0 && y <= this.size
+        const left = x >= 0 && x <= this.size
+        if (top && left) return "corner"
+        return top ? "top" : left ? "left" : null
+    }
+}
+
+
+/**
+ * Calculates the spacing of the ticks of the rulers for a zoom level.
+ *
+ * The labeled ticks are 1, 2 or 5 times a power of 10 world units apart (the smallest step at least `minSpacing` screen pixels apart), and they are subdivided by the minor ticks.
+ *
+ * @param {Number} zoom The zoom factor
+ * @param {Number} minSpacing The minimum distance (screen pixels) between two labeled ticks
+ * @returns {Object} The spacing of the labeled and minor ticks in world units `{major, minor}`
+ */
+export function getRulerStep(zoom, minSpacing = constants.RULER_MIN_SPACING) {
+    const power = Math.pow(10, Math.floor(Math.log10(minSpacing / zoom)))
+    const multiplier = [1, 2, 5].find(m => m * power * zoom >= minSpacing) || 10
+    const major = multiplier * power
+    return { major, minor: major / TICK_SUBDIVISIONS[multiplier === 10 ? 1 : multiplier] }
+}
+
+
+// ============== Utils ==============
+
+// Converts a point from world coordinates to the screen pixels of `drawScreen` (the camera transform maps the world to the pixels of the canvas, which are scaled by the pixel ratio)
+function toScreenPixels(point, cvs) {
+    const ratio = getPixelRatio(cvs)
+    const { x, y } = worldToScreen(point, cvs)
+    return { x: x / ratio, y: y / ratio }
+}
+
+// Converts a point from the screen pixels of `drawScreen` to world coordinates
+function fromScreenPixels({ x, y }, cvs) {
+    const ratio = getPixelRatio(cvs)
+    return screenToWorld({ x: x * ratio, y: y * ratio }, cvs)
+}
+
+// Label of a tick, without the floating-point errors of the multiples of the step (e.g. 0.30000000000000004)
+function formatValue(value) {
+    return String(parseFloat(value.toPrecision(12)))
+}
@@ -0,0 +1,492 @@
+import constants from "./constants"
+
+/**
+ * Definition of the shapes supported by the scene.
+ *
+ * Each shape defines how to draw it, how to check if a point hits it and its bounds. The functions work in the local coordinates of the object (the transform of the object is already applied/reverted).
+ * - `draw(ctx, object)`: Draws the shape on the context. The fill and stroke are applied by the scene after calling this function (if the function returns a `Path2D`, it is used to fill and stroke the shape).
+ * - `hit(ctx, object, x, y, tolerance)`: Returns true if the point (local coordinates) hits the shape. The tolerance is the distance (local units) allowed to hit thin shapes like lines.
+ * - `bounds(ctx, object)`: Optional. Returns the bounding box of the shape `{x, y, width, height}` (local coordinates), or null if it can't be calculated.
+ *
+ * New shapes can be added with `registerShape`.
+ */
+const SHAPES = {
+    rect: {
+        draw: (ctx, o) => {
+            const path = new Path2D()
+            path.rect(0, 0, o.width, o.height)
+            return path
+        },
+        hit: (ctx, o, x, y) => x >= 0 && x <= o.width && y >= 0 && y <= o.height,
+        bounds: (ctx, o) => ({ x: 0, y: 0, width: o.width, height: o.height })
+    },
+    circle: {
+        draw: (ctx, o) => {
+            const path = new Path2D()
+            path.arc(0, 0, o.radius, 0, 2 * Math.PI)
+            return path
+        },
+        hit: (ctx, o, x, y) => Math.hypot(x, y) <= o.radius,
+        bounds: (ctx, o) => ({ x: -o.radius, y: -o.radius, width: o.radius * 2, height: o.radius * 2 })
+    },
+    line: {
+        draw: (ctx, o) => {
+            const path = new Path2D()
+            path.moveTo(o.x1, o.y1)
+            path.lineTo(o.x2, o.y2)
+            return path
+        },
+        hit: (ctx, o, x, y, tolerance) => distanceToSegment(x, y, o.x1, o.y1, o.x2, o.y2) <= o.lineWidth / 2 + tolerance,
+        bounds: (ctx, o) => getPointsBounds([{ x: o.x1, y: o.y1 }, { x: o.x2, y: o.y2 }])
+    },
+    path: {
+        draw: (ctx, o) => getPath(o),
+        hit: (ctx, o, x, y, tolerance) => {
+            const path = getPath(o)
+            if (o.fill && ctx.isPointInPath(path, x, y)) return true
+            ctx.lineWidth = o.lineWidth + tolerance * 2
+            return ctx.isPointInStroke(path, x, y)
+        },
+        bounds: (ctx, o) => o.d ? null : getPointsBounds(o.points)  // The bounds of SVG paths can't be calculated
+    },
+    text: {
+        draw: (ctx, o) => {
+            setTextStyle(ctx, o)
+            if (o.fill) ctx.fillText(o.text, 0, 0)
+            if (o.stroke) ctx.strokeText(o.text, 0, 0)
+        },
+        hit: (ctx, o, x, y) => {
+            setTextStyle(ctx, o)
+            const m = ctx.measureText(o.text)
+            return x >= -m.actualBoundingBoxLeft && x <= m.actualBoundingBoxRight && y >= -m.actualBoundingBoxAscent && y <= m.actualBoundingBoxDescent
+        },
+        bounds: (ctx, o) => {
+            setTextStyle(ctx, o)
+            const m = ctx.measureText(o.text)
+            return { x: -m.actualBoundingBoxLeft, y: -m.actualBoundingBoxAscent, width: m.actualBoundingBoxLeft + m.actualBoundingBoxRight, height: m.actualBoundingBoxAscent + m.actualBoundingBoxDescent }
+        }
+    },
+    image: {
+        draw: (ctx, o) => {
+            if (o.image) ctx.drawImage(o.image, 0, 0, o.width, o.height)
+        },
+        hit: (ctx, o, x, y) => x >= 0 && x <= o.width && y >= 0 && y <= o.height,
+        bounds: (ctx, o) => ({ x: 0, y: 0, width: o.width, height: o.height })
+    }
+}
+
+// Default properties of every scene object
+const DEFAULTS = {
+    // Transform
+    x: 0,
+    y: 0,
+    rotation: 0,  // Radians
+    scaleX: 1,
+    scaleY: 1,
+    zIndex: 0,
+    // Style
+    fill: null,
+    stroke: null,
+    lineWidth: 1,
+    opacity: 1,
+    // State
+    visible: true,
+    interactive: true,  // Whether the object can be hit by the mouse
+    draggable: false,  // Whether the object is moved by the scene when dragged
+    // Events
+    onClick: null,
+    onHover: null,
+    onDragStart: null,
+    onDrag: null,
+    onDragEnd: null,
+}
+
+
+/**
+ * Registers a new shape type that can be added to the scene.
+ *
+ * @See {@link SHAPES} for the description of the `draw`, `hit` and `bounds` functions.
+ *
+ * @param {String} type The name of the shape type (e.g. "star")
+ * @param {Object} shape An object containing the `draw`, `hit` and `bounds` functions of the shape
+ */
+export function registerShape(type, shape) {
+    SHAPES[type] = shape
+}
+
+
+/**
+ * Retained-mode scene drawn automatically by the main loop after cleaning the canvas.
+ *
+ * The objects of the scene are plain objects with a `type` (rect, circle, line, path, text, image or a registered shape), a transform (x, y, rotation, scaleX, scaleY), a z-order (`zIndex`) and style properties.
+ * The geometry of each shape is defined in the local coordinates of the object:
+ * - `rect`: width, height
+ * - `circle`: radius (centered at the origin)
+ * - `line`: x1, y1, x2, y2
+ * - `path`: points (array of {x, y}) and closed, or d (SVG path string)
+ * - `text`: text, font, textAlign, textBaseline
+ * - `image`: image, width, height
+ *
+ * **Events**
+ *
+ * The objects can define the following event handlers. The coordinates are the world coordinates of the mouse (the same as `cvs.x` and `cvs.y`).
+ * - `onClick(button, {x, y}, object)`: Called when a mouse button is pressed and released over the object without dragging it
+ * - `onHover(hovered, {x, y}, object)`: Called when the mouse enters (`hovered = true`) or leaves (`hovered = false`) the object
+ * - `onDragStart(button, {x, y}, object)`: Called when the left mouse button is pressed over the object
+ * - `onDrag(e, {x, y, dx, dy}, object)`: Called when the mouse is moved while dragging the object
+ * - `onDragEnd(button, {x, y}, object)`: Called when the left mouse button is released after dragging the object
+ *
+ * When the mouse is pressed over an object that handles clicks or drags, the event is consumed by the object and the mouse callbacks of the canvas are not called until the button is released.
+ *
+ * **Options**
+ * @property {Number} hitTolerance - Extra distance (screen pixels) allowed to hit thin shapes like lines
+ * @property {Number} clickMoveTolerance - Distance (screen pixels) the mouse can move before a click becomes a drag
+ */
+export class Scene {
+    constructor(cvs) {
+        this.cvs = cvs
+        this.hitTolerance = constants.HIT_TOLERANCE
+        this.clickMoveTolerance = constants.CLICK_MOVE_TOLERANCE
+
+        this.objects = []  // Objects of the scene (in insertion order)
+        this.hovered = null  // The topmost object under the mouse
+        this._pressed = null  // Object pressed by the mouse and the data of the press
+        this._order = 0  // Counter used to keep the insertion order of the objects with the same zIndex
+        this._hitCtx = null  // Offscreen context used for hit testing
+    }
+
+
+    // --- Objects ---
+
+    /**
+     * Adds an object to the scene.
+     *
+     * @param {Object} props The properties of the object. The `type` property is required.
+     * @returns {Object} The object added to the scene
+     */
+    add(props) {
+        if (!SHAPES[props.type]) throw new Error(`Unknown shape type: ${props.type}`)
+
+        const object = Object.assign(props, { ...DEFAULTS, ...props, _order: this._order++ })
+        this.objects.push(object)
+        this.cvs.loop.invalidate()
+        return object
+    }
+
+    /**
+     * Removes an object from the scene.
+     *
+     * @param {Object} object The object to remove
+     */
+    remove(object) {
+        this.objects = this.objects.filter(o => o !== object)
+        if (this.hovered === object) this.hovered = null
+        if (this._pressed?.object === object) this._pressed = null
+        this.cvs.selection.deselect(object)  // The removed objects can't stay selected
+        this.cvs.loop.invalidate()
+    }
+
+    /**
+     * Removes all the objects from the scene.
+     */
+    clear() {
+        this.objects = []
+        this.hovered = null
+        this._pressed = null
+        this.cvs.selection.clear()
+        this.cvs.loop.invalidate()
+    }
+
+    /**
+     * Moves an object above all the other objects.
+     *
+     * @param {Object} object The object to move
+     */
+    bringToFront(object) {
+        object.zIndex = Math.max(...this.objects.map(o => o.zIndex)) + 1
+        this.cvs.loop.invalidate()
+    }
+
+    /**
+     * Moves an object below all the other objects.
+     *
+     * @param {Object} object The object to move
+     */
+    sendToBack(object) {
+        object.zIndex = Math.min(...this.objects.map(o => o.zIndex)) - 1
+        this.cvs.loop.invalidate()
+    }
+
+    /**
+     * Returns the objects sorted by the drawing order (bottom to top).
+     *
+     * @returns {Array} The sorted objects
+     */
+    getSortedObjects() {
+        return [...this.objects].sort((a, b) => a.zIndex - b.zIndex || a._order - b._order)
+    }
+
+
+    // --- Drawing ---
+
+    /**
+     * Draws all the visible objects of the scene.
+     */
+    draw() {
+        if (this.objects.length === 0) return
+
+        const ctx = this.cvs.ctx
+        for (const o of this.getSortedObjects()) {
+            if (!o.visible) continue
+
+            ctx.save()
+            applyTransform(ctx, o)
+            ctx.globalAlpha *= o.opacity
+            ctx.lineWidth = o.lineWidth
+            if (o.fill) ctx.fillStyle = o.fill
+            if (o.stroke) ctx.strokeStyle = o.stroke
+
+            const path = SHAPES[o.type].draw(ctx, o)
+            if (path) {
+                if (o.fill) ctx.fill(path)
+                if (o.stroke) ctx.stroke(path)
+            }
+            ctx.restore()
+        }
+    }
+
+
+    // --- Bounds ---
+
+    /**
+     * Calculates the bounding box of an object in world coordinates (including its transform).
+     *
+     * @param {Object} object The object
+     * @returns {Object} The bounding box `{x, y, width, height, x2, y2}` (null if the shape doesn't define its bounds)
+     */
+    getObjectBounds(object) {
+        const bounds = SHAPES[object.type].bounds?.(this._getHitCtx(), object)
+        if (!bounds) return null
+
+        const { x, y, width, height } = bounds
+        const corners = [{ x, y }, { x: x + width, y }, { x, y: y + height }, { x: x + width, y: y + height }]
+        return getPointsBounds(corners.map(p => toWorld(object, p.x, p.y)))
+    }
+
+    /**
+     * Calculates the bounding box of all the visible objects of the scene in world coordinates.
+     *
+     * @returns {Object} The bounding box `{x, y, width, height, x2, y2}` (null if the scene is empty)
+     */
+    getBounds() {
+        const bounds = this.objects.filter(o => o.visible).map(o => this.getObjectBounds(o)).filter(Boolean)
+        if (bounds.length === 0) return null
+
+        return getPointsBounds(bounds.flatMap(b => [{ x: b.x, y: b.y }, { x: b.x2, y: b.y2 }]))
+    }
+
+
+    // --- Hit testing ---
+
+    /**
+     * Returns all the objects hit by a point, sorted from the topmost to the bottommost.
+     *
+     * @param {Number} x The x coordinate of the point (world coordinates)
+     * @param {Number} y The y coordinate of the point (world coordinates)
+     * @returns {Array} The objects hit by the point
+     */
+    hitTestAll(x, y) {
+        const ctx = this._getHitCtx()
+        return this.getSortedObjects().reverse().filter(o => {
+            if (!o.visible || !o.interactive) return false
+
+            const local = toLocal(o, x, y)
+            // Tolerance defined in screen pixels converted to local units
+            const tolerance = this.hitTolerance / (this.cvs.zoom * Math.max(Math.abs(o.scaleX), Math.abs(o.scaleY)))
+
+            ctx.save()
+            const hit = SHAPES[o.type].hit(ctx, o, local.x, local.y, tolerance)
+            ctx.restore()
+            return hit
+        })
+    }
+
+    /**
+     * Returns the topmost object hit by a point.
+     *
+     * @param {Number} x The x coordinate of the point (world coordinates)
+     * @param {Number} y The y coordinate of the point (world coordinates)
+     * @returns {Object} The object hit by the point (null if none)
+     */
+    hitTest(x, y) {
+        return this.hitTestAll(x, y)[0] || null
+    }
+
+
+    // --- Events ---
+
+    /**
+     * Dispatches the mouse down event to the object under the mouse.
+     *
+     * @param {Number} button The button code of the pressed mouse button
+     * @returns {Boolean} True if the event was consumed by an object
+     */
+    handleMouseDown(button) {
+        const { x, y } = this.cvs
+        const object = this.hitTest(x, y)
+        if (!object || !(object.onClick || object.onDragStart || object.onDrag || object.onDragEnd || object.draggable)) return false
+
+        this._pressed = { object, button, origin: { x, y }, last: { x, y }, dragging: false }
+
+        if (button === 0 && object.onDragStart) object.onDragStart(button, { x, y }, object)
+        return true
+    }
+
+    /**
+     * Dispatches the mouse move event: drags the pressed object or updates the hovered object.
+     *
+     * @param {Event} e The mouse move event
+     * @returns {Boolean} True if the event was consumed by an object (dragging)
+     */
+    handleMouseMove(e) {
+        const { x, y } = this.cvs
+
+        // Dragging
+        const pressed = this._pressed
+        if (pressed) {
+            if (pressed.button !== 0) return true
+
+            // Start dragging once the mouse has moved enough (in screen pixels)
+            const distance = Math.hypot(x - pressed.origin.x, y - pressed.origin.y) * this.cvs.zoom
+            if (!pressed.dragging && distance < this.clickMoveTolerance) return true
+            pressed.dragging = true
+
+            const dx = x - pressed.last.x
+            const dy = y - pressed.last.y
+            pressed.last = { x, y }
+
+            const object = pressed.object
+            if (object.draggable) {
+                object.x += dx
+                object.y += dy
+            }
+            if (object.onDrag) object.onDrag(e, { x, y, dx, dy }, object)
+            return true
+        }
+
+        // Hover
+        this._setHovered(this.hitTest(x, y))
+        return false
+    }
+
+    /**
+     * Clears the hovered object when the mouse leaves the canvas.
+     */
+    handleMouseLeave() {
+        this._setHovered(null)
+    }
+
+    /**
+     * Dispatches the mouse up event to the pressed object.
+     *
+     * @param {Number} button The button code of the released mouse button
+     * @returns {Boolean} True if the event was consumed by an object
+     */
+    handleMouseUp(button) {
+        const pressed = this._pressed
+        if (!pressed) return false
+        this._pressed = null
+
+        const { x, y } = this.cvs
+        const object = pressed.object
+        if (pressed.dragging) {
+            if (object.onDragEnd) object.onDragEnd(button, { x, y }, object)
+        }
+        else if (object.onClick && this.hitTestAll(x, y).includes(object)) object.onClick(button, { x, y }, object)
+        return true
+    }
+
+
+    // --- Utils ---
+
+    _setHovered(object) {
+        if (object === this.hovered) return
+
+        const { x, y } = this.cvs
+        const previous = this.hovered
+        this.hovered = object
+        if (previous?.onHover) previous.onHover(false, { x, y }, previous)
+        if (object?.onHover) object.onHover(true, { x, y }, object)
+    }
+
+    _getHitCtx() {
+        if (!this._hitCtx) this._hitCtx = document.createElement('canvas').getContext('2d')
+        return this._hitCtx
+    }
+}
+
+
+// ============== Utils ==============
+
+function applyTransform(ctx, o) {
+    ctx.translate(o.x, o.y)
+    ctx.rotate(o.rotation)
+    ctx.scale(o.scaleX, o.scaleY)
+}
+
+// Converts a point from world coordinates to the local coordinates of an object (reverting its transform)
+function toLocal(o, x, y) {
+    const dx = x - o.x
+    const dy = y - o.y
+    const cos = Math.cos(-o.rotation)
+    const sin = Math.sin(-o.rotation)
+    return {
+        x: (dx * cos - dy * sin) / o.scaleX,
+        y: (dx * sin + dy * cos) / o.scaleY
+    }
+}
+
+// Converts a point from the local coordinates of an object to world coordinates (applying its transform)
+function toWorld(o, x, y) {
+    const sx = x * o.scaleX
+    const sy = y * o.scaleY
+    const cos = Math.cos(o.rotation)
+    const sin = Math.sin(o.rotation)
+    return {
+        x: o.x + sx * cos - sy * sin,
+        y: o.y + sx * sin + sy * cos
+    }
+}
+
+function getPointsBounds(points) {
+    const xs = points.map(p => p.x)
+    const ys = points.map(p => p.y)
+    const x = Math.min(...xs)
+    const y = Math.min(...ys)
+    const x2 = Math.max(...xs)
+    const y2 = Math.max(...ys)
+    return { x, y, width: x2 - x, height: y2 - y, x2, y2 }
+}
+
+function getPath(o) {
+    if (o.d) return new Path2D(o.d)
+
+    const path = new Path2D()
+    o.points.forEach((p, i) => i === 0 ? path.moveTo(p.x, p.y) : path.lineTo(p.x, p.y))
+    if (o.closed) path.closePath()
+    return path
+}
+
+function setTextStyle(ctx, o) {
+    ctx.font = o.font || "16px Arial"
+    ctx.textAlign = o.textAlign || "left"
+    ctx.textBaseline = o.textBaseline || "alphabetic"
+}
+
+function distanceToSegment(x, y, x1, y1, x2, y2) {
+    const dx = x2 - x1
+    const dy = y2 - y1
+    const length = dx * dx + dy * dy
+    const t = length === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / length))
+    return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy))
+}
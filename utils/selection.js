@@ -0,0 +1,283 @@
+import constants from "./constants"
+import { checkKey } from "./keyboard"
+
+/**
+ * Marquee and lasso selection of a canvas instance (`cvs.selection`).
+ *
+ * When it is enabled and the "select" tool is active (see `utils/tools.js`), dragging the left mouse button over an empty area of the canvas draws a selection rectangle (or a freeform lasso while the `lassoModifier` key is held, L by default, since Control is used by the shortcuts and by the right click on macOS) and, once the button is released, emits the "select" event (see `selectionCallback`).
+ * The selection is made in world coordinates: the rectangle is aligned to the axes of the world (so it is rotated with the camera) and the lasso is a polygon. The overlay is drawn with a constant screen thickness at any zoom.
+ *
+ * The selection starts after the panning, the HUD, the minimap and the scene objects had the chance to handle the mouse down, so the pan key, the pan mouse button and dragging an object keep working. The mouse callbacks receive the mouse down and up events of the selection, but not the mouse moves while it is being dragged. Pressing Escape cancels the selection being dragged.
+ *
+ * The selected scene objects (the visible and interactive objects whose bounds are inside the selection) are kept in `selected`, combined according to the modifiers held when the selection starts:
+ * - "replace" (no modifier): the selected objects are replaced
+ * - "add" (`additiveModifier`, Shift by default): the objects are added to the selection
+ * - "subtract" (`subtractiveModifier`, Alt by default): the objects are removed from the selection
+ *
+ * **Options**
+ * @property {Boolean} enabled - Whether the selection tool is active
+ * @property {String} lassoModifier - Key held to draw a lasso instead of a rectangle: a key or an alias of `checkKey` (e.g. "l", "shift", "alt", "control" or "meta")
+ * @property {String} additiveModifier - Key held to add to the selection
+ * @property {String} subtractiveModifier - Key held to remove from the selection
+ * @property {Number} minDistance - Distance (screen pixels) the mouse must move before a click becomes a selection
+ * @property {Number} lassoSpacing - Minimum distance (screen pixels) between two points of the lasso
+ * @property {Boolean} highlight - Whether the bounds of the selected objects are drawn
+ * @property {String} stroke - Color of the outline of the selection
+ * @property {String} fill - Color of the inside of the selection
+ * @property {Number} lineWidth - Width (screen pixels) of the outline of the selection
+ */
+export class SelectionTool {
+    constructor(cvs) {
+        this.cvs = cvs
+
+        // --- Options ---
+        this.enabled = false
+        this.lassoModifier = "l"
+        this.additiveModifier = "shift"
+        this.subtractiveModifier = "alt"
+        this.minDistance = constants.SELECTION_MIN_DISTANCE
+        this.lassoSpacing = constants.SELECTION_LASSO_SPACING
+        this.highlight = true
+        this.stroke = "#1e6fd9"
+        this.fill = "#1e6fd922"
+        this.lineWidth = 1
+
+        // --- State ---
+        this.selected = []  // Selected scene objects
+        this._active = null  // Selection being dragged `{shape, mode, origin, current, points, dragging}`
+    }
+
+    /**
+     * Whether a selection is being dragged.
+     */
+    get active() {
+        return Boolean(this._active?.dragging)
+    }
+
+
+    // --- Selection ---
+
+    /**
+     * Replaces the selected objects.
+     *
+     * @param {Array} objects The scene objects to select
+     */
+    select(objects) {
+        this.selected = [...objects]
+        this.cvs.loop.invalidate()
+    }
+
+    /**
+     * Removes an object from the selection (called by the scene when the object is removed from it).
+     *
+     * @param {Object} object The scene object
+     */
+    deselect(object) {
+        if (!this.selected.includes(object)) return
+
+        this.selected = this.selected.filter(o => o !== object)
+        this.cvs.loop.invalidate()
+    }
+
+    /**
+     * Removes all the objects from the selection.
+     */
+    clear() {
+        this.selected = []
+        this.cvs.loop.invalidate()
+    }
+
+    /**
+     * Cancels the selection being dragged, without emitting the "select" event.
+     */
+    cancel() {
+        if (!this._active) return
+
+        this._active = null
+        this.cvs.loop.invalidate()
+    }
+
+    /**
+     * Returns the visible and interactive objects of the scene whose bounds are inside a rectangle or a polygon.
+     *
+     * @param {Object} area The rectangle `{x, y, width, height}` or the polygon `{points}` (world coordinates)
+     * @returns {Array} The objects inside the area
+     */
+    getObjectsInside(area) {
+        const scene = this.cvs.scene
+        return scene.objects.filter(object => {
+            if (!object.visible || !object.interactive) return false
+
+            const bounds = scene.getObjectBounds(object)
+            if (!bounds) return false  // The shapes without bounds can't be selected
+
+            const corners = [{ x: bounds.x, y: bounds.y }, { x: bounds.x2, y: bounds.y }, { x: bounds.x, y: bounds.y2 }, { x: bounds.x2, y: bounds.y2 }]
+            return corners.every(p => area.points ? isPointInPolygon(p, area.points) : isPointInRect(p, area))
+        })
+    }
+
+
+    // --- Drawing ---
+
+    /**
+     * Draws the selection being dragged and the bounds of the selected objects (used by the main loop after the world drawings, not included in the exports).
+     */
+    draw() {
+        const cvs = this.cvs
+        if (cvs.exporting || (!this.active && !(this.highlight && this.selected.length))) return
+
+        const ctx = cvs.ctx
+        const zoom = cvs.zoom
+        ctx.save()
+        ctx.lineWidth = this.lineWidth / zoom  // Constant thickness in screen pixels
+        ctx.strokeStyle = this.stroke
+
+        // Bounds of the selected objects
+        if (this.highlight) {
+            for (const object of this.selected) {
+                const bounds = cvs.scene.getObjectBounds(object)
+                if (bounds) ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height)
+            }
+        }
+
+        // Selection being dragged
+        if (this.active) {
+            ctx.fillStyle = this.fill
+            ctx.setLineDash([4 / zoom, 4 / zoom])
+            ctx.beginPath()
+            if (this._active.shape === "lasso") {
+                this._active.points.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y))
+                ctx.closePath()
+            }
+            else {
+                const { x, y, width, height } = this._getRect()
+                ctx.rect(x, y, width, height)
+            }
+            ctx.fill()
+            ctx.stroke()
+        }
+
+        ctx.restore()
+    }
+
+
+    // --- Events ---
+
+    /**
+     * Prepares a selection at the position of the mouse. The selection starts once the mouse moves `minDistance` pixels.
+     *
+     * @param {Number} button The pressed button (only the left button selects, and only with the "select" tool, so the other tools don't start selections)
+     */
+    handleMouseDown(button) {
+        if (!this.enabled || button !== 0 || this.cvs.tools.activeName !== "select") return
+
+        const origin = { x: this.cvs.x, y: this.cvs.y }
+        this._active = {
+            shape: this._isModifierPressed(this.lassoModifier) ? "lasso" : "rect",
+            mode: this._isModifierPressed(this.subtractiveModifier) ? "subtract" : this._isModifierPressed(this.additiveModifier) ? "add" : "replace",
+            origin,
+            current: origin,
+            points: [origin],
+            dragging: false
+        }
+    }
+
+    /**
+     * Updates the selection with the position of the mouse.
+     *
+     * @returns {Boolean} True if the event was consumed by the selection (it is being dragged)
+     */
+    handleMouseMove() {
+        const active = this._active
+        if (!active) return false
+
+        const current = { x: this.cvs.x, y: this.cvs.y }
+        const zoom = this.cvs.zoom
+
+        // Start the selection once the mouse has moved enough (in screen pixels)
+        if (!active.dragging && Math.hypot(current.x - active.origin.x, current.y - active.origin.y) * zoom < this.minDistance) return false
+        active.dragging = true
+        active.current = current
+
+        const last = active.points.at(-1)
+        if (Math.hypot(current.x - last.x, current.y - last.y) * zoom >= this.lassoSpacing) active.points.push(current)
+
+        this.cvs.loop.invalidate()
+        return true
+    }
+
+    /**
+     * Finishes the selection: updates the selected objects and emits the "select" event.
+     *
+     * @returns {Boolean} True if the event was consumed by the selection (it was being dragged)
+     */
+    handleMouseUp() {
+        const active = this._active
+        this._active = null
+        if (!active?.dragging) return false
+
+        const area = active.shape === "lasso" ? { points: [...active.points, active.current] } : this._getRect(active)
+        const objects = this.getObjectsInside(area)
+
+        if (active.mode === "add") this.selected = [...this.selected, ...objects.filter(o => !this.selected.includes(o))]
+        else if (active.mode === "subtract") this.selected = this.selected.filter(o => !objects.includes(o))
+        else this.selected = objects
+
+        this.cvs.loop.invalidate()
+        this.cvs.events.emit("select", {
+            shape: active.shape,
+            mode: active.mode,
+            rect: active.shape === "rect" ? area : null,
+            points: active.shape === "lasso" ? area.points : null,
+            objects,
+            selected: this.selected
+        })
+        return true
+    }
+
+    /**
+     * Cancels the selection being dragged when Escape is pressed.
+     *
+     * @param {String} code The code of the pressed key
+     * @returns {Boolean} True if the key was consumed by the selection
+     */
+    handleKeyDown(code) {
+        if (code !== "Escape" || !this.active) return false
+
+        this.cancel()
+        return true
+    }
+
+    // Rectangle between the origin and the current position of the selection (world coordinates)
+    _getRect(active = this._active) {
+        const { origin, current } = active
+        return {
+            x: Math.min(origin.x, current.x),
+            y: Math.min(origin.y, current.y),
+            width: Math.abs(current.x - origin.x),
+            height: Math.abs(current.y - origin.y)
+        }
+    }
+
+    _isModifierPressed(modifier) {
+        return Boolean(modifier) && checkKey(modifier, this.cvs)
+    }
+}
+
+
+// ============== Utils ==============
+
+function isPointInRect(p, rect) {
+    return p.x >= rect.x && p.x <= rect.x + rect.width && p.y >= rect.y && p.y <= rect.y + rect.height
+}
+
+// Ray casting: a point is inside the polygon if a horizontal ray from it crosses an odd number of edges
+function isPointInPolygon(p, points) {
+    let inside = false
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i]
+        const b = points[j]
+        if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) inside = !inside
+    }
+    return inside
+}
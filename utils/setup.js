@@ -1,21 +1,34 @@
-import { handleKeyDown, handleKeyUp, handleMouseMove, handleMouseUp, handleResize, handleTouchEnd, handleTouchMove } from "./event-handlers"
+import { createEventHandlers } from "./event-handlers"
 import { CanvasGlobals } from "./globals"
 
+// Canvas instances indexed by their canvas element
+const instances = new WeakMap()
+// Mounted instances in setup order (the next default instance is taken from here when the default one is unmounted)
+const mounted = []
+
 /**
  * Setup the initial configuration of the canvas and the global variables
  *      - This function already does the setup of the canvas and the global variables
- * 
- * The callback function will be called after the canvas is ready and the global variables created. The callback function will be called with no arguments.
- * 
- * Use the callback function define the initial state of the application and the event callbacks.
+ *      - Every canvas element gets its own `CanvasGlobals` instance, context, event listeners and main loop
+ *      - The first instance created is also stored in `window.cvs` and `window.ctx` (default instance), so the functions called without an explicit instance keep working
+ *
+ * If the canvas element was already set up (e.g. by the `Canvas` component), the existing instance is returned instead of creating a new one.
+ *
  * @See {@link globals.js} for more information about the global variables
- * 
- * @param {Function} callback The function to be called after the canvas is ready
+ *
  * @param {Boolean} debug Whether to enable the debug mode or not
+ * @param {HTMLCanvasElement} $canvas The canvas element to setup (defaults to the element with the id `canvas`)
+ * @returns {CanvasGlobals} The instance associated with the canvas element
  */
-export function setupCanvas(debug = false) {
+export function setupCanvas(debug = false, $canvas = document.getElementById('canvas')) {
+    // Reuse the instance if the canvas was already set up
+    if (instances.has($canvas)) {
+        const cvs = instances.get($canvas)
+        cvs.debug = debug || cvs.debug
+        return cvs
+    }
+
     // Setup canvas
-    const $canvas = document.getElementById('canvas')
     const ctx = $canvas.getContext('2d')
 
     // Set canvas size
@@ -24,67 +37,129 @@ export function setupCanvas(debug = false) {
     $canvas.height = parent.height
 
     // Setup globals
-    window.ctx = ctx
-    window.cvs = new CanvasGlobals($canvas, ctx, debug)
-    setupAfterCanvas()
+    const cvs = new CanvasGlobals($canvas, ctx, debug)
+    instances.set($canvas, cvs)
+    mounted.push(cvs)
+
+    // Default instance
+    if (!window.cvs) setDefaultInstance(cvs)
+
+    setupAfterCanvas(cvs)
+    return cvs
 }
 
-// The following event listeners weren't added using JSX because the canvas element didn't allow to define the event listeners in the JSX code, 
-// So it was necessary to add the event listeners in the useLayoutEffect hook.
-function setupAfterCanvas() {
-    const $canvas = document.getElementById('canvas')
-    // $canvas.tabIndex = 1000
+// The event listeners are added here instead of using JSX so each listener can be bound to the instance of its canvas element.
+// It also allows to add non-passive listeners (required to prevent the default behavior of the touch and wheel events).
+function setupAfterCanvas(cvs) {
+    const $canvas = cvs.$canvas
+    const handlers = createEventHandlers(cvs)
+
     $canvas.autofocus = true
     $canvas.style.outline = 'none'
+    $canvas.style.touchAction = 'none'  // The touches are handled by the canvas (the browser doesn't scroll or zoom the page)
     $canvas.focus()
 
-    handleResize()  // Set the initial canvas size
+    handlers.handleResize()  // Set the initial canvas size
 
     // Add the event listeners
-    window.addEventListener('mouseup', handleMouseUp)
-    window.addEventListener('touchend', handleTouchEnd)
-    window.addEventListener('resize', handleResize)
-    $canvas.addEventListener('keydown', handleKeyDown)
-    $canvas.addEventListener('keyup', handleKeyUp)
-
-    document.addEventListener('mousemove', handleMouseMove)
-    document.addEventListener('touchmove', handleTouchMove, { passive: false })
+    const listeners = [
+        [$canvas, 'pointermove', handlers.handlePointerMove],  // The pressed pointer is captured, so its moves outside of the canvas are received too
+        [$canvas, 'pointerdown', handlers.handlePointerDown],
+        [$canvas, 'pointerup', handlers.handlePointerUp],
+        [$canvas, 'pointercancel', handlers.handlePointerUp],
+        [$canvas, 'pointerleave', handlers.handlePointerLeave],
+        [$canvas, 'wheel', handlers.handleScroll],
+        [$canvas, 'focus', handlers.handleFocus],
+        [$canvas, 'blur', handlers.handleBlur],
+        [$canvas, 'contextmenu', (e) => e.preventDefault()],  // Disable the browser context menu
+        [$canvas, 'keydown', handlers.handleKeyDown],
+        [$canvas, 'keyup', handlers.handleKeyUp],
+        [window, 'resize', handlers.handleResize],
+    ]
+    listeners.forEach(listener => {
+        // The inputs received by the canvas can change the content, so a new frame is requested (only needed when the loop draws on demand). The handlers return false for the ignored events
+        const handler = listener[2]
+        listener[2] = (e) => {
+            if (handler(e) !== false) cvs.loop.invalidate()
+        }
+    })
+    listeners.forEach(([target, type, listener, options]) => target.addEventListener(type, listener, options))
+    cvs._listeners = listeners
+
+    // The zoom label of the page shows the zoom of the default instance (the other canvases can listen to their own "zoom" event)
+    cvs.events.on("zoom", (zoom) => {
+        if (window.cvs === cvs) window.ui?.call("setZoomLabel", zoom)
+    })
 }
 
 
-export function unmountCanvas() {
+/**
+ * Removes the event listeners and stops the main loop of a canvas instance.
+ *
+ * If the instance is the default instance, the oldest instance still mounted becomes the default instance (`window.cvs` and `window.ctx` are cleared if there is none).
+ *
+ * @param {CanvasGlobals} cvs The instance to unmount (defaults to `window.cvs`)
+ */
+export function unmountCanvas(cvs = window.cvs) {
+    if (!cvs || !instances.has(cvs.$canvas)) return  // Already unmounted
+
     // Remove the event listeners
-    window.removeEventListener('mouseup', handleMouseUp)
-    window.removeEventListener('touchend', handleTouchEnd)
-    window.removeEventListener('resize', handleResize)
-    window.cvs.$canvas.removeEventListener('keydown', handleKeyDown)
-    window.cvs.$canvas.removeEventListener('keyup', handleKeyUp)
-
-    document.removeEventListener('mousemove', handleMouseMove)
-    document.removeEventListener('touchmove', handleTouchMove)
+    cvs._listeners.forEach(([target, type, listener, options]) => target.removeEventListener(type, listener, options))
+    cvs._listeners = []
+
+    // Stop the main loop
+    cvs.loop.stop()
+
+    // Stop the camera animations and the gestures
+    cvs.animator.cancel()
+    cvs.gestures.reset()
+
+    instances.delete(cvs.$canvas)
+    mounted.splice(mounted.indexOf(cvs), 1)
+
+    // Replace the default instance, so the functions called without an explicit instance keep working with the other canvases
+    if (window.cvs === cvs) setDefaultInstance(mounted[0])
+}
+
+// Stores an instance in `window.cvs` and `window.ctx` (clears them if the instance is undefined)
+function setDefaultInstance(cvs) {
+    window.cvs = cvs
+    window.ctx = cvs?.ctx
+    if (cvs) window.ui?.call("setZoomLabel", cvs.zoom)
 }
 
+
 /**
- * Runs the main loop of the application. This function will be called only once and will call the callback function on every frame.
- *      - This function will clean the canvas on every frame
- *      - The callback function will be called with no arguments
- *      - The function already does the requestAnimationFrame loop call
- * 
- * @param {Function} callback The function to be called on every frame
+ * Returns the instance associated with a canvas element, if it was set up.
+ *
+ * @param {HTMLCanvasElement} $canvas The canvas element
+ * @returns {CanvasGlobals} The instance of the canvas element (undefined if the canvas was not set up)
  */
-export function mainLoop(callback) {
-    // =========== Main drawing loop ===========
-    const loop = () => {
-        // Clean the canvas
-        window.cvs.clean()
-
-        // Draw all nodes
-        callback()
+export function getCanvasInstance($canvas) {
+    return instances.get($canvas)
+}
 
-        // Request the next frame
-        requestAnimationFrame(loop)
-    }
+/**
+ * Runs the main loop of the application. The callback function will be called on every frame.
+ *      - This function will clean the canvas and draw the grid (`cvs.grid`) and the scene (`cvs.scene`) on every frame
+ *      - The "frame" event is emitted after the callback, so other modules can draw on every frame too (`cvs.on("frame", (time, delta) => {...})`)
+ *      - The minimap (`cvs.minimap`) is drawn after the callback and the "frame" listeners
+ *      - The callback function will be called with the time of the frame and the time since the previous frame `(time, delta)` (ms)
+ *      - Pass `{update, draw}` instead of a function to add a fixed timestep update phase (see `utils/loop.js`)
+ *      - The loop is stopped when the instance is unmounted
+ *      - If the loop is already running, calling this function again only replaces the callbacks (e.g. when the `onDraw` prop of the `Canvas` component changes)
+ *
+ * The loop draws a frame on every animation frame by default. Set `cvs.loop.mode = "demand"` to draw only when something changes, and `cvs.loop.maxFps` to limit the frame rate.
+ *
+ * @param {Function|Object} callback The function to be called on every frame, or the callbacks `{update, draw}`
+ * @param {CanvasGlobals} cvs The instance to draw on (defaults to `window.cvs`)
+ * @returns {RenderLoop} The loop of the instance (`cvs.loop`), used to pause, resume or stop it and to request new frames with `invalidate()`
+ */
+export function mainLoop(callback, cvs = window.cvs) {
+    const { update = null, draw = null } = typeof callback === "function" ? { draw: callback } : callback
+    cvs.loop.update = update
+    cvs.loop.draw = draw  // Also used to draw the frame again when exporting
 
-    // Start the loop
-    loop()
-}
\ No newline at end of file
+    cvs.loop.start()
+    return cvs.loop
+}
@@ -0,0 +1,344 @@
+import constants from "./constants"
+import { getViewBox } from "./zoom"
+
+/**
+ * Spatial index of items with world bounds (a quadtree), used to find the items inside an area without checking all of them.
+ *
+ * The items can be any value (objects, ids, etc.) and each one has a bounding box `{x, y, width, height}` in world coordinates. Each item is stored in the smallest node of the tree that contains its bounds, so the items of any size can be indexed.
+ * The root of the tree grows to contain the items inserted outside of it, so the world doesn't have to be bounded.
+ *
+ * The bounds of an item can be updated when it moves with `update`: if the item stays in the same node, only its bounds are replaced; otherwise it is moved to its new node and the empty nodes are merged.
+ * The queries return the items in insertion order (e.g. the drawing order).
+ *
+ * See `visibleItems` and `nearestItem` for the queries relative to the view box and the mouse of a canvas instance.
+ *
+ * **Options**
+ * @property {Number} maxItems - Number of items a node can hold before it is split in four
+ * @property {Number} maxDepth - Maximum depth of the tree (the nodes at this depth are never split)
+ */
+export class SpatialIndex {
+    constructor({ maxItems = constants.SPATIAL_MAX_ITEMS, maxDepth = constants.SPATIAL_MAX_DEPTH } = {}) {
+        // --- Options ---
+        this.maxItems = maxItems
+        this.maxDepth = maxDepth
+
+        // --- State ---
+        this._root = null  // Root node `{x, y, size, depth, parent, items, children}` (square)
+        this._entries = new Map()  // Entries `{item, bounds, node, order}` indexed by their item
+        this._order = 0  // Counter used to keep the insertion order of the items
+    }
+
+    /**
+     * The number of items of the index.
+     */
+    get size() {
+        return this._entries.size
+    }
+
+
+    // --- Items ---
+
+    /**
+     * Adds an item to the index. If the item is already indexed, its bounds are updated.
+     *
+     * @param {any} item The item
+     * @param {Object} bounds The bounds of the item `{x, y, width, height}` (world coordinates)
+     * @throws {Error} If the bounds are not finite numbers
+     */
+    insert(item, bounds) {
+        if (this._entries.has(item)) return this.update(item, bounds)
+
+        const entry = { item, bounds: toItemBox(bounds), node: null, order: this._order++ }
+        this._entries.set(item, entry)
+        this._insertEntry(entry)
+    }
+
+    /**
+     * Updates the bounds of an item (e.g. after moving it). If the item is not indexed, it is added.
+     *
+     * @param {any} item The item
+     * @param {Object} bounds The new bounds of the item `{x, y, width, height}` (world coordinates)
+     * @throws {Error} If the bounds are not finite numbers
+     */
+    update(item, bounds) {
+        const entry = this._entries.get(item)
+        if (!entry) return this.insert(item, bounds)
+
+        const box = toItemBox(bounds)
+        const node = entry.node
+
+        // The item stays in its node if the node still contains it and none of its children can contain it
+        if (containsBox(node, box) && (!node.children || !getChildContaining(node, box))) {
+            entry.bounds = box
+            return
+        }
+
+        this._removeEntry(entry)
+        entry.bounds = box
+        this._insertEntry(entry)
+    }
+
+    /**
+     * Removes an item from the index.
+     *
+     * @param {any} item The item
+     * @returns {Boolean} True if the item was indexed
+     */
+    remove(item) {
+        const entry = this._entries.get(item)
+        if (!entry) return false
+
+        this._entries.delete(item)
+        this._removeEntry(entry)
+        return true
+    }
+
+    /**
+     * Removes all the items from the index.
+     */
+    clear() {
+        this._root = null
+        this._entries.clear()
+    }
+
+    /**
+     * Checks if an item is indexed.
+     *
+     * @param {any} item The item
+     * @returns {Boolean} True if the item is indexed
+     */
+    has(item) {
+        return this._entries.has(item)
+    }
+
+    /**
+     * Returns the bounds of an item.
+     *
+     * @param {any} item The item
+     * @returns {Object} The bounds `{x, y, width, height}` (null if the item is not indexed)
+     */
+    getBounds(item) {
+        const entry = this._entries.get(item)
+        if (!entry) return null
+
+        const { x, y, x2, y2 } = entry.bounds
+        return { x, y, width: x2 - x, height: y2 - y }
+    }
+
+
+    // --- Queries ---
+
+    /**
+     * Returns the items whose bounds intersect a rectangle.
+     *
+     * @param {Object} rect The rectangle `{x, y, width, height}` (world coordinates)
+     * @returns {Array} The items, in insertion order
+     */
+    query(rect) {
+        const box = toBox(rect)
+        const entries = []
+        this._visit(node => intersectsBox(node, box), entry => {
+            if (intersectsBox(entry.bounds, box)) entries.push(entry)
+        })
+        return sortEntries(entries)
+    }
+
+    /**
+     * Returns the items whose bounds contain a point.
+     *
+     * @param {Object} point The point `{x, y}` (world coordinates)
+     * @param {Number} tolerance Extra distance (world units) allowed between the point and the bounds
+     * @returns {Array} The items, in insertion order
+     */
+    queryPoint({ x, y }, tolerance = 0) {
+        return this.query({ x: x - tolerance, y: y - tolerance, width: tolerance * 2, height: tolerance * 2 })
+    }
+
+    /**
+     * Finds the item whose bounds are the closest to a point. The distance is 0 for the bounds that contain the point, and the last inserted item wins the ties (the topmost item if the items are drawn in insertion order).
+     *
+     * @param {Object} point The point `{x, y}` (world coordinates)
+     * @param {Number} maxDistance The maximum distance (world units) between the point and the bounds
+     * @param {Function} filter Optional function that returns false for the items that must be skipped `(item) => Boolean`
+     * @returns {any} The item (null if there is no item within the distance)
+     */
+    nearest({ x, y }, maxDistance = Infinity, filter = null) {
+        let best = null
+        let bestDistance = maxDistance
+
+        const visit = (node) => {
+            if (distanceToBox(x, y, node) > bestDistance) return
+
+            for (const entry of node.items) {
+                if (filter && !filter(entry.item)) continue
+
+                const distance = distanceToBox(x, y, entry.bounds)
+                if (distance < bestDistance || (distance === bestDistance && (!best || entry.order > best.order))) {
+                    best = entry
+                    bestDistance = distance
+                }
+            }
+
+            // The closest children are visited first, so the farther ones can be skipped
+            if (node.children) [...node.children].sort((a, b) => distanceToBox(x, y, a) - distanceToBox(x, y, b)).forEach(visit)
+        }
+        if (this._root) visit(this._root)
+
+        return best ? best.item : null
+    }
+
+
+    // --- Tree ---
+
+    _insertEntry(entry) {
+        const box = entry.bounds
+        if (!this._root) this._root = createNode(box.x, box.y, Math.max(box.x2 - box.x, box.y2 - box.y, 1) * 2, 0, null)
+        while (!containsBox(this._root, box)) this._growRoot(box)
+
+        // Descend to the smallest node that contains the bounds
+        let node = this._root
+        while (node.children) {
+            const child = getChildContaining(node, box)
+            if (!child) break
+            node = child
+        }
+
+        node.items.push(entry)
+        entry.node = node
+        if (!node.children && node.items.length > this.maxItems && node.depth < this.maxDepth) this._split(node)
+    }
+
+    _removeEntry(entry) {
+        const node = entry.node
+        node.items.splice(node.items.indexOf(entry), 1)
+        entry.node = null
+
+        // Merge the empty leaves into their parents
+        for (let parent = node.parent; parent && parent.children.every(isEmptyLeaf); parent = parent.parent) parent.children = null
+        if (this._root && isEmptyLeaf(this._root)) this._root = null
+    }
+
+    // Splits a node in four children and moves down the items that fit in one of them
+    _split(node) {
+        const half = node.size / 2
+        node.children = [
+            createNode(node.x, node.y, half, node.depth + 1, node),
+            createNode(node.x + half, node.y, half, node.depth + 1, node),
+            createNode(node.x, node.y + half, half, node.depth + 1, node),
+            createNode(node.x + half, node.y + half, half, node.depth + 1, node)
+        ]
+
+        const items = node.items
+        node.items = []
+        for (const entry of items) {
+            const child = getChildContaining(node, entry.bounds) || node
+            child.items.push(entry)
+            entry.node = child
+        }
+    }
+
+    // Doubles the size of the root towards some bounds outside of it (the old root becomes one of the children of the new root)
+    _growRoot(box) {
+        const root = this._root
+        const size = root.size
+        const left = box.x < root.x
+        const up = box.y < root.y
+        const x = left ? root.x - size : root.x
+        const y = up ? root.y - size : root.y
+        const grown = createNode(x, y, size * 2, 0, null)
+
+        // The quadrant of the old root is chosen by its index (comparing the coordinates could fail because of floating-point errors)
+        const rootIndex = (left ? 1 : 0) + (up ? 2 : 0)
+        grown.children = [0, 1, 2, 3].map(i => i === rootIndex ? root : createNode(x + (i % 2) * size, y + Math.floor(i / 2) * size, size, 1, grown))
+        root.parent = grown
+        this._visitNodes(root, node => node.depth++)
+        this._root = grown
+    }
+
+    // Calls `onEntry` for the entries of the nodes accepted by `acceptNode` (the children of the rejected nodes are skipped)
+    _visit(acceptNode, onEntry) {
+        this._visitNodes(this._root, node => {
+            if (!acceptNode(node)) return false
+            node.items.forEach(onEntry)
+        })
+    }
+
+    _visitNodes(node, callback) {
+        if (!node || callback(node) === false || !node.children) return
+        for (const child of node.children) this._visitNodes(child, callback)
+    }
+}
+
+
+/**
+ * Returns the items of a spatial index inside the view box of the canvas (viewport culling).
+ *
+ * @param {SpatialIndex} index The spatial index
+ * @param {Number} margin Extra distance (screen pixels) around the view box, so the items are drawn before they enter the canvas (e.g. their strokes or shadows)
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {Array} The visible items, in insertion order
+ */
+export function visibleItems(index, margin = constants.CLEAN_MARGIN, cvs = window.cvs) {
+    const { x, y, width, height } = getViewBox(cvs)
+    const worldMargin = margin / cvs.zoom
+    return index.query({ x: x - worldMargin, y: y - worldMargin, width: width + worldMargin * 2, height: height + worldMargin * 2 })
+}
+
+
+/**
+ * Returns the item of a spatial index closest to the mouse (e.g. to hit test the items drawn by the `mainLoop` callback).
+ *
+ * @param {SpatialIndex} index The spatial index
+ * @param {Number} maxDistance The maximum distance (screen pixels) between the mouse and the bounds of the item
+ * @param {Function} filter Optional function that returns false for the items that must be skipped `(item) => Boolean`
+ * @param {CanvasGlobals} cvs The canvas instance (defaults to `window.cvs`)
+ * @returns {any} The item (null if there is no item within the distance)
+ */
+export function nearestItem(index, maxDistance = constants.HIT_TOLERANCE, filter = null, cvs = window.cvs) {
+    return index.nearest({ x: cvs.x, y: cvs.y }, maxDistance / cvs.zoom, filter)
+}
+
+
+// ============== Utils ==============
+
+function createNode(x, y, size, depth, parent) {
+    return { x, y, size, x2: x + size, y2: y + size, depth, parent, items: [], children: null }
+}
+
+// Converts a rectangle `{x, y, width, height}` to a box `{x, y, x2, y2}` (the rectangles with a negative size are normalized)
+function toBox({ x, y, width = 0, height = 0 }) {
+    return { x: Math.min(x, x + width), y: Math.min(y, y + height), x2: Math.max(x, x + width), y2: Math.max(y, y + height) }
+}
+
+// Converts the bounds of an item to a box, checking that they are finite (the tree can't contain the bounds with NaN or infinite coordinates)
+function toItemBox(bounds) {
+    const box = toBox(bounds)
+    if (![box.x, box.y, box.x2, box.y2].every(Number.isFinite)) throw new Error(`Invalid bounds: {x: ${bounds.x}, y: ${bounds.y}, width: ${bounds.width}, height: ${bounds.height}}`)
+    return box
+}
+
+function containsBox(outer, inner) {
+    return inner.x >= outer.x && inner.y >= outer.y && inner.x2 <= outer.x2 && inner.y2 <= outer.y2
+}
+
+function intersectsBox(a, b) {
+    return a.x <= b.x2 && a.x2 >= b.x && a.y <= b.y2 && a.y2 >= b.y
+}
+
+function getChildContaining(node, box) {
+    return node.children.find(child => containsBox(child, box)) || null
+}
+
+function isEmptyLeaf(node) {
+    return !node.children && node.items.length === 0
+}
+
+function distanceToBox(x, y, box) {
+    const dx = Math.max(box.x - x, 0, x - box.x2)
+    const dy = Math.max(box.y - y, 0, y - box.y2)
+    return Math.hypot(dx, dy)
+}
+
+function sortEntries(entries) {
+    return entries.sort((a, b) => a.order - b.order).map(entry => entry.item)
+}
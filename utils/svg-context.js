@@ -0,0 +1,591 @@
+/**
+ * Context that records the calls of the 2D canvas API and converts them into an SVG document.
+ *
+ * It implements the most common part of the `CanvasRenderingContext2D` API (transforms, paths, fills, strokes, texts, images, gradients, clipping and line dashes), so the same drawing code used for the canvas can be exported as vector graphics.
+ * The calls that cannot be represented in SVG (e.g. `clearRect`, patterns, filters) are ignored.
+ *
+ * Paths are stored in device coordinates (the transform is applied when the points are added, like the canvas does), and are converted back to the coordinates of the current transform when they are filled or stroked, so the line widths are scaled properly.
+ *
+ * `Path2D` objects can't be read, so while the recording context is in use `RecordingPath` should replace the global `Path2D` (see `withRecordingPaths`).
+ */
+export class SVGRecordingContext {
+    constructor(width, height) {
+        this.canvas = { width, height }
+
+        this._state = createState()
+        this._stack = []
+        this._path = new PathBuilder(() => this._state.matrix)
+        this._elements = []  // SVG elements drawn
+        this._defs = []  // SVG definitions (gradients and clip paths)
+        this._ids = 0
+        this._measureCtx = null  // Context used to measure the texts
+    }
+
+
+    // --- Styles ---
+
+    get fillStyle() { return this._state.fillStyle }
+    set fillStyle(value) { this._state.fillStyle = value }
+    get strokeStyle() { return this._state.strokeStyle }
+    set strokeStyle(value) { this._state.strokeStyle = value }
+    get lineWidth() { return this._state.lineWidth }
+    set lineWidth(value) { this._state.lineWidth = value }
+    get lineCap() { return this._state.lineCap }
+    set lineCap(value) { this._state.lineCap = value }
+    get lineJoin() { return this._state.lineJoin }
+    set lineJoin(value) { this._state.lineJoin = value }
+    get miterLimit() { return this._state.miterLimit }
+    set miterLimit(value) { this._state.miterLimit = value }
+    get lineDashOffset() { return this._state.lineDashOffset }
+    set lineDashOffset(value) { this._state.lineDashOffset = value }
+    get globalAlpha() { return this._state.globalAlpha }
+    set globalAlpha(value) { this._state.globalAlpha = value }
+    get font() { return this._state.font }
+    set font(value) { this._state.font = value }
+    get textAlign() { return this._state.textAlign }
+    set textAlign(value) { this._state.textAlign = value }
+    get textBaseline() { return this._state.textBaseline }
+    set textBaseline(value) { this._state.textBaseline = value }
+
+    setLineDash(segments) { this._state.lineDash = [...segments] }
+    getLineDash() { return [...this._state.lineDash] }
+
+    createLinearGradient(x0, y0, x1, y1) {
+        return new RecordingGradient("linearGradient", { x1: x0, y1: y0, x2: x1, y2: y1 })
+    }
+
+    createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        return new RecordingGradient("radialGradient", { fx: x0, fy: y0, fr: r0, cx: x1, cy: y1, r: r1 })
+    }
+
+
+    // --- State ---
+
+    save() {
+        this._stack.push(this._state)
+        this._state = { ...this._state, matrix: [...this._state.matrix], lineDash: [...this._state.lineDash] }
+    }
+
+    restore() {
+        if (this._stack.length) this._state = this._stack.pop()
+    }
+
+
+    // --- Transforms ---
+
+    transform(a, b, c, d, e, f) {
+        this._state.matrix = multiply(this._state.matrix, [a, b, c, d, e, f])
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        // setTransform(DOMMatrix)
+        if (typeof a === "object") ({ a, b, c, d, e, f } = a)
+        this._state.matrix = [a, b, c, d, e, f]
+    }
+
+    resetTransform() { this.setTransform(1, 0, 0, 1, 0, 0) }
+    translate(x, y) { this.transform(1, 0, 0, 1, x, y) }
+    scale(x, y) { this.transform(x, 0, 0, y, 0, 0) }
+
+    rotate(angle) {
+        const cos = Math.cos(angle)
+        const sin = Math.sin(angle)
+        this.transform(cos, sin, -sin, cos, 0, 0)
+    }
+
+    getTransform() {
+        const [a, b, c, d, e, f] = this._state.matrix
+        return typeof DOMMatrix !== "undefined" ? new DOMMatrix([a, b, c, d, e, f]) : { a, b, c, d, e, f }
+    }
+
+
+    // --- Paths ---
+
+    beginPath() { this._path = new PathBuilder(() => this._state.matrix) }
+    closePath() { this._path.closePath() }
+    moveTo(x, y) { this._path.moveTo(x, y) }
+    lineTo(x, y) { this._path.lineTo(x, y) }
+    bezierCurveTo(...args) { this._path.bezierCurveTo(...args) }
+    quadraticCurveTo(...args) { this._path.quadraticCurveTo(...args) }
+    arc(...args) { this._path.arc(...args) }
+    arcTo(...args) { this._path.arcTo(...args) }
+    ellipse(...args) { this._path.ellipse(...args) }
+    rect(...args) { this._path.rect(...args) }
+    roundRect(...args) { this._path.roundRect(...args) }
+
+    fill(path, fillRule) {
+        if (typeof path === "string" || path === undefined) [path, fillRule] = [this._path, path]
+        this._drawPath(path, { fill: true, fillRule })
+    }
+
+    stroke(path = this._path) {
+        this._drawPath(path, { stroke: true })
+    }
+
+    clip(path, fillRule) {
+        if (typeof path === "string" || path === undefined) [path, fillRule] = [this._path, path]
+
+        const id = this._id("clip")
+        const d = path.toLocal(this._state.matrix)
+        const parent = this._state.clip ? ` clip-path="url(#${this._state.clip})"` : ""
+        this._defs.push(`<clipPath id="${id}"${parent}><path d="${d}"${this._transformAttr()}${fillRule === "evenodd" ? ' clip-rule="evenodd"' : ""}/></clipPath>`)
+        this._state.clip = id
+    }
+
+    isPointInPath() { return false }
+    isPointInStroke() { return false }
+
+
+    // --- Rectangles ---
+
+    fillRect(x, y, width, height) {
+        const path = new PathBuilder()
+        path.rect(x, y, width, height)
+        this._drawPath(path, { fill: true })
+    }
+
+    strokeRect(x, y, width, height) {
+        const path = new PathBuilder()
+        path.rect(x, y, width, height)
+        this._drawPath(path, { stroke: true })
+    }
+
+    clearRect() {}  // Nothing can be cleared in the SVG document
+
+
+    // --- Texts ---
+
+    fillText(text, x, y) { this._drawText(text, x, y, "fill") }
+    strokeText(text, x, y) { this._drawText(text, x, y, "stroke") }
+
+    measureText(text) {
+        if (!this._measureCtx) this._measureCtx = document.createElement("canvas").getContext("2d")
+        this._measureCtx.font = this._state.font
+        this._measureCtx.textAlign = this._state.textAlign
+        this._measureCtx.textBaseline = this._state.textBaseline
+        return this._measureCtx.measureText(text)
+    }
+
+
+    // --- Images ---
+
+    drawImage(image, ...args) {
+        let sx = 0, sy = 0, sw = image.width, sh = image.height
+        let dx, dy, dw = image.width, dh = image.height
+        if (args.length === 2) [dx, dy] = args
+        else if (args.length === 4) [dx, dy, dw, dh] = args
+        else [sx, sy, sw, sh, dx, dy, dw, dh] = args
+
+        const href = getImageURL(image, sx, sy, sw, sh)
+        if (!href) return
+
+        this._push(`<image href="${escape(href)}" x="${dx}" y="${dy}" width="${dw}" height="${dh}" preserveAspectRatio="none"${this._transformAttr()}${this._opacityAttr()}/>`)
+    }
+
+
+    // --- SVG ---
+
+    /**
+     * Returns the SVG document containing all the recorded drawings.
+     *
+     * @returns {String} The SVG markup
+     */
+    toSVG() {
+        const { width, height } = this.canvas
+        const defs = this._defs.length ? `<defs>${this._defs.join("")}</defs>` : ""
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${defs}${this._elements.join("")}</svg>`
+    }
+
+
+    // --- Utils ---
+
+    _drawPath(path, { fill = false, stroke = false, fillRule }) {
+        // The path is drawn in the coordinates of the current transform (so the stroke is scaled by the transform)
+        const d = path.toLocal(this._state.matrix)
+        if (!d) return
+
+        const attrs = [`d="${d}"`, this._transformAttr().trim()]
+        if (fill) {
+            attrs.push(`fill="${this._paint(this._state.fillStyle)}"`, `stroke="none"`)
+            if (fillRule === "evenodd") attrs.push(`fill-rule="evenodd"`)
+        } else attrs.push(`fill="none"`, ...this._strokeAttrs())
+
+        this._push(`<path ${attrs.filter(Boolean).join(" ")}${this._opacityAttr()}/>`)
+    }
+
+    _drawText(text, x, y, mode) {
+        const { font, textAlign, textBaseline, fillStyle } = this._state
+        const attrs = [
+            `x="${x}"`, `y="${y}"`,
+            `style="font: ${escape(font)}; white-space: pre"`,
+            `text-anchor="${TEXT_ANCHORS[textAlign] || "start"}"`,
+            `dominant-baseline="${TEXT_BASELINES[textBaseline] || "alphabetic"}"`,
+            this._transformAttr().trim()
+        ]
+        if (mode === "fill") attrs.push(`fill="${this._paint(fillStyle)}"`)
+        else attrs.push(`fill="none"`, ...this._strokeAttrs())
+
+        this._push(`<text ${attrs.filter(Boolean).join(" ")}${this._opacityAttr()}>${escape(String(text))}</text>`)
+    }
+
+    _strokeAttrs() {
+        const s = this._state
+        const attrs = [
+            `stroke="${this._paint(s.strokeStyle)}"`,
+            `stroke-width="${s.lineWidth}"`,
+            `stroke-linecap="${s.lineCap}"`,
+            `stroke-linejoin="${s.lineJoin}"`,
+            `stroke-miterlimit="${s.miterLimit}"`
+        ]
+        if (s.lineDash.length) attrs.push(`stroke-dasharray="${s.lineDash.join(" ")}"`, `stroke-dashoffset="${s.lineDashOffset}"`)
+        return attrs
+    }
+
+    // Converts a fill/stroke style into a SVG paint
+    _paint(style) {
+        if (style instanceof RecordingGradient) {
+            const id = this._id("gradient")
+            this._defs.push(style.toSVG(id))
+            return `url(#${id})`
+        }
+        return typeof style === "string" ? escape(style) : "none"
+    }
+
+    _transformAttr() {
+        const m = this._state.matrix
+        if (m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1 && m[4] === 0 && m[5] === 0) return ""
+        return ` transform="matrix(${m.map(round).join(" ")})"`
+    }
+
+    _opacityAttr() {
+        return this._state.globalAlpha < 1 ? ` opacity="${this._state.globalAlpha}"` : ""
+    }
+
+    // Adds an element to the document, clipped by the current clip path (the clip paths include the transform of the moment they were defined)
+    _push(element) {
+        if (this._state.clip) element = `<g clip-path="url(#${this._state.clip})">${element}</g>`
+        this._elements.push(element)
+    }
+
+    _id(prefix) {
+        return `${prefix}-${this._ids++}`
+    }
+}
+
+
+/**
+ * Path that records its commands. It replaces `Path2D` while drawing on a `SVGRecordingContext`.
+ *
+ * The commands are stored without transform (the transform of the context is applied when the path is filled or stroked).
+ */
+export class RecordingPath {
+    constructor(path) {
+        this._builder = new PathBuilder()
+
+        if (typeof path === "string") this._builder.raw = path  // SVG path data
+        else if (path instanceof RecordingPath) this.addPath(path)
+    }
+
+    addPath(path, matrix) {
+        const m = matrix ? [matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f] : [1, 0, 0, 1, 0, 0]
+        this._builder.append(path._builder, m)
+    }
+
+    closePath() { this._builder.closePath() }
+    moveTo(x, y) { this._builder.moveTo(x, y) }
+    lineTo(x, y) { this._builder.lineTo(x, y) }
+    bezierCurveTo(...args) { this._builder.bezierCurveTo(...args) }
+    quadraticCurveTo(...args) { this._builder.quadraticCurveTo(...args) }
+    arc(...args) { this._builder.arc(...args) }
+    arcTo(...args) { this._builder.arcTo(...args) }
+    ellipse(...args) { this._builder.ellipse(...args) }
+    rect(...args) { this._builder.rect(...args) }
+    roundRect(...args) { this._builder.roundRect(...args) }
+
+    toLocal(matrix) { return this._builder.toLocal(matrix) }
+}
+
+
+/**
+ * Runs a function replacing the global `Path2D` with `RecordingPath`, so the paths created by the drawing code can be recorded.
+ *
+ * @param {Function} callback The function to run
+ */
+export function withRecordingPaths(callback) {
+    const Path2D = globalThis.Path2D
+    globalThis.Path2D = RecordingPath
+    try {
+        callback()
+    } finally {
+        globalThis.Path2D = Path2D
+    }
+}
+
+
+// ============== Paths ==============
+
+/**
+ * Stores the commands of a path (M, L, C, Z).
+ * - With `getMatrix`, the points are stored in device coordinates, applying the matrix returned by `getMatrix` when they are added (paths of the context)
+ * - Without it, the points are stored as they are received (`Path2D` paths and rectangles), and the transform is applied when they are drawn
+ *
+ * Arcs and quadratic curves are converted into cubic bezier curves, so the path can be transformed with any matrix.
+ */
+class PathBuilder {
+    constructor(getMatrix = null) {
+        this.device = getMatrix !== null
+        this.getMatrix = getMatrix || (() => [1, 0, 0, 1, 0, 0])
+        this.commands = []
+        this.raw = null  // SVG path data (paths created from a string)
+        this.current = null  // Current point (device coordinates)
+        this.start = null  // Start point of the current subpath (device coordinates)
+    }
+
+    moveTo(x, y) {
+        const p = apply(this.getMatrix(), x, y)
+        this.commands.push(["M", ...p])
+        this.current = this.start = p
+    }
+
+    lineTo(x, y) {
+        if (!this.current) return this.moveTo(x, y)
+        const p = apply(this.getMatrix(), x, y)
+        this.commands.push(["L", ...p])
+        this.current = p
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if (!this.current) this.moveTo(cp1x, cp1y)
+        const m = this.getMatrix()
+        const p = apply(m, x, y)
+        this.commands.push(["C", ...apply(m, cp1x, cp1y), ...apply(m, cp2x, cp2y), ...p])
+        this.current = p
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this.current) this.moveTo(cpx, cpy)
+        // Convert the quadratic curve into a cubic curve (using the current point in local coordinates)
+        const [x0, y0] = apply(invert(this.getMatrix()), ...this.current)
+        this.bezierCurveTo(x0 + 2 / 3 * (cpx - x0), y0 + 2 / 3 * (cpy - y0), x + 2 / 3 * (cpx - x), y + 2 / 3 * (cpy - y), x, y)
+    }
+
+    closePath() {
+        if (!this.current) return
+        this.commands.push(["Z"])
+        this.current = this.start
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y)
+        this.lineTo(x + width, y)
+        this.lineTo(x + width, y + height)
+        this.lineTo(x, y + height)
+        this.closePath()
+    }
+
+    roundRect(x, y, width, height, radii = 0) {
+        const r = Math.min(Array.isArray(radii) ? radii[0] || 0 : radii, Math.abs(width) / 2, Math.abs(height) / 2)
+        this.moveTo(x + r, y)
+        this.lineTo(x + width - r, y)
+        this.arc(x + width - r, y + r, r, -Math.PI / 2, 0)
+        this.lineTo(x + width, y + height - r)
+        this.arc(x + width - r, y + height - r, r, 0, Math.PI / 2)
+        this.lineTo(x + r, y + height)
+        this.arc(x + r, y + height - r, r, Math.PI / 2, Math.PI)
+        this.lineTo(x, y + r)
+        this.arc(x + r, y + r, r, Math.PI, Math.PI * 3 / 2)
+        this.closePath()
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise)
+    }
+
+    ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+        // Angle covered by the arc (canvas rules)
+        const TAU = 2 * Math.PI
+        let sweep
+        if (!counterclockwise) sweep = endAngle - startAngle >= TAU ? TAU : ((endAngle - startAngle) % TAU + TAU) % TAU
+        else sweep = startAngle - endAngle >= TAU ? -TAU : -(((startAngle - endAngle) % TAU + TAU) % TAU)
+
+        const cos = Math.cos(rotation)
+        const sin = Math.sin(rotation)
+        const point = (angle) => {
+            const px = radiusX * Math.cos(angle)
+            const py = radiusY * Math.sin(angle)
+            return [x + px * cos - py * sin, y + px * sin + py * cos]
+        }
+        const tangent = (angle, k) => {
+            const tx = -radiusX * Math.sin(angle) * k
+            const ty = radiusY * Math.cos(angle) * k
+            return [tx * cos - ty * sin, tx * sin + ty * cos]
+        }
+
+        // Connect the previous point with the start of the arc
+        const [sx, sy] = point(startAngle)
+        if (this.current) this.lineTo(sx, sy)
+        else this.moveTo(sx, sy)
+
+        // Approximate the arc with cubic bezier curves of 90 degrees at most
+        const segments = Math.ceil(Math.abs(sweep) / (Math.PI / 2))
+        const delta = sweep / segments
+        const k = 4 / 3 * Math.tan(delta / 4)
+        for (let i = 0; i < segments; i++) {
+            const a0 = startAngle + i * delta
+            const a1 = a0 + delta
+            const [x0, y0] = point(a0)
+            const [x1, y1] = point(a1)
+            const [t0x, t0y] = tangent(a0, k)
+            const [t1x, t1y] = tangent(a1, k)
+            this.bezierCurveTo(x0 + t0x, y0 + t0y, x1 - t1x, y1 - t1y, x1, y1)
+        }
+    }
+
+    arcTo(x1, y1, x2, y2, radius) {
+        if (!this.current) this.moveTo(x1, y1)
+        const [x0, y0] = apply(invert(this.getMatrix()), ...this.current)
+
+        // Unit vectors from the corner to both points
+        const v0 = [x0 - x1, y0 - y1]
+        const v2 = [x2 - x1, y2 - y1]
+        const l0 = Math.hypot(...v0)
+        const l2 = Math.hypot(...v2)
+        const cross = v0[0] * v2[1] - v0[1] * v2[0]
+        if (radius === 0 || l0 === 0 || l2 === 0 || cross === 0) return this.lineTo(x1, y1)
+
+        // Angle between the lines and distance from the corner to the tangent points
+        const angle = Math.acos((v0[0] * v2[0] + v0[1] * v2[1]) / (l0 * l2))
+        const distance = radius / Math.tan(angle / 2)
+        const t0 = [x1 + v0[0] / l0 * distance, y1 + v0[1] / l0 * distance]
+        const t2 = [x1 + v2[0] / l2 * distance, y1 + v2[1] / l2 * distance]
+
+        // Center of the arc
+        const bisector = [v0[0] / l0 + v2[0] / l2, v0[1] / l0 + v2[1] / l2]
+        const lb = Math.hypot(...bisector)
+        const centerDistance = Math.hypot(distance, radius)
+        const cx = x1 + bisector[0] / lb * centerDistance
+        const cy = y1 + bisector[1] / lb * centerDistance
+
+        const start = Math.atan2(t0[1] - cy, t0[0] - cx)
+        const end = Math.atan2(t2[1] - cy, t2[0] - cx)
+        this.lineTo(...t0)
+        this.arc(cx, cy, radius, start, end, cross > 0)
+    }
+
+    append(builder, matrix) {
+        for (const [type, ...points] of builder.commands) {
+            const transformed = []
+            for (let i = 0; i < points.length; i += 2) transformed.push(...apply(multiply(this.getMatrix(), matrix), points[i], points[i + 1]))
+            this.commands.push([type, ...transformed])
+        }
+        this.current = builder.current && apply(multiply(this.getMatrix(), matrix), ...builder.current)
+    }
+
+    // Returns the SVG path data in the coordinates of the given transform (device paths are converted back by reverting the matrix)
+    toLocal(matrix) {
+        if (this.raw !== null) return this.raw
+        return this._toSVG(this.device ? invert(matrix) : [1, 0, 0, 1, 0, 0])
+    }
+
+    _toSVG(matrix) {
+        return this.commands.map(([type, ...points]) => {
+            const transformed = []
+            for (let i = 0; i < points.length; i += 2) transformed.push(...apply(matrix, points[i], points[i + 1]).map(round))
+            return type + transformed.join(" ")
+        }).join("")
+    }
+}
+
+
+/**
+ * Gradient created by a `SVGRecordingContext`.
+ */
+class RecordingGradient {
+    constructor(type, attrs) {
+        this.type = type
+        this.attrs = attrs
+        this.stops = []
+    }
+
+    addColorStop(offset, color) {
+        this.stops.push({ offset, color })
+    }
+
+    toSVG(id) {
+        const attrs = Object.entries(this.attrs).map(([k, v]) => `${k}="${v}"`).join(" ")
+        const stops = this.stops.map(s => `<stop offset="${s.offset}" stop-color="${escape(s.color)}"/>`).join("")
+        return `<${this.type} id="${id}" gradientUnits="userSpaceOnUse" ${attrs}>${stops}</${this.type}>`
+    }
+}
+
+
+// ============== Utils ==============
+
+const TEXT_ANCHORS = { left: "start", start: "start", center: "middle", right: "end", end: "end" }
+const TEXT_BASELINES = { top: "text-before-edge", hanging: "hanging", middle: "central", alphabetic: "alphabetic", ideographic: "ideographic", bottom: "text-after-edge" }
+
+function createState() {
+    return {
+        matrix: [1, 0, 0, 1, 0, 0],
+        fillStyle: "#000000",
+        strokeStyle: "#000000",
+        lineWidth: 1,
+        lineCap: "butt",
+        lineJoin: "miter",
+        miterLimit: 10,
+        lineDash: [],
+        lineDashOffset: 0,
+        globalAlpha: 1,
+        font: "10px sans-serif",
+        textAlign: "start",
+        textBaseline: "alphabetic",
+        clip: null
+    }
+}
+
+// Matrices are stored as [a, b, c, d, e, f] like the canvas API
+function multiply(m1, m2) {
+    const [a1, b1, c1, d1, e1, f1] = m1
+    const [a2, b2, c2, d2, e2, f2] = m2
+    return [
+        a1 * a2 + c1 * b2,
+        b1 * a2 + d1 * b2,
+        a1 * c2 + c1 * d2,
+        b1 * c2 + d1 * d2,
+        a1 * e2 + c1 * f2 + e1,
+        b1 * e2 + d1 * f2 + f1
+    ]
+}
+
+function invert(m) {
+    const [a, b, c, d, e, f] = m
+    const det = a * d - b * c
+    if (det === 0) return [1, 0, 0, 1, 0, 0]
+    return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det]
+}
+
+function apply(m, x, y) {
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]]
+}
+
+function round(n) {
+    return Math.round(n * 1000) / 1000
+}
+
+function escape(string) {
+    return String(string).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+}
+
+// Returns the data URL of an image (or a region of it)
+function getImageURL(image, sx, sy, sw, sh) {
+    try {
+        const $canvas = document.createElement("canvas")
+        $canvas.width = sw
+        $canvas.height = sh
+        $canvas.getContext("2d").drawImage(image, sx, sy, sw, sh, 0, 0, sw, sh)
+        return $canvas.toDataURL()
+    } catch {
+        // Tainted images can't be read, use their source instead
+        return image.src || null
+    }
+}
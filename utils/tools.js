@@ -0,0 +1,223 @@
+import { startPanning, stopPanning } from "./pan"
+
+// Method of the tools called for each input event
+const HANDLERS = {
+    pointerdown: "onPointerDown",
+    pointermove: "onPointerMove",
+    pointerup: "onPointerUp",
+    wheel: "onWheel",
+    keydown: "onKeyDown",
+    keyup: "onKeyUp",
+}
+
+/**
+ * Built-in tools.
+ * - `select`: The default tool. The pointer interacts with the scene objects and, if the selection tool is enabled (`cvs.selection.enabled`), drags selections
+ * - `pan`: Dragging with the left button pans the canvas. It is also activated temporarily while the pan key is held
+ *
+ * The "draw" tool is registered by the ink (see `utils/ink.js`).
+ */
+const BUILTIN_TOOLS = {
+    select: {
+        cursor: "default"
+    },
+    pan: {
+        cursor: "grab",  // "grabbing" while panning (see `getCursor`)
+        onPointerDown: (button, point, pointer, cvs) => {
+            if (button !== 0) return false
+            startPanning(cvs)
+            return true
+        },
+        onPointerUp: (button, point, pointer, cvs) => {
+            if (!cvs.panning) return false
+            stopPanning(cvs)
+            return true
+        }
+    },
+}
+
+/**
+ * Tools of a canvas instance (`cvs.tools`): the mode that receives the input of the canvas and sets its cursor.
+ *
+ * A tool is a plain object with the following optional properties:
+ * - `cursor`: The CSS cursor of the canvas while the tool is active, or a function that returns it `(cvs) => cursor`
+ * - `shortcut`: Shortcut that activates the tool (see `utils/keymap.js`, e.g. "v" or "Mod+Shift+P")
+ * - `onActivate(cvs)` and `onDeactivate(cvs)`: Called when the tool becomes active or stops being active
+ * - `onPointerDown(button, {x, y}, pointer, cvs)`, `onPointerMove(e, {x, y}, pointer, cvs)`, `onPointerUp(button, {x, y}, pointer, cvs)`, `onWheel(deltaY, {x, y}, cvs)`, `onKeyDown(code, {x, y}, cvs)` and `onKeyUp(code, {x, y}, cvs)`: Input handlers, called with the same arguments as the events (see `on` in `utils/globals.js`) followed by the instance
+ *
+ * The handlers of the active tool are part of the default actions of the events: they run after the HUD, the minimap and the pan key or mouse button (which take precedence over any tool), and before the scene objects, the selection, the wheel zoom and the shortcuts.
+ * A handler that returns true consumes the event, so the rest of the default actions and the listeners with a priority of 0 or less (like the callbacks) are skipped.
+ *
+ * A tool can be activated temporarily with `override` (e.g. the "pan" tool while the pan key is held) and the previous tool is restored with `restore`.
+ * The cursor is only changed on the canvas element, and it's "grabbing" while the canvas is being panned (or a resize cursor over the guides).
+ */
+export class ToolManager {
+    constructor(cvs) {
+        this.cvs = cvs
+
+        // --- State ---
+        this._tools = new Map()  // Registered tools indexed by their name
+        this._current = "select"  // Name of the tool selected with `use`
+        this._overrides = []  // Names of the temporary tools (the last one is active)
+        this._cursor = null  // Cursor applied to the canvas element
+
+        for (const [name, tool] of Object.entries(BUILTIN_TOOLS)) this.register(name, { ...tool })
+    }
+
+    /**
+     * The name of the active tool (the last temporary tool, or the tool selected with `use`).
+     */
+    get activeName() {
+        return this._overrides.at(-1) ?? this._current
+    }
+
+    /**
+     * The active tool.
+     */
+    get active() {
+        return this._tools.get(this.activeName)
+    }
+
+    /**
+     * The name of the tool selected with `use` (the tool restored when the temporary tools are released).
+     */
+    get current() {
+        return this._current
+    }
+
+
+    // --- Tools ---
+
+    /**
+     * Registers a tool.
+     *
+     * @param {String} name The name of the tool
+     * @param {Object} tool The tool (see the description of the class)
+     * @returns {Object} The tool
+     * @throws {Error} If there is already a tool with the same name
+     */
+    register(name, tool) {
+        if (this._tools.has(name)) throw new Error(`Duplicate tool name: ${name}`)
+
+        this._tools.set(name, tool)
+        if (tool.shortcut) this.cvs.keymap.bind(tool.shortcut, () => this.use(name), { id: `tool:${name}`, description: `Use the ${name} tool` })
+        return tool
+    }
+
+    /**
+     * Removes a tool. If it is active, the "select" tool is activated.
+     *
+     * @param {String} name The name of the tool
+     * @returns {Boolean} True if the tool existed
+     */
+    unregister(name) {
+        if (!this._tools.has(name)) return false
+
+        if (this._overrides.includes(name)) this.restore(name)
+        if (this._current === name) this.use("select")
+        if (this._tools.get(name).shortcut) this.cvs.keymap.unbind(`tool:${name}`)
+        this._tools.delete(name)
+        return true
+    }
+
+    /**
+     * Returns a registered tool.
+     *
+     * @param {String} name The name of the tool
+     * @returns {Object} The tool (undefined if it doesn't exist)
+     */
+    get(name) {
+        return this._tools.get(name)
+    }
+
+    /**
+     * Selects the tool that receives the input.
+     *
+     * @param {String} name The name of the tool
+     * @throws {Error} If the tool doesn't exist
+     */
+    use(name) {
+        this._change(() => this._current = name, name)
+    }
+
+    /**
+     * Activates a tool temporarily, on top of the selected tool (e.g. while a key is held). Activating the same tool again has no effect.
+     *
+     * @param {String} name The name of the tool
+     * @throws {Error} If the tool doesn't exist
+     */
+    override(name) {
+        if (this._overrides.at(-1) === name) return
+        this._change(() => this._overrides.push(name), name)
+    }
+
+    /**
+     * Releases a temporary tool, restoring the tool that was active before it.
+     *
+     * @param {String} name The name of the temporary tool (the last one if omitted)
+     */
+    restore(name = this._overrides.at(-1)) {
+        const index = this._overrides.lastIndexOf(name)
+        if (index === -1) return
+        this._change(() => this._overrides.splice(index, 1))
+    }
+
+    // Applies a change of the tools, notifying the tools and the listeners if the active tool changes
+    _change(apply, name) {
+        if (name !== undefined && !this._tools.has(name)) throw new Error(`Unknown tool: ${name}`)
+
+        const previousName = this.activeName
+        const previous = this.active
+        apply()
+        if (this.activeName === previousName) return
+
+        previous?.onDeactivate?.(this.cvs)
+        this.active.onActivate?.(this.cvs)
+        this.updateCursor()
+        this.cvs.events.emit("toolchange", this.activeName, previousName)
+    }
+
+
+    // --- Input ---
+
+    /**
+     * Sends an input event to the active tool (used by the default actions of the events).
+     *
+     * @param {String} type The type of the event: "pointerdown", "pointermove", "pointerup", "wheel", "keydown" or "keyup"
+     * @param {...any} args The arguments of the event (without the `CanvasEvent`)
+     * @returns {Boolean} True if the tool consumed the event
+     */
+    handle(type, ...args) {
+        const handler = this.active?.[HANDLERS[type]]
+        return handler ? Boolean(handler(...args, this.cvs)) : false
+    }
+
+
+    // --- Cursor ---
+
+    /**
+     * Returns the cursor of the canvas: "grabbing" while panning, a resize cursor over the guides (see `utils/rulers.js`), or the cursor of the active tool.
+     *
+     * @returns {String} The CSS cursor
+     */
+    getCursor() {
+        if (this.cvs.panning) return "grabbing"
+
+        const guideCursor = this.cvs.rulers.getCursor()
+        if (guideCursor) return guideCursor
+
+        const cursor = this.active?.cursor
+        return (typeof cursor === "function" ? cursor(this.cvs) : cursor) || "default"
+    }
+
+    /**
+     * Applies the cursor to the canvas element (called when the tool or the panning state changes, and on every pointer move for the cursors that are functions).
+     */
+    updateCursor() {
+        const cursor = this.getCursor()
+        if (cursor === this._cursor) return
+
+        this._cursor = cursor
+        this.cvs.$canvas.style.cursor = cursor
+    }
+}
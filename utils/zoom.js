@@ -1,39 +1,51 @@
 import { panBy } from "./pan"
+import { getViewportState } from "./history"
+import { screenToWorld, worldToScreen } from "./camera"
 
 /**
  * Zooms the canvas by a given factor. 
  * 
  * The zoom is applied relative to the current zoom level. e.g. if the current zoom level is 2 and the zoom factor is 2, the new zoom level will be 4.
  * 
+ * The zoom is limited by the constraints of the instance (see `cvs.constraints`), and the view box is moved back inside the pan bounds if needed.
+ * The change is recorded in the command history of the instance if `cvs.history.recordViewport` is enabled, and the "zoom" event is emitted `(zoom, previousZoom)`.
+ * 
  * @param {Number} zoomFactor The factor by which the canvas should be zoomed relative to the current zoom level.
+ * @param {CanvasGlobals} cvs The canvas instance to zoom (defaults to `window.cvs`).
  */
-export function zoomBy(zoomFactor){
-    const {x, y, x2, y2} = getViewBox()
+export function zoomBy(zoomFactor, cvs = window.cvs){
+    const before = getViewportState(cvs)
 
-    // Calculate the position of the mouse relative to the canvas HTML element currently in the view (let's say the mouse is at the center, then this value will be 0.5, if it's at the most right, it will be 1, etc.)
-    const userXRatio = (window.cvs.x - x)/(x2-x)  // Ratio of the user's x position relative to the visible canvas
-    const userYRatio = (window.cvs.y - y)/(y2-y)  // Ratio of the user's y position relative to the visible canvas
+    // Respect the zoom limits
+    zoomFactor = cvs.constraints.constrainZoom(cvs.zoom * zoomFactor) / cvs.zoom
 
-    // Apply the zoom (we need to revert the canvas position since the zoom is applied from the coord (0, 0) of the canvas)
-    window.ctx.translate(x, y) // Reset the canvas position
-    window.ctx.scale(zoomFactor, zoomFactor) // Apply the zoom
-    window.ctx.translate(-x, -y) // Apply again the canvas position
+    // Position of the mouse relative to the canvas HTML element (it doesn't move on the screen while zooming)
+    const mouse = worldToScreen({x: cvs.x, y: cvs.y}, cvs)
 
-    // Update the zoom level
-    window.cvs.zoom = window.cvs.zoom * zoomFactor
+    // Update the zoom level, keeping the top-left corner of the view box (the transform is applied at the start of the next frame, see `utils/camera.js`)
+    cvs.zoom = cvs.zoom * zoomFactor
 
     // Calculate the new position of the user mouse after the zoom
-    const {x: newX1, y: newY1, width, height} = getViewBox()
-    window.cvs.x = userXRatio*width + newX1
-    window.cvs.y = userYRatio*height + newY1
+    const {x: mouseX, y: mouseY} = screenToWorld(mouse, cvs)
+    cvs.x = mouseX
+    cvs.y = mouseY
+
+    // Respect the pan bounds (the size of the view box has changed)
+    panBy(0, 0, cvs)
+
+    // Record the change
+    cvs.history.recordViewportChange(before)
+
+    // --- Listeners ---
+    if (cvs.zoom !== before.zoom) cvs.events.emit("zoom", cvs.zoom, before.zoom)
 }
 
 
 /**
  * Resets the zoom of the canvas to the default value (1).
  */
-export function resetZoom(){
-    zoomBy(1/window.cvs.zoom)
+export function resetZoom(cvs = window.cvs){
+    zoomBy(1/cvs.zoom, cvs)
 }
 
 
@@ -44,15 +56,16 @@ export function resetZoom(){
  * 
  * @param {Number} zoom Zoom level to set the canvas to.
  */
-export function zoomTo(zoom){
-    resetZoom()  // Reset the zoom to 1
-    zoomBy(zoom) // Apply the zoom
+export function zoomTo(zoom, cvs = window.cvs){
+    zoomBy(zoom/cvs.zoom, cvs) // Apply the zoom relative to the current one (resetting it to 1 first could be out of the zoom limits)
 }
 
 
 /**
  * Calculates some values related to the coordinates and dimensions of the canvas.
  * 
+ * When the camera is rotated, the visible area is a rotated rectangle: the returned box is its axis-aligned bounding box, and `polygon` contains its corners.
+ * 
  * @returns {Object} Returns an object with the following properties:
  * - x: The x coordinate of the top-left corner of the canvas
  * - y: The y coordinate of the top-left corner of the canvas
@@ -60,19 +73,31 @@ export function zoomTo(zoom){
  * - height: The height of the canvas
  * - x2: The x coordinate of the bottom-right corner of the canvas
  * - y2: The y coordinate of the bottom-right corner of the canvas
+ * - polygon: The corners of the visible area (top-left, top-right, bottom-right and bottom-left of the screen) in world coordinates
  */
-export function getViewBox(){
-    const {x, y} = window.cvs.canvasPanOffset
-    const {width, height} = window.cvs.$canvas
+export function getViewBox(cvs = window.cvs){
+    const {width, height} = cvs.$canvas
+    const polygon = [
+        screenToWorld({x: 0, y: 0}, cvs),
+        screenToWorld({x: width, y: 0}, cvs),
+        screenToWorld({x: width, y: height}, cvs),
+        screenToWorld({x: 0, y: height}, cvs)
+    ]
+
+    const x = Math.min(...polygon.map(p => p.x))
+    const y = Math.min(...polygon.map(p => p.y))
+    const x2 = Math.max(...polygon.map(p => p.x))
+    const y2 = Math.max(...polygon.map(p => p.y))
     return {
         x,
         y,
         x1: x,
         y1: y,
-        width: width/window.cvs.zoom,
-        height: height/window.cvs.zoom,
-        x2: x + width/window.cvs.zoom,
-        y2: y + height/window.cvs.zoom
+        width: x2 - x,
+        height: y2 - y,
+        x2,
+        y2,
+        polygon
     }
 }
 
@@ -82,30 +107,30 @@ export function getViewBox(){
  * 
  * @param {Boolean} zoomIn - Whether to zoom in or out. If true, zooms in, otherwise zooms out.
  */
-export function zoomAtMouse(zoomIn){
+export function zoomAtMouse(zoomIn, cvs = window.cvs){
     // Determine the zoom factor
     const zoomFactor = zoomIn ? 1.1 : 0.9
 
-    const {x, y, x2, y2} = getViewBox()
-    const userXRatio = (window.cvs.x - x)/(x2-x)
-    const userYRatio = (window.cvs.y - y)/(y2-y)
+    const {x: userXRatio, y: userYRatio} = getScreenRatio(cvs.x, cvs.y, cvs)
 
     // Zoom the canvas
-    zoomBy(zoomFactor)
+    const previousZoom = cvs.zoom
+    zoomBy(zoomFactor, cvs)
+    if (cvs.zoom === previousZoom) return  // The zoom limit was reached
 
     // Pan towards the mouse position
     if (zoomIn){
-        const {width, height} = getViewBox()
+        const {width, height} = getViewSize(cvs)
         const userX = userXRatio*width/10
         const userY = userYRatio*height/10
-        panBy(-userX, -userY)
+        panAlongScreen(-userX, -userY, cvs)
     }
     // Pan towards the center of the canvas
     else {
-        const {width, height} = getViewBox()
+        const {width, height} = getViewSize(cvs)
         const userX = 0.5*width/10
         const userY = 0.5*height/10
-        panBy(userX, userY)
+        panAlongScreen(userX, userY, cvs)
     }
 }
 
@@ -114,30 +139,30 @@ export function zoomAtMouse(zoomIn){
  * 
  * @param {Boolean} zoomIn - Whether to zoom in or out. If true, zooms in, otherwise zooms out.
  */
-export function zoomToAtMouse(zoomIn){
+export function zoomToAtMouse(zoomIn, cvs = window.cvs){
     // Determine the zoom factor
     const zoomFactor = zoomIn
 
-    const {x, y, x2, y2} = getViewBox()
-    const userXRatio = (window.cvs.x - x)/(x2-x)
-    const userYRatio = (window.cvs.y - y)/(y2-y)
+    const {x: userXRatio, y: userYRatio} = getScreenRatio(cvs.x, cvs.y, cvs)
 
     // Zoom the canvas
-    zoomTo(zoomFactor)
+    const previousZoom = cvs.zoom
+    zoomTo(zoomFactor, cvs)
+    if (cvs.zoom === previousZoom) return  // The zoom limit was reached
 
     // Pan towards the mouse position
     if (zoomIn > 1){
-        const {width, height} = getViewBox()
+        const {width, height} = getViewSize(cvs)
         const userX = userXRatio*width/10
         const userY = userYRatio*height/10
-        panBy(-userX, -userY)
+        panAlongScreen(-userX, -userY, cvs)
     }
     // Pan towards the center of the canvas
     else if (zoomIn < 1){
-        const {width, height} = getViewBox()
+        const {width, height} = getViewSize(cvs)
         const userX = 0.5*width/10
         const userY = 0.5*height/10
-        panBy(userX, userY)
+        panAlongScreen(userX, userY, cvs)
     }
 }
 
@@ -145,16 +170,16 @@ export function zoomToAtMouse(zoomIn){
 /**
  * Zooms in the canvas at the current mouse position.
  */
-export function zoomIn(){
-    zoomAtMouse(true)
+export function zoomIn(cvs = window.cvs){
+    zoomAtMouse(true, cvs)
 }
 
 
 /**
  * Zooms out the canvas at the current mouse position.
  */
-export function zoomOut(){
-    zoomAtMouse(false)
+export function zoomOut(cvs = window.cvs){
+    zoomAtMouse(false, cvs)
 }
 
 /**
@@ -163,8 +188,8 @@ export function zoomOut(){
  * @param {Number} toWidth The distance that the canvas should fit in the x-axis
  * @param {Number} toHeight The distance that the canvas should fit in the y-axis
  */
-export function zoomToFit(toWidth, toHeight){
-    const {width: currentWidth, height: currentHeight} = getViewBox()
+export function zoomToFit(toWidth, toHeight, cvs = window.cvs){
+    const {width: currentWidth, height: currentHeight} = getViewSize(cvs)
 
     // Calculate the ratio of the current dimensions to the desired dimensions
     const widthRatio = currentWidth / toWidth
@@ -174,29 +199,29 @@ export function zoomToFit(toWidth, toHeight){
     const zoomFactor = Math.min(widthRatio, heightRatio)
     
     // Apply the zoom
-    zoomBy(zoomFactor)
+    zoomBy(zoomFactor, cvs)
 }
 
 
 /**
  * Zooms at the center of the canvas.
  */
-export function zoomCenterBy(zoomFactor){
+export function zoomCenterBy(zoomFactor, cvs = window.cvs){
    
-    const {width, height} = getViewBox()
-    zoomBy(zoomFactor)
-    const {width: newWidth, height: newHeight} = getViewBox()
+    const {width, height} = getViewSize(cvs)
+    zoomBy(zoomFactor, cvs)
+    const {width: newWidth, height: newHeight} = getViewSize(cvs)
 
     const dw = (newWidth - width)/2
     const dh = (newHeight - height)/2
-    panBy(dw, dh)
+    panAlongScreen(dw, dh, cvs)
 }
 
 /**
  * Zooms at the center of the canvas.
  */
-export function zoomCenterTo(zoomFactor){
-    zoomCenterBy(1/window.cvs.zoom*zoomFactor)
+export function zoomCenterTo(zoomFactor, cvs = window.cvs){
+    zoomCenterBy(1/cvs.zoom*zoomFactor, cvs)
 }
 
 
@@ -206,30 +231,51 @@ export function zoomCenterTo(zoomFactor){
  * 
  * @param {Boolean} zoom - Whether to zoom in or out. If true, zooms in, otherwise zooms out.
  */
-export function zoomByAtPos(zoom, toX, toY){
+export function zoomByAtPos(zoom, toX, toY, cvs = window.cvs){
     // Determine the zoom factor
     const zoomFactor = zoom
 
-    const {x, y, x2, y2} = getViewBox()
-    const userXRatio = (toX - x)/(x2-x)
-    const userYRatio = (toY - y)/(y2-y)
+    const {x: userXRatio, y: userYRatio} = getScreenRatio(toX, toY, cvs)
 
     // Zoom the canvas
-    zoomBy(zoomFactor)
+    const previousZoom = cvs.zoom
+    zoomBy(zoomFactor, cvs)
+    if (cvs.zoom === previousZoom) return  // The zoom limit was reached
 
     // Pan towards the mouse position
     if (zoom){
-        const {width, height} = getViewBox()
+        const {width, height} = getViewSize(cvs)
         const userX = userXRatio*width/10
         const userY = userYRatio*height/10
-        panBy(-userX, -userY)
+        panAlongScreen(-userX, -userY, cvs)
     }
     // Pan towards the center of the canvas
     else {
-        const {width, height} = getViewBox()
+        const {width, height} = getViewSize(cvs)
         const userX = 0.5*width/10
         const userY = 0.5*height/10
-        panBy(userX, userY)
+        panAlongScreen(userX, userY, cvs)
     }
 
-}
\ No newline at end of file
+}
+
+
+// ============== Utils ==============
+
+// Size of the visible area in world units, along the axes of the screen
+function getViewSize(cvs){
+    return { width: cvs.$canvas.width/cvs.zoom, height: cvs.$canvas.height/cvs.zoom }
+}
+
+// Position of a point relative to the screen (0 at the left/top edge, 1 at the right/bottom edge)
+function getScreenRatio(x, y, cvs){
+    const screen = worldToScreen({x, y}, cvs)
+    return { x: screen.x/cvs.$canvas.width, y: screen.y/cvs.$canvas.height }
+}
+
+// Pans the canvas by a distance (world units) measured along the axes of the screen instead of the axes of the world
+function panAlongScreen(dx, dy, cvs){
+    const cos = Math.cos(cvs.rotation)
+    const sin = Math.sin(cvs.rotation)
+    panBy(dx*cos + dy*sin, -dx*sin + dy*cos, cvs)
+}